@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server';
+import { resolveTickerOrCompanyName } from '../../../lib/tickerResolution.js';
+import { resolveValuationOptions, getResolverName } from '../../../lib/requestOptions.js';
+import { valueTicker } from '../../../lib/valuationEngine.js';
+import { buildPeerMatrix } from '../../../lib/peerComparison.js';
+import { isQuotaExceededError, getAlphaVantageUsage } from '../../../lib/providers/alphaVantageQuota.js';
+
+// Upper bound on peers per request; each ticker costs several upstream calls
+const MAX_PEERS = 10;
+
+// Resolve and value one peer, returning an error entry instead of throwing
+async function valuePeer(input, provider, { basis, rules, resolver, forceRefresh, seen }) {
+  try {
+    const resolution = await resolveTickerOrCompanyName(input, { provider: resolver, forceRefresh });
+    if (!resolution.ticker) {
+      return { input, ticker: null, error: `Could not resolve "${input}" to a ticker symbol` };
+    }
+    if (seen.has(resolution.ticker)) {
+      return { input, ticker: null, error: `Duplicate of ${resolution.ticker}` };
+    }
+    seen.add(resolution.ticker);
+
+    const valuation = await valueTicker(resolution.ticker, provider, { basis, rules });
+    return {
+      input,
+      ticker: valuation.ticker,
+      companyName: valuation.companyName,
+      sector: valuation.sector,
+      dataSource: valuation.dataSource,
+      basis: valuation.basis,
+      metrics: valuation.metrics,
+      verdicts: valuation.verdicts,
+      overall: valuation.overall
+    };
+  } catch (error) {
+    console.warn(`Peer valuation failed for ${input}: ${error.message}`);
+    if (isQuotaExceededError(error)) return { input, ticker: null, error: error.message, retryAfter: error.retryAfter };
+    return { input, ticker: null, error: error.message };
+  }
+}
+
+// GET /api/compare?tickers=NVDA,AMD,INTC
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const inputs = [...new Set((searchParams.get('tickers') || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean))];
+
+  if (inputs.length < 2) {
+    return NextResponse.json({ error: 'At least two comma-separated tickers are required' }, { status: 400 });
+  }
+  if (inputs.length > MAX_PEERS) {
+    return NextResponse.json({ error: `At most ${MAX_PEERS} tickers can be compared at once` }, { status: 400 });
+  }
+
+  try {
+    const { error, provider, basis, rules } = resolveValuationOptions({
+      provider: searchParams.get('dataProvider'),
+      basis: searchParams.get('basis'),
+      profile: searchParams.get('profile'),
+      refresh: searchParams.get('refresh') === 'true'
+    });
+    if (error) return NextResponse.json(error, { status: 400 });
+
+    const options = {
+      basis,
+      rules,
+      resolver: getResolverName(searchParams.get('resolver'), searchParams.get('provider')),
+      forceRefresh: searchParams.get('refresh') === 'true',
+      seen: new Set()
+    };
+
+    // Peers are valued one at a time to stay within the upstream rate limits
+    const companies = [];
+    for (const input of inputs) {
+      companies.push(await valuePeer(input, provider, options));
+    }
+
+    const valued = companies.filter(c => c.ticker);
+    const retryAfter = Math.max(0, ...companies.map(c => c.retryAfter || 0));
+    if (valued.length === 0 && retryAfter > 0) {
+      return NextResponse.json({
+        error: 'quota_exceeded',
+        message: 'Alpha Vantage quota exhausted before any ticker could be valued',
+        retryAfter,
+        companies,
+        quota: getAlphaVantageUsage()
+      }, { status: 429, headers: { 'Retry-After': String(retryAfter) } });
+    }
+    if (valued.length === 0) {
+      return NextResponse.json({ error: 'None of the requested tickers could be valued', companies }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      tickers: valued.map(c => c.ticker),
+      dataProvider: provider.name,
+      rules,
+      companies,
+      matrix: buildPeerMatrix(valued),
+      quota: getAlphaVantageUsage()
+    });
+  } catch (error) {
+    console.error('Peer comparison error:', error.message);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
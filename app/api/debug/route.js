@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { getAlphaVantageQuota, getAlphaVantageUsage, isQuotaExceededError } from '../../../lib/providers/alphaVantageQuota.js';
 
 /**
  * Debug endpoint to test ticker resolution and API calls
@@ -8,6 +9,13 @@ import { NextResponse } from 'next/server';
 const API_KEY = process.env.ALPHA_VANTAGE_API_KEY;
 const BASE_URL = 'https://www.alphavantage.co/query';
 
+// Alpha Vantage calls share the app-wide quota so debugging can't exhaust it unnoticed
+function fetchAlphaVantage(name, ticker) {
+  const quota = getAlphaVantageQuota();
+  if (!quota) return fetch(`${BASE_URL}?function=${name}&symbol=${ticker}&apikey=${API_KEY}`);
+  return quota.schedule(apiKey => fetch(`${BASE_URL}?function=${name}&symbol=${ticker}&apikey=${apiKey}`));
+}
+
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
   const ticker = searchParams.get('ticker');
@@ -32,9 +40,7 @@ export async function GET(request) {
       status: 'testing...'
     };
     
-    const quoteResponse = await fetch(
-      `${BASE_URL}?function=GLOBAL_QUOTE&symbol=${ticker}&apikey=${API_KEY}`
-    );
+    const quoteResponse = await fetchAlphaVantage('GLOBAL_QUOTE', ticker);
     const quoteData = await quoteResponse.json();
     results.tests.quote = {
       ...results.tests.quote,
@@ -51,9 +57,7 @@ export async function GET(request) {
       status: 'testing...'
     };
     
-    const incomeResponse = await fetch(
-      `${BASE_URL}?function=INCOME_STATEMENT&symbol=${ticker}&apikey=${API_KEY}`
-    );
+    const incomeResponse = await fetchAlphaVantage('INCOME_STATEMENT', ticker);
     const incomeData = await incomeResponse.json();
     results.tests.income = {
       ...results.tests.income,
@@ -83,12 +87,15 @@ export async function GET(request) {
       data: finnhubData
     };
 
+    results.quota = getAlphaVantageUsage();
+
     return NextResponse.json(results);
   } catch (error) {
     return NextResponse.json({
       error: error.message,
       ticker: ticker.toUpperCase(),
-      timestamp: new Date().toISOString()
-    }, { status: 500 });
+      timestamp: new Date().toISOString(),
+      ...(isQuotaExceededError(error) && { retryAfter: error.retryAfter, quota: getAlphaVantageUsage() })
+    }, { status: isQuotaExceededError(error) ? 429 : 500 });
   }
 }
@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { removeHolding } from '../../../../../lib/portfolioStore.js';
+
+// DELETE /api/portfolio/holdings/:ticker
+export async function DELETE(request, { params }) {
+  const { ticker } = await params;
+
+  try {
+    if (!(await removeHolding(ticker))) {
+      return NextResponse.json({ error: 'holding_not_found', message: `No holding for "${ticker}"` }, { status: 404 });
+    }
+    return NextResponse.json({ deleted: ticker.toUpperCase() });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { listHoldings, upsertHolding, validateHolding, TOO_MANY_HOLDINGS } from '../../../lib/portfolioStore.js';
+import { buildPosition, summarizePortfolio } from '../../../lib/portfolioValuation.js';
+import { resolveValuationOptions, readJsonBody, isJsonObject } from '../../../lib/requestOptions.js';
+import { valueTicker } from '../../../lib/valuationEngine.js';
+import { mapWithConcurrency } from '../../../lib/asyncUtils.js';
+
+// Holdings valued at a time, to stay within the upstream rate limits
+const VALUATION_CONCURRENCY = 2;
+
+// Value one holding, returning an error position instead of throwing
+async function valueHolding(holding, options) {
+  try {
+    const valuation = await valueTicker(holding.ticker, options.provider, options);
+    return buildPosition(holding, valuation);
+  } catch (error) {
+    console.warn(`Portfolio valuation failed for ${holding.ticker}: ${error.message}`);
+    const { ticker, shares, costBasis } = holding;
+    return { ticker, shares, costBasis, costValue: shares * costBasis, error: error.message };
+  }
+}
+
+// GET /api/portfolio - every holding valued, with weights, totals and a portfolio verdict
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const options = resolveValuationOptions({
+      provider: searchParams.get('dataProvider'),
+      basis: searchParams.get('basis'),
+      profile: searchParams.get('profile'),
+      refresh: searchParams.get('refresh') === 'true'
+    });
+    if (options.error) return NextResponse.json(options.error, { status: 400 });
+
+    const holdings = await listHoldings();
+    const positions = await mapWithConcurrency(holdings, VALUATION_CONCURRENCY, holding => valueHolding(holding, options));
+
+    return NextResponse.json({
+      dataProvider: options.provider.name,
+      rules: options.rules,
+      ...summarizePortfolio(positions)
+    });
+  } catch (error) {
+    console.error('Portfolio valuation error:', error.message);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// POST /api/portfolio - add or update a holding: { ticker, shares, costBasis }
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  if (!isJsonObject(body)) return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+
+  try {
+    const holdingError = validateHolding(body);
+    if (holdingError) return NextResponse.json({ error: holdingError }, { status: 400 });
+
+    const holding = await upsertHolding(body);
+    return NextResponse.json({ holding });
+  } catch (error) {
+    // The limit is checked inside the store's write queue, so concurrent adds can't overshoot it
+    if (error.code === TOO_MANY_HOLDINGS) return NextResponse.json({ error: error.message }, { status: 400 });
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -2,381 +2,306 @@ import { NextResponse } from 'next/server';
 import { resolveTickerOrCompanyName, clearResolutionCache, getCacheStats } from '../../../lib/tickerResolution.js';
 import { enhanceQueryWithTicker, generateValuationAnalysis, isOpenAIConfigured } from '../../../lib/openaiService.js';
 import { getDemoData, hasDemoData } from '../../../lib/demoData.js';
+import { getDataProvider } from '../../../lib/providers/index.js';
+import { isValuationBasis, DEFAULT_VALUATION_BASIS } from '../../../lib/trailingTwelveMonths.js';
+import { validateDcfOverrides } from '../../../lib/dcfValuation.js';
+import { resolveValuationRules, validateValuationRules, listValuationProfiles } from '../../../lib/valuationProfiles.js';
+import { fetchFinancialData, fetchPriceHistory, fetchRiskMetrics, evaluateValuation, summarizeDataSources, buildRawData } from '../../../lib/valuationEngine.js';
+import { mapWithConcurrency } from '../../../lib/asyncUtils.js';
+import { resolveValuationOptions, readJsonBody, getResolverName } from '../../../lib/requestOptions.js';
+import { getCoalescingStats } from '../../../lib/singleFlight.js';
+import { isPriceRange, describePriceHistory, PRICE_RANGE_NAMES, DEFAULT_PRICE_RANGE } from '../../../lib/priceRanges.js';
+import { parseIndicatorList, calculateIndicators, getIndicatorWarmUp, TECHNICAL_INDICATOR_NAMES } from '../../../lib/technicalIndicators.js';
+import { isQuotaExceededError, getAlphaVantageUsage } from '../../../lib/providers/alphaVantageQuota.js';
+import { isDataNotFoundError } from '../../../lib/providers/errors.js';
+import { parseComparisonSymbols, buildPricePerformance, MAX_COMPARISON_SYMBOLS } from '../../../lib/pricePerformance.js';
+
+// Return a 400 response if the requested price history range is unknown
+function validatePriceRange(range) {
+  if (!isPriceRange(range)) {
+    return NextResponse.json({
+      error: 'invalid_range',
+      message: `Unknown price history range "${range}"`,
+      availableRanges: PRICE_RANGE_NAMES
+    }, { status: 400 });
+  }
+  return null;
+}
 
-// Alpha Vantage API key
-const API_KEY = process.env.NEXT_PUBLIC_ALPHA_VANTAGE_API_KEY || process.env.ALPHA_VANTAGE_API_KEY;
-const BASE_URL = 'https://www.alphavantage.co/query';
-
-// Function to fetch real-time price and 7-day history
-async function fetchPriceHistory(ticker) {
+// Resolve one comparison symbol and load its price history for the chart range, returning an error entry instead of throwing
+async function loadComparisonSymbol(input, provider, { range, resolver, forceRefresh, seen }) {
   try {
-    if (!API_KEY) {
-      console.warn('Alpha Vantage API key not configured, returning null for price history');
-      return null;
+    const resolution = await resolveTickerOrCompanyName(input, { provider: resolver, forceRefresh });
+    if (!resolution.ticker) {
+      return { input, ticker: null, bars: null, error: `Could not resolve "${input}" to a ticker symbol` };
     }
-
-    // Fetch daily time series data
-    const response = await fetch(
-      `${BASE_URL}?function=TIME_SERIES_DAILY&symbol=${ticker}&apikey=${API_KEY}&outputsize=compact`
-    );
-    const data = await response.json();
-
-    if (data.Note || data.Error) {
-      console.warn(`Price history API error: ${data.Note || data.Error}`);
-      return null;
+    if (seen.has(resolution.ticker)) {
+      return { input, ticker: resolution.ticker, bars: null, error: `Duplicate of ${resolution.ticker}` };
     }
+    seen.add(resolution.ticker);
 
-    if (!data['Time Series (Daily)']) {
-      console.warn(`No time series data for ${ticker}`);
-      return null;
-    }
-
-    // Get last 7 trading days (5 business days in the week)
-    const timeSeries = data['Time Series (Daily)'];
-    const dates = Object.keys(timeSeries).slice(0, 7); // Get last 7 days
-    
-    const priceHistory = dates.map((date) => {
-      const dayData = timeSeries[date];
-      const price = parseFloat(dayData['4. close']);
-      const dateObj = new Date(date);
-      const displayDate = dateObj.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-      const dayOfWeek = dateObj.getDay();
-      
-      return { date, displayDate, price, dayOfWeek };
-    }).reverse(); // Reverse to show oldest to newest
-
-    return priceHistory.length > 0 ? priceHistory : null;
+    const result = await fetchPriceHistory(resolution.ticker, provider, { range });
+    // Same demo fallback as the main chart, so demo tickers can be compared with each other
+    const bars = result?.priceHistory || (hasDemoData(resolution.ticker) ? getDemoData(resolution.ticker).priceHistory : null);
+    return { input, ticker: resolution.ticker, bars };
   } catch (error) {
-    console.error('Error fetching price history:', error);
-    return null;
+    console.warn(`Comparison price history failed for ${input}: ${error.message}`);
+    return { input, ticker: null, bars: null, error: error.message };
   }
 }
 
-// Function to fetch financial data
-async function fetchFinancialData(ticker) {
-  try {
-    console.log(`Fetching financial data for ticker: ${ticker}`);
-    
-    // Fetch income statement
-    const incomeResponse = await fetch(`${BASE_URL}?function=INCOME_STATEMENT&symbol=${ticker}&apikey=${API_KEY}`);
-    const incomeData = await incomeResponse.json();
-    console.log(`Income statement response:`, { hasAnnualReports: !!incomeData.annualReports, hasNote: !!incomeData.Note });
-
-    // Fetch balance sheet
-    const balanceResponse = await fetch(`${BASE_URL}?function=BALANCE_SHEET&symbol=${ticker}&apikey=${API_KEY}`);
-    const balanceData = await balanceResponse.json();
-
-    // Fetch cash flow
-    const cashFlowResponse = await fetch(`${BASE_URL}?function=CASH_FLOW&symbol=${ticker}&apikey=${API_KEY}`);
-    const cashFlowData = await cashFlowResponse.json();
-
-    // Fetch quote for market cap (need shares outstanding and price)
-    const quoteResponse = await fetch(`${BASE_URL}?function=GLOBAL_QUOTE&symbol=${ticker}&apikey=${API_KEY}`);
-    const quoteData = await quoteResponse.json();
-
-    // Check for API rate limit or error messages
-    if (incomeData.Note || balanceData.Note || cashFlowData.Note || quoteData.Note) {
-      const message = incomeData.Note || balanceData.Note || cashFlowData.Note || quoteData.Note;
-      console.error(`API rate limit or error: ${message}`);
-      throw new Error('Alpha Vantage API: ' + message);
-    }
+// Load comparison symbols one at a time to stay within the upstream rate limits
+async function loadComparisonSymbols(inputs, provider, options) {
+  const comparisons = [];
+  for (const input of inputs) {
+    comparisons.push(await loadComparisonSymbol(input, provider, options));
+  }
+  return comparisons;
+}
 
-    if (incomeData.Information || balanceData.Information || cashFlowData.Information || quoteData.Information) {
-      const message = incomeData.Information || balanceData.Information || cashFlowData.Information || quoteData.Information;
-      console.error(`API information message: ${message}`);
-      throw new Error('API error: ' + message);
-    }
+// Return a 429 response when the Alpha Vantage quota rejected a call, or null for other errors
+function quotaExceededResponse(error) {
+  if (!isQuotaExceededError(error)) return null;
+  return NextResponse.json({
+    error: 'quota_exceeded',
+    message: error.message,
+    retryAfter: error.retryAfter,
+    quota: getAlphaVantageUsage()
+  }, { status: 429, headers: { 'Retry-After': String(error.retryAfter) } });
+}
 
-    if (!incomeData.annualReports || !balanceData.annualReports || !cashFlowData.annualReports || !quoteData['Global Quote']) {
-      const missingData = [];
-      if (!incomeData.annualReports) {
-        missingData.push('income statement');
-        console.log('Income data:', { keys: Object.keys(incomeData).slice(0, 5) });
-      }
-      if (!balanceData.annualReports) {
-        missingData.push('balance sheet');
-        console.log('Balance data:', { keys: Object.keys(balanceData).slice(0, 5) });
-      }
-      if (!cashFlowData.annualReports) {
-        missingData.push('cash flow');
-        console.log('Cash flow data:', { keys: Object.keys(cashFlowData).slice(0, 5) });
-      }
-      if (!quoteData['Global Quote']) {
-        missingData.push('quote data');
-        console.log('Quote data:', { keys: Object.keys(quoteData).slice(0, 5) });
-      }
-      throw new Error(`Could not fetch: ${missingData.join(', ')}. Could not retrieve financial data for ticker "${ticker}". This may indicate the ticker is invalid, data is unavailable, or the Alpha Vantage API is rate limited.`);
-    }
+// Return a 404 response when the provider has no data for the ticker, or null for other errors
+function dataNotFoundResponse(error) {
+  if (!isDataNotFoundError(error)) return null;
+  return NextResponse.json({ error: 'data_not_found', message: error.message }, { status: 404 });
+}
 
-    // Get latest annual data
-    const latestIncome = incomeData.annualReports[0];
-    const latestBalance = balanceData.annualReports[0];
-    const latestCashFlow = cashFlowData.annualReports[0];
-    const quote = quoteData['Global Quote'];
-
-    // Calculate values
-    const ebitda = parseFloat(latestIncome.ebitda) || 0;
-    const netIncome = parseFloat(latestIncome.netIncome) || 0;
-    const totalRevenue = parseFloat(latestIncome.totalRevenue) || 0;
-    const operatingCashFlow = parseFloat(latestCashFlow.operatingCashFlow) || 0;
-    const totalDebt = parseFloat(latestBalance.totalLiabilities) - parseFloat(latestBalance.totalCurrentLiabilities) + parseFloat(latestBalance.longTermDebt);
-    const cashAndEquivalents = parseFloat(latestBalance.cashAndCashEquivalentsAtCarryingValue) || 0;
-    const totalAssets = parseFloat(latestBalance.totalAssets) || 0;
-    const totalLiabilities = parseFloat(latestBalance.totalLiabilities) || 0;
-
-    // Finnhub API for market cap
-    const FINNHUB_API_KEY = process.env.FINNHUB_API_KEY;
-    const finnhubResponse = await fetch(`https://finnhub.io/api/v1/stock/profile2?symbol=${ticker}&token=${FINNHUB_API_KEY}`);
-    const finnhubData = await finnhubResponse.json();
-
-    // Check if Finnhub returned valid data
-    if (!finnhubData || !finnhubData.marketCapitalization) {
-      console.warn(`Finnhub data incomplete for ${ticker}, using fallback calculation`);
-    }
+// Batches are capped in size and valued a few items at a time to respect the Alpha Vantage quota
+const MAX_BATCH_SIZE = 25;
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const MAX_BATCH_CONCURRENCY = 5;
+const BATCH_VERDICTS = ['undervalued', 'fairly valued', 'overvalued', 'insufficient data'];
 
-    const marketCap = finnhubData.marketCapitalization ? finnhubData.marketCapitalization * 1000000 : 0; // in millions
-    const ev = marketCap + totalDebt - cashAndEquivalents;
-
-    return {
-      ev,
-      ebitda,
-      netIncome,
-      totalRevenue,
-      operatingCashFlow,
-      marketCap,
-      totalAssets,
-      totalLiabilities,
-      companyName: finnhubData.name,
-      sector: finnhubData.finnhubIndustry
-    };
-  } catch (error) {
-    throw new Error('Failed to fetch financial data: ' + error.message);
-  }
+// Parse an optional numeric input, keeping "not provided" (null) apart from zero
+function optionalNumber(value) {
+  return value === undefined || value === null || isNaN(Number(value)) ? null : Number(value);
 }
 
-// Comprehensive Valuation Calculation Functions
-function calculateValuationMetrics(data) {
-  const { ev, ebitda, operatingCashFlow, netIncome, marketCap, totalAssets, totalLiabilities } = data;
-  
-  const metrics = {};
-  let verdictScores = [];
-
-  // 1. EV/EBITDA Analysis (user-specified rule: threshold 20)
-  if (ebitda && ebitda > 0) {
-    metrics.evEbitda = ev / ebitda;
-    let evEbitdaVerdict = 'fairly valued';
-    if (metrics.evEbitda < 20) evEbitdaVerdict = 'undervalued';
-    else if (metrics.evEbitda > 20) evEbitdaVerdict = 'overvalued';
-    verdictScores.push({ metric: 'EV/EBITDA', value: metrics.evEbitda.toFixed(2), verdict: evEbitdaVerdict, weight: 1 });
-    metrics.evEbitdaExplanation = 'EV/EBITDA is a popular valuation multiple used to compare a company’s value to its operational profitability, independent of capital structure and non-cash expenses.';
-  }
+// Value one POST item: either { ticker } OR raw numbers { ev, ebitda, operatingCashFlow, marketCap }.
+// Returns { status, body } so single and batch requests share the same handling.
+async function valuePostItem(item, { providerName, basis, dcfOverrides, rules, exchange, resolver, forceRefresh }) {
+  let ticker = item.ticker;
+  let data;
+  let provider = null;
+
+  // If ticker input is provided, resolve it first
+  if (ticker && typeof ticker === 'string') {
+    const resolution = await resolveTickerOrCompanyName(ticker, {
+      exchange: exchange || null,
+      provider: resolver || 'auto',
+      forceRefresh
+    });
 
-  // 2. Price to Earnings (P/E) Analysis via Market Cap to Net Income
-  if (netIncome && netIncome > 0) {
-    metrics.pe = marketCap / netIncome;
-    const peVerdict = metrics.pe < 15 ? 'undervalued' : metrics.pe > 25 ? 'overvalued' : 'fairly valued';
-    verdictScores.push({ metric: 'P/E Ratio', value: metrics.pe.toFixed(2), verdict: peVerdict, weight: 1 });
-  }
+    if (resolution.confidence === 'ambiguous') {
+      return {
+        status: 400,
+        body: {
+          error: 'ambiguous_ticker',
+          message: `Multiple matches found for "${ticker}"`,
+          candidates: resolution.matches.map(m => ({ ticker: m.ticker, name: m.name, exchange: m.exchange, confidence: m.confidence }))
+        }
+      };
+    }
 
-  // 3. Price to Book (P/B) Analysis
-  if (totalAssets && totalLiabilities) {
-    const bookValue = totalAssets - totalLiabilities;
-    if (bookValue > 0) {
-      metrics.pb = marketCap / bookValue;
-      const pbVerdict = metrics.pb < 1.5 ? 'undervalued' : metrics.pb > 3 ? 'overvalued' : 'fairly valued';
-      verdictScores.push({ metric: 'P/B Ratio', value: metrics.pb.toFixed(2), verdict: pbVerdict, weight: 0.8 });
+    if (!resolution.ticker) {
+      return {
+        status: 404,
+        body: { error: 'ticker_not_found', message: `Could not resolve "${ticker}" to a ticker symbol` }
+      };
     }
-  }
 
-  // 4. EV/Revenue Analysis
-  if (data.totalRevenue && data.totalRevenue > 0) {
-    metrics.evRevenue = ev / data.totalRevenue;
-    const evRevenueVerdict = metrics.evRevenue < 2 ? 'undervalued' : metrics.evRevenue > 5 ? 'overvalued' : 'fairly valued';
-    verdictScores.push({ metric: 'EV/Revenue', value: metrics.evRevenue.toFixed(2), verdict: evRevenueVerdict, weight: 0.8 });
-  }
+    ticker = resolution.ticker;
+    provider = getDataProvider(providerName, { forceRefresh });
+    data = await fetchFinancialData(ticker, provider, { basis: basis || DEFAULT_VALUATION_BASIS });
+  } else {
+    // Validate raw inputs
+    const required = ['ev', 'ebitda', 'operatingCashFlow', 'marketCap'];
+    for (const key of required) {
+      if (item[key] === undefined || item[key] === null || isNaN(Number(item[key]))) {
+        return { status: 400, body: { error: `Missing or invalid field: ${key}` } };
+      }
+    }
 
-  // 5. Dividend Yield / Free Cash Flow Yield
-  if (operatingCashFlow && operatingCashFlow > 0) {
-    metrics.fcfYield = (operatingCashFlow / marketCap) * 100;
-    const fcfYieldVerdict = metrics.fcfYield > 5 ? 'undervalued' : metrics.fcfYield < 2 ? 'overvalued' : 'fairly valued';
-    verdictScores.push({ metric: 'FCF Yield', value: metrics.fcfYield.toFixed(2) + '%', verdict: fcfYieldVerdict, weight: 1 });
+    data = {
+      ev: Number(item.ev),
+      ebitda: Number(item.ebitda),
+      operatingCashFlow: Number(item.operatingCashFlow),
+      marketCap: Number(item.marketCap),
+      totalAssets: Number(item.totalAssets) || 0,
+      totalLiabilities: Number(item.totalLiabilities) || 0,
+      netIncome: Number(item.netIncome) || 0,
+      totalRevenue: Number(item.totalRevenue) || 0,
+      capitalExpenditures: optionalNumber(item.capitalExpenditures),
+      dividendsPaid: optionalNumber(item.dividendsPaid),
+      netBuybacks: optionalNumber(item.netBuybacks),
+      sharesOutstanding: Number(item.sharesOutstanding) || null,
+      price: Number(item.price) || null,
+      companyName: item.companyName || null,
+      sector: item.sector || null
+    };
   }
 
-  // 7. Cash Flow Based Valuation Range (OCF * 30 to 35)
-  if (operatingCashFlow && operatingCashFlow > 0) {
-    metrics.cashFlowLower = operatingCashFlow * 30;
-    metrics.cashFlowUpper = operatingCashFlow * 35;
-    let cfVerdict = 'fairly valued';
-    if (marketCap >= metrics.cashFlowLower && marketCap <= metrics.cashFlowUpper) cfVerdict = 'fairly valued';
-    else if (marketCap < metrics.cashFlowLower) cfVerdict = 'undervalued';
-    else if (marketCap > metrics.cashFlowUpper) cfVerdict = 'overvalued';
-    verdictScores.push({ metric: 'CashFlowMultiple', value: `${metrics.cashFlowLower.toFixed(0)} - ${metrics.cashFlowUpper.toFixed(0)}`, verdict: cfVerdict, weight: 1 });
-    metrics.cashFlowExplanation = 'This is a simplified cash flow multiple valuation. High-quality companies often trade at 30–35× operating cash flow.';
-  }
+  const { metrics, dcf, benchmarks, verdicts, overall, priceTargets, quality, interpretation } = evaluateValuation(data, { dcfOverrides, rules });
 
-  // 6. Debt to Equity Ratio
-  if (totalAssets && totalLiabilities) {
-    const bookValue = totalAssets - totalLiabilities;
-    if (bookValue > 0) {
-      metrics.debtToEquity = totalLiabilities / bookValue;
-      const debtVerdict = metrics.debtToEquity < 1 ? 'undervalued' : metrics.debtToEquity > 2 ? 'overvalued' : 'fairly valued';
-      verdictScores.push({ metric: 'Debt/Equity', value: metrics.debtToEquity.toFixed(2), verdict: debtVerdict, weight: 0.6 });
+  return {
+    status: 200,
+    body: {
+      ticker: ticker || null,
+      companyName: data.companyName || null,
+      sector: data.sector || null,
+      dataProvider: provider ? provider.name : null,
+      dataSource: data.dataSources ? summarizeDataSources(data.dataSources) : null,
+      dataSources: data.dataSources || null,
+      rawData: buildRawData(data),
+      enterpriseValueBridge: data.enterpriseValueBridge || null,
+      basis: data.basis || null,
+      history: data.history || null,
+      metrics,
+      dcf,
+      benchmarks,
+      rules,
+      verdicts,
+      overall,
+      priceTargets,
+      quality,
+      interpretation,
+      cache: provider ? provider.cacheStatus : null,
+      quota: provider ? getAlphaVantageUsage() : null,
+      diagnostics: provider ? provider.diagnostics.summary() : null,
+      coalescing: getCoalescingStats()
     }
-  }
-
-  return { metrics, verdictScores };
+  };
 }
 
-function calculateOverallValuation(verdictScores) {
-  if (verdictScores.length === 0) {
-    return { verdict: 'insufficient data', confidence: 0, reasoning: 'Not enough data to determine valuation' };
-  }
+// Value every batch item with bounded concurrency; a failing item never fails the batch
+async function valueBatch(items, { concurrency, ...options }) {
+  const results = await mapWithConcurrency(items, concurrency, async (entry, index) => {
+    // Items are ticker strings or objects accepted by the single-item POST
+    const item = typeof entry === 'string' ? { ticker: entry } : entry;
+    const input = typeof entry === 'string' ? entry : (item && typeof item === 'object' && item.ticker) || null;
 
-  // Weight each verdict
-  let undervaluedScore = 0;
-  let overvaluedScore = 0;
-  let fairlyValuedScore = 0;
-  let totalWeight = 0;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { index, input, status: 400, error: 'Batch items must be ticker strings or objects' };
+    }
 
-  verdictScores.forEach(score => {
-    const weight = score.weight || 1;
-    totalWeight += weight;
-    
-    if (score.verdict === 'undervalued') {
-      undervaluedScore += weight;
-    } else if (score.verdict === 'overvalued') {
-      overvaluedScore += weight;
-    } else {
-      fairlyValuedScore += weight;
+    // Items may override the batch-wide basis and DCF assumptions
+    const basisError = item.basis && !isValuationBasis(item.basis) ? `Unknown valuation basis "${item.basis}"` : null;
+    const itemError = basisError || validateDcfOverrides(item.dcf);
+    if (itemError) return { index, input, status: 400, error: itemError };
+
+    try {
+      const { status, body } = await valuePostItem(item, {
+        ...options,
+        basis: item.basis || options.basis,
+        dcfOverrides: item.dcf || options.dcfOverrides,
+        exchange: item.exchange || options.exchange
+      });
+      return status === 200
+        ? { index, input, status, result: body }
+        : { index, input, status, error: body.error, message: body.message };
+    } catch (error) {
+      console.warn(`Batch item ${index} (${input || 'raw inputs'}) failed: ${error.message}`);
+      if (isQuotaExceededError(error)) {
+        return { index, input, status: 429, error: 'quota_exceeded', message: error.message, retryAfter: error.retryAfter };
+      }
+      // 500 is left for calls that failed; a ticker the provider has no data for is not found
+      if (isDataNotFoundError(error)) {
+        return { index, input, status: 404, error: 'data_not_found', message: error.message };
+      }
+      return { index, input, status: 500, error: error.message };
     }
   });
 
-  // Normalize scores
-  undervaluedScore /= totalWeight;
-  overvaluedScore /= totalWeight;
-  fairlyValuedScore /= totalWeight;
-
-  // Determine overall verdict
-  let verdict = 'fairly valued';
-  let confidence = 0;
-  let reasoning = '';
-
-  if (undervaluedScore > 0.5) {
-    verdict = 'undervalued';
-    confidence = Math.round(undervaluedScore * 100);
-    reasoning = `${confidence}% of valuation metrics suggest the stock is undervalued`;
-  } else if (overvaluedScore > 0.5) {
-    verdict = 'overvalued';
-    confidence = Math.round(overvaluedScore * 100);
-    reasoning = `${confidence}% of valuation metrics suggest the stock is overvalued`;
-  } else {
-    verdict = 'fairly valued';
-    confidence = Math.round(fairlyValuedScore * 100);
-    reasoning = `Valuation metrics are mixed, suggesting the stock is fairly valued`;
-  }
-
-  return { verdict, confidence, reasoning };
-}
-
-// Generate combined interpretation string using EV/EBITDA and Cash Flow verdicts
-function generateCombinedSummary(metrics, verdicts) {
-  const evVerdictObj = verdicts.find(v => v.metric === 'EV/EBITDA');
-  const cfVerdictObj = verdicts.find(v => v.metric === 'CashFlowMultiple');
-
-  const evText = evVerdictObj ? evVerdictObj.verdict : 'insufficient data for EV/EBITDA';
-  const cfText = cfVerdictObj ? cfVerdictObj.verdict : 'insufficient data for cash flow multiple';
-
-  let summary = `EV/EBITDA suggests the stock is ${evText}, and the cash flow valuation range indicates it is ${cfText}.`;
-
-  // Make the final phrasing nicer when both agree
-  if (evVerdictObj && cfVerdictObj && evVerdictObj.verdict === cfVerdictObj.verdict) {
-    summary = `Both EV/EBITDA and the cash flow valuation range indicate the stock is ${evVerdictObj.verdict}. Overall, this stock appears ${evVerdictObj.verdict} based on these metrics.`;
+  const verdictCounts = Object.fromEntries(BATCH_VERDICTS.map(verdict => [verdict, 0]));
+  for (const { result } of results) {
+    if (result) verdictCounts[result.overall.verdict] = (verdictCounts[result.overall.verdict] || 0) + 1;
   }
-
-  return summary;
+  const succeeded = results.filter(r => r.result).length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      verdicts: verdictCounts
+    }
+  };
 }
 
-// POST handler: accepts JSON body with either { ticker } OR raw numbers { ev, ebitda, operatingCashFlow, marketCap }
+// POST handler: accepts JSON body with either { ticker } OR raw numbers { ev, ebitda, operatingCashFlow, marketCap },
+// or a batch as { items: [...] } (or a bare array) of ticker strings and such objects
 export async function POST(request) {
   try {
-    const body = await request.json();
+    let body = await readJsonBody(request);
+    if (Array.isArray(body)) body = { items: body };
+    if (!body || typeof body !== 'object') {
+      return NextResponse.json({ error: 'Request body must be a JSON object or array' }, { status: 400 });
+    }
 
-    let ticker = body.ticker;
-    let data;
+    // Rules come from the body rather than a profile, so only the provider and basis are checked here
+    const { error: optionsError, provider: batchProvider } = resolveValuationOptions({ provider: body.dataProvider, basis: body.basis });
+    if (optionsError) return NextResponse.json(optionsError, { status: 400 });
 
-    // If ticker input is provided, resolve it first
-    if (ticker && typeof ticker === 'string') {
-      const resolution = await resolveTickerOrCompanyName(ticker, {
-        exchange: body.exchange || null,
-        provider: body.provider || 'auto'
-      });
+    const dcfError = validateDcfOverrides(body.dcf);
+    if (dcfError) return NextResponse.json({ error: dcfError }, { status: 400 });
+
+    const rulesError = validateValuationRules(body.rules);
+    if (rulesError) {
+      return NextResponse.json({ error: 'invalid_rules', message: rulesError, availableProfiles: listValuationProfiles() }, { status: 400 });
+    }
+    const rules = resolveValuationRules({ rules: body.rules });
+
+    const options = {
+      providerName: body.dataProvider,
+      basis: body.basis,
+      dcfOverrides: body.dcf,
+      rules,
+      exchange: body.exchange,
+      resolver: getResolverName(body.resolver, body.provider),
+      forceRefresh: body.refresh === true
+    };
 
-      if (!resolution.ticker) {
-        return NextResponse.json({
-          error: 'ticker_not_found',
-          message: `Could not resolve "${ticker}" to a ticker symbol`
-        }, { status: 404 });
+    if (body.items !== undefined) {
+      if (!Array.isArray(body.items) || body.items.length === 0) {
+        return NextResponse.json({ error: 'items must be a non-empty array' }, { status: 400 });
+      }
+      if (body.items.length > MAX_BATCH_SIZE) {
+        return NextResponse.json({ error: `At most ${MAX_BATCH_SIZE} items can be valued per batch` }, { status: 400 });
       }
 
-      ticker = resolution.ticker;
-      data = await fetchFinancialData(ticker);
-    } else if (body.ticker) {
-      // Direct ticker provided
-      data = await fetchFinancialData(body.ticker.toUpperCase());
-      ticker = body.ticker.toUpperCase();
-    } else {
-      // Validate raw inputs
-      const required = ['ev', 'ebitda', 'operatingCashFlow', 'marketCap'];
-      for (const key of required) {
-        if (body[key] === undefined || body[key] === null || isNaN(Number(body[key]))) {
-          return NextResponse.json({ error: `Missing or invalid field: ${key}` }, { status: 400 });
-        }
+      const concurrency = body.concurrency === undefined ? DEFAULT_BATCH_CONCURRENCY : Number(body.concurrency);
+      if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+        return NextResponse.json({ error: `concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}` }, { status: 400 });
       }
 
-      data = {
-        ev: Number(body.ev),
-        ebitda: Number(body.ebitda),
-        operatingCashFlow: Number(body.operatingCashFlow),
-        marketCap: Number(body.marketCap),
-        totalAssets: Number(body.totalAssets) || 0,
-        totalLiabilities: Number(body.totalLiabilities) || 0,
-        netIncome: Number(body.netIncome) || 0,
-        totalRevenue: Number(body.totalRevenue) || 0,
-        companyName: body.companyName || null,
-        sector: body.sector || null
-      };
+      const batch = await valueBatch(body.items, { ...options, concurrency });
+      return NextResponse.json({
+        dataProvider: batchProvider.name,
+        rules,
+        concurrency,
+        ...batch,
+        quota: getAlphaVantageUsage(),
+        coalescing: getCoalescingStats()
+      });
     }
 
-    const { metrics, verdictScores } = calculateValuationMetrics(data);
-    const overallValuation = calculateOverallValuation(verdictScores);
-    const combinedSummary = generateCombinedSummary(metrics, verdictScores);
-
-    const response = {
-      ticker: ticker || null,
-      companyName: data.companyName || null,
-      sector: data.sector || null,
-      rawData: {
-        marketCap: data.marketCap,
-        enterpriseValue: data.ev,
-        netIncome: data.netIncome,
-        revenue: data.totalRevenue,
-        operatingCashFlow: data.operatingCashFlow,
-        totalAssets: data.totalAssets,
-        totalLiabilities: data.totalLiabilities
-      },
-      metrics,
-      verdicts: verdictScores,
-      overall: {
-        verdict: overallValuation.verdict,
-        confidence: overallValuation.confidence,
-        reasoning: overallValuation.reasoning
-      },
-      interpretation: combinedSummary
-    };
-
-    return NextResponse.json(response);
+    const { status, body: response } = await valuePostItem(body, options);
+    return NextResponse.json(response, { status });
   } catch (error) {
-    return NextResponse.json({ error: error.message }, { status: 500 });
+    const quotaResponse = quotaExceededResponse(error);
+    if (quotaResponse) return quotaResponse;
+    return dataNotFoundResponse(error) || NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
 
@@ -384,16 +309,49 @@ export async function GET(request) {
   const { searchParams } = new URL(request.url);
   let input = searchParams.get('ticker');
   const includeAIAnalysis = searchParams.get('includeAI') === 'true';
+  // Chart controls only need the price series, so they skip the fundamentals, valuation and risk work
+  const chartOnly = searchParams.get('chartOnly') === 'true';
 
   if (!input) {
     return NextResponse.json({ error: 'Ticker or company name is required' }, { status: 400 });
   }
 
+  const { error: optionsError, provider, basis, rules } = resolveValuationOptions({
+    provider: searchParams.get('dataProvider'),
+    basis: searchParams.get('basis'),
+    profile: searchParams.get('profile'),
+    refresh: searchParams.get('refresh') === 'true'
+  });
+  if (optionsError) return NextResponse.json(optionsError, { status: 400 });
+
+  const range = (searchParams.get('range') || DEFAULT_PRICE_RANGE).toUpperCase();
+  const rangeError = validatePriceRange(range);
+  if (rangeError) return rangeError;
+
+  const { indicators, invalid: invalidIndicators } = parseIndicatorList(searchParams.get('indicators'));
+  if (invalidIndicators.length > 0) {
+    return NextResponse.json({
+      error: 'invalid_indicators',
+      message: `Unknown technical indicators: ${invalidIndicators.join(', ')}`,
+      availableIndicators: TECHNICAL_INDICATOR_NAMES
+    }, { status: 400 });
+  }
+
+  const comparisonSymbols = parseComparisonSymbols(searchParams.get('compare'));
+  if (comparisonSymbols.length > MAX_COMPARISON_SYMBOLS) {
+    return NextResponse.json({
+      error: 'too_many_comparisons',
+      message: `At most ${MAX_COMPARISON_SYMBOLS} comparison symbols can be overlaid at once`
+    }, { status: 400 });
+  }
+
+
   try {
     // Step 1: Resolve ticker or company name
+    const resolver = getResolverName(searchParams.get('resolver'), searchParams.get('provider'));
     const resolution = await resolveTickerOrCompanyName(input, {
       exchange: searchParams.get('exchange') || null,
-      provider: searchParams.get('provider') || 'auto',
+      provider: resolver,
       forceRefresh: searchParams.get('refresh') === 'true'
     });
 
@@ -433,50 +391,91 @@ export async function GET(request) {
       confidence: resolution.confidence
     });
 
-    // Step 2: Fetch financial data using resolved ticker
-    let data;
+    // Step 2: Fetch financial data and real-time price history concurrently, from the same provider
+    // (price history alone for chart-only requests)
     let priceHistory = null;
+    let priceHistorySource = null;
+    let technicalIndicators = {};
     
-    data = await fetchFinancialData(resolvedTicker);
-    // Try to fetch real-time price history if API is configured
-    if (API_KEY) {
-      const realPriceHistory = await fetchPriceHistory(resolvedTicker);
-      if (realPriceHistory) {
-        priceHistory = realPriceHistory;
-      }
+    const priceHistoryRequest = fetchPriceHistory(resolvedTicker, provider, { range, indicators });
+    // Risk starts after the chart fetch so a 6M or YTD chart's full daily series is reused from the cache
+    const riskRequest = priceHistoryRequest.then(() => (chartOnly ? null : fetchRiskMetrics(resolvedTicker, provider)));
+    // Comparisons run alongside risk; an SPY overlay on the 6M or YTD range shares the benchmark's cache entry and in-flight fetch
+    const comparisonsRequest = priceHistoryRequest.then(() => loadComparisonSymbols(comparisonSymbols, provider, {
+      range,
+      resolver,
+      forceRefresh: searchParams.get('refresh') === 'true',
+      seen: new Set([resolvedTicker])
+    }));
+    const [data, realPriceHistory, risk, comparisons] = await Promise.all([
+      chartOnly ? null : fetchFinancialData(resolvedTicker, provider, { basis }),
+      priceHistoryRequest,
+      riskRequest,
+      comparisonsRequest
+    ]);
+    if (realPriceHistory) {
+      ({ priceHistory, indicators: technicalIndicators } = realPriceHistory);
+      priceHistorySource = 'live';
     }
     
-    // If using demo data and don't have price history yet, get it
+    // Fall back to demo price history if the provider had none (too short to warm up most indicators)
     if (!priceHistory && hasDemoData(resolvedTicker)) {
       priceHistory = getDemoData(resolvedTicker).priceHistory;
+      priceHistorySource = 'demo';
+      technicalIndicators = calculateIndicators(priceHistory, indicators);
+    }
+
+    const chart = {
+      priceHistory: priceHistory || [],
+      priceRange: describePriceHistory(range, priceHistory, { source: priceHistorySource, warmUpBars: getIndicatorWarmUp(indicators) }),
+      technicalIndicators,
+      pricePerformance: buildPricePerformance(resolvedTicker, priceHistory || [], comparisons, { range })
+    };
+
+    if (chartOnly) {
+      return NextResponse.json({
+        ticker: resolvedTicker,
+        dataProvider: provider.name,
+        dataSources: { priceHistory: priceHistorySource },
+        ...chart,
+        cache: provider.cacheStatus,
+        quota: getAlphaVantageUsage(),
+        diagnostics: provider.diagnostics.summary(),
+        coalescing: getCoalescingStats(),
+        telemetry: resolution.telemetry
+      });
     }
+
+    const dataSources = { ...data.dataSources, priceHistory: priceHistorySource };
     
-    const { metrics, verdictScores } = calculateValuationMetrics(data);
-    const overallValuation = calculateOverallValuation(verdictScores);
-    const combinedSummary = generateCombinedSummary(metrics, verdictScores);
+    const { metrics, dcf, benchmarks, verdicts, overall, priceTargets, quality, interpretation } = evaluateValuation(data, { rules });
 
     const response = {
       ticker: resolvedTicker,
       companyName: data.companyName,
       sector: data.sector,
-      priceHistory: priceHistory || [],
-      rawData: {
-        marketCap: data.marketCap,
-        enterpriseValue: data.ev,
-        netIncome: data.netIncome,
-        revenue: data.totalRevenue,
-        operatingCashFlow: data.operatingCashFlow,
-        totalAssets: data.totalAssets,
-        totalLiabilities: data.totalLiabilities
-      },
+      dataProvider: provider.name,
+      dataSource: summarizeDataSources(dataSources),
+      dataSources,
+      ...chart,
+      rawData: buildRawData(data),
+      enterpriseValueBridge: data.enterpriseValueBridge || null,
+      basis: data.basis || null,
+      history: data.history || null,
       metrics,
-      verdicts: verdictScores,
-      overall: {
-        verdict: overallValuation.verdict,
-        confidence: overallValuation.confidence,
-        reasoning: overallValuation.reasoning
-      },
-      interpretation: combinedSummary,
+      dcf,
+      benchmarks,
+      rules,
+      verdicts,
+      overall,
+      priceTargets,
+      quality,
+      risk,
+      interpretation,
+      cache: provider.cacheStatus,
+      quota: getAlphaVantageUsage(),
+      diagnostics: provider.diagnostics.summary(),
+      coalescing: getCoalescingStats(),
       telemetry: resolution.telemetry
     };
 
@@ -498,6 +497,8 @@ export async function GET(request) {
     return NextResponse.json(response);
   } catch (error) {
     console.error('Valuation lookup error:', error.message);
-    return NextResponse.json({ error: error.message }, { status: 500 });
+    const quotaResponse = quotaExceededResponse(error);
+    if (quotaResponse) return quotaResponse;
+    return dataNotFoundResponse(error) || NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
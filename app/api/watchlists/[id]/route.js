@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { getWatchlist, renameWatchlist, deleteWatchlist, validateWatchlistName } from '../../../../lib/watchlistStore.js';
+import { resolveValuationOptions, readJsonBody, isJsonObject } from '../../../../lib/requestOptions.js';
+import { valueTicker } from '../../../../lib/valuationEngine.js';
+import { mapWithConcurrency } from '../../../../lib/asyncUtils.js';
+
+// Tickers valued at a time when building a watchlist view
+const VALUATION_CONCURRENCY = 2;
+
+// Multiples shown next to each watchlist ticker
+const KEY_MULTIPLES = ['pe', 'evEbitda', 'evRevenue', 'pb', 'fcfYield'];
+
+// Value one watchlist ticker down to its verdict and key multiples
+async function valueWatchlistTicker(ticker, options) {
+  try {
+    const valuation = await valueTicker(ticker, options.provider, options);
+    return {
+      ticker,
+      companyName: valuation.companyName,
+      dataSource: valuation.dataSource,
+      verdict: valuation.overall.verdict,
+      confidence: valuation.overall.confidence,
+      multiples: Object.fromEntries(KEY_MULTIPLES.map(key => [key, valuation.metrics[key] ?? null]))
+    };
+  } catch (error) {
+    console.warn(`Watchlist valuation failed for ${ticker}: ${error.message}`);
+    return { ticker, error: error.message };
+  }
+}
+
+// GET /api/watchlists/:id - the watchlist with the latest valuation of every ticker
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const { searchParams } = new URL(request.url);
+
+  try {
+    const options = resolveValuationOptions({
+      provider: searchParams.get('dataProvider'),
+      basis: searchParams.get('basis'),
+      profile: searchParams.get('profile'),
+      refresh: searchParams.get('refresh') === 'true'
+    });
+    if (options.error) return NextResponse.json(options.error, { status: 400 });
+
+    const watchlist = await getWatchlist(id);
+    if (!watchlist) return NextResponse.json({ error: 'watchlist_not_found', message: `No watchlist with id "${id}"` }, { status: 404 });
+
+    const items = await mapWithConcurrency(watchlist.tickers, VALUATION_CONCURRENCY, ticker => valueWatchlistTicker(ticker, options));
+
+    return NextResponse.json({
+      watchlist,
+      dataProvider: options.provider.name,
+      rules: options.rules,
+      items
+    });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// PATCH /api/watchlists/:id - rename: { name }
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+  const body = await readJsonBody(request);
+  if (!isJsonObject(body)) return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+
+  try {
+    const nameError = validateWatchlistName(body.name);
+    if (nameError) return NextResponse.json({ error: nameError }, { status: 400 });
+
+    const watchlist = await renameWatchlist(id, body.name);
+    if (!watchlist) return NextResponse.json({ error: 'watchlist_not_found', message: `No watchlist with id "${id}"` }, { status: 404 });
+
+    return NextResponse.json({ watchlist });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// DELETE /api/watchlists/:id
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+
+  try {
+    if (!(await deleteWatchlist(id))) {
+      return NextResponse.json({ error: 'watchlist_not_found', message: `No watchlist with id "${id}"` }, { status: 404 });
+    }
+    return NextResponse.json({ deleted: id });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
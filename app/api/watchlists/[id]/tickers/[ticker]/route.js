@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { removeWatchlistTicker } from '../../../../../../lib/watchlistStore.js';
+
+// DELETE /api/watchlists/:id/tickers/:ticker
+export async function DELETE(request, { params }) {
+  const { id, ticker } = await params;
+
+  try {
+    const watchlist = await removeWatchlistTicker(id, ticker);
+    if (!watchlist) return NextResponse.json({ error: 'watchlist_not_found', message: `No watchlist with id "${id}"` }, { status: 404 });
+
+    return NextResponse.json({ watchlist });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
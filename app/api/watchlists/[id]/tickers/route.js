@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getWatchlist, addWatchlistTickers, validateWatchlistTickers, normalizeWatchlistTicker, MAX_TICKERS_PER_LIST } from '../../../../../lib/watchlistStore.js';
+import { readJsonBody, isJsonObject } from '../../../../../lib/requestOptions.js';
+
+// POST /api/watchlists/:id/tickers - add tickers: { tickers: [...] } or { ticker }
+export async function POST(request, { params }) {
+  const { id } = await params;
+  const body = await readJsonBody(request);
+  if (!isJsonObject(body)) return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+
+  try {
+    const tickers = body.tickers ?? (body.ticker ? [body.ticker] : []);
+
+    const tickersError = tickers.length === 0 ? 'ticker or tickers is required' : validateWatchlistTickers(tickers);
+    if (tickersError) return NextResponse.json({ error: tickersError }, { status: 400 });
+
+    const current = await getWatchlist(id);
+    if (!current) return NextResponse.json({ error: 'watchlist_not_found', message: `No watchlist with id "${id}"` }, { status: 404 });
+
+    const combined = new Set([...current.tickers, ...tickers.map(normalizeWatchlistTicker)]);
+    if (combined.size > MAX_TICKERS_PER_LIST) {
+      return NextResponse.json({ error: `A watchlist can hold at most ${MAX_TICKERS_PER_LIST} tickers` }, { status: 400 });
+    }
+
+    const watchlist = await addWatchlistTickers(id, tickers);
+    if (!watchlist) return NextResponse.json({ error: 'watchlist_not_found', message: `No watchlist with id "${id}"` }, { status: 404 });
+
+    return NextResponse.json({ watchlist });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
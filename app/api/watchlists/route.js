@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { listWatchlists, createWatchlist, validateWatchlistName, validateWatchlistTickers } from '../../../lib/watchlistStore.js';
+import { readJsonBody, isJsonObject } from '../../../lib/requestOptions.js';
+
+// GET /api/watchlists - all saved watchlists (without valuations)
+export async function GET() {
+  try {
+    return NextResponse.json({ watchlists: await listWatchlists() });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// POST /api/watchlists - create a watchlist: { name, tickers? }
+export async function POST(request) {
+  const body = await readJsonBody(request);
+  if (!isJsonObject(body)) return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+
+  try {
+    const tickers = body.tickers ?? [];
+
+    const validationError = validateWatchlistName(body.name) || validateWatchlistTickers(tickers);
+    if (validationError) return NextResponse.json({ error: validationError }, { status: 400 });
+
+    const watchlist = await createWatchlist({ name: body.name, tickers });
+    return NextResponse.json({ watchlist }, { status: 201 });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
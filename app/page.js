@@ -1,7 +1,157 @@
 'use client';
 
-import { useState } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, BarChart, Bar, Cell, ComposedChart, ReferenceLine, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { listValuationProfiles, DEFAULT_PROFILE } from '../lib/valuationProfiles.js';
+import { PRICE_RANGE_NAMES, DEFAULT_PRICE_RANGE } from '../lib/priceRanges.js';
+import { TECHNICAL_INDICATOR_NAMES } from '../lib/technicalIndicators.js';
+
+const VALUATION_PROFILES = listValuationProfiles();
+
+// Series charted in the Financial History section
+const HISTORY_SERIES = [
+  { key: 'revenue', label: 'Revenue', color: '#2563eb' },
+  { key: 'ebitda', label: 'EBITDA', color: '#9333ea' },
+  { key: 'netIncome', label: 'Net Income', color: '#16a34a' },
+  { key: 'operatingCashFlow', label: 'Operating Cash Flow', color: '#0891b2' },
+  { key: 'totalAssets', label: 'Total Assets', color: '#db2777' },
+  { key: 'totalLiabilities', label: 'Total Liabilities', color: '#ea580c' }
+];
+
+// Steps of the enterprise value waterfall, in bridge order (sign: +1 adds to EV, -1 subtracts)
+const EV_BRIDGE_STEPS = [
+  { key: 'shortTermDebt', label: 'Short-term debt', sign: 1 },
+  { key: 'longTermDebt', label: 'Long-term debt', sign: 1 },
+  { key: 'capitalLeases', label: 'Capital leases', sign: 1 },
+  { key: 'minorityInterest', label: 'Minority interest', sign: 1 },
+  { key: 'preferredEquity', label: 'Preferred equity', sign: 1 },
+  { key: 'cashAndShortTermInvestments', label: 'Cash & ST investments', sign: -1 }
+];
+
+// Turn an EV bridge into floating waterfall bars (in billions): `base` is the invisible offset, `amount` the visible bar
+function buildEvWaterfall(bridge) {
+  const steps = bridge.notReported.length === EV_BRIDGE_STEPS.length
+    ? [{ label: 'Net debt & other claims', delta: bridge.netClaims }]
+    : EV_BRIDGE_STEPS.filter(({ key }) => bridge[key] !== null && bridge[key] !== 0)
+      .map(({ key, label, sign }) => ({ label, delta: sign * bridge[key] }));
+
+  const bars = [{ label: 'Market cap', base: 0, amount: bridge.marketCap / 1e9, kind: 'total' }];
+  let running = bridge.marketCap;
+  steps.forEach(({ label, delta }) => {
+    const next = running + delta;
+    bars.push({ label, base: Math.min(running, next) / 1e9, amount: Math.abs(delta) / 1e9, kind: delta >= 0 ? 'increase' : 'decrease' });
+    running = next;
+  });
+  bars.push({ label: 'Enterprise value', base: 0, amount: bridge.enterpriseValue / 1e9, kind: 'total' });
+  return bars;
+}
+
+const EV_WATERFALL_COLORS = { total: '#7c3aed', increase: '#dc2626', decrease: '#16a34a' };
+
+const PRICE_CHART_MODES = [
+  { mode: 'line', label: 'Line' },
+  { mode: 'candlestick', label: 'Candles' }
+];
+
+const CANDLE_COLORS = { up: '#16a34a', down: '#dc2626' };
+
+// Candlesticks are floating [low, high] bars; the shape draws the wick over that span and the open-close body
+const candleRange = (bar) => [bar.low, bar.high];
+
+function Candlestick({ x, y, width, height, payload }) {
+  const { open, high, low, close } = payload;
+  const color = close >= open ? CANDLE_COLORS.up : CANDLE_COLORS.down;
+  const top = Math.min(y, y + height);
+  const pixelsPerDollar = high > low ? Math.abs(height) / (high - low) : 0;
+  const bodyTop = top + (high - Math.max(open, close)) * pixelsPerDollar;
+  const bodyHeight = Math.max(Math.abs(close - open) * pixelsPerDollar, 1);
+  const center = x + width / 2;
+
+  return (
+    <g stroke={color} fill={color}>
+      <line x1={center} x2={center} y1={top} y2={top + Math.abs(height)} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} />
+    </g>
+  );
+}
+
+function formatVolume(volume) {
+  if (volume >= 1e9) return `${(volume / 1e9).toFixed(1)}B`;
+  if (volume >= 1e6) return `${(volume / 1e6).toFixed(1)}M`;
+  if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+  return String(volume);
+}
+
+// Indicator toggle labels, and the colors of their chart lines (keyed by flattened chart field)
+const INDICATOR_LABELS = {
+  sma20: 'SMA 20', sma50: 'SMA 50', sma200: 'SMA 200',
+  ema20: 'EMA 20', ema50: 'EMA 50', ema200: 'EMA 200',
+  bollinger: 'Bollinger', rsi: 'RSI', macd: 'MACD', range52w: '52W High/Low'
+};
+
+const INDICATOR_COLORS = {
+  sma20: '#f59e0b', sma50: '#ea580c', sma200: '#b91c1c',
+  ema20: '#14b8a6', ema50: '#0891b2', ema200: '#4f46e5',
+  bollinger_upper: '#9333ea', bollinger_middle: '#a855f7', bollinger_lower: '#9333ea',
+  rsi: '#db2777', macd_macd: '#2563eb', macd_signal: '#f59e0b', macd_histogram: '#94a3b8'
+};
+
+// Indicator values are null while they warm up
+function formatChartValue(value, digits, prefix = '') {
+  return value === null || value === undefined ? 'N/A' : `${prefix}${value.toFixed(digits)}`;
+}
+
+// Flatten indicator series into the chart rows: single-value series become `name`, multi-field ones `name_field`
+// (series are aligned with the bars by index)
+function mergeIndicators(bars, indicators = {}) {
+  return bars.map((bar, i) => {
+    const row = { ...bar };
+    Object.entries(indicators).forEach(([name, { values }]) => {
+      const { date, ...fields } = values[i] || {};
+      if ('value' in fields) row[name] = fields.value;
+      else Object.entries(fields).forEach(([field, value]) => { row[`${name}_${field}`] = value; });
+    });
+    return row;
+  });
+}
+
+// Line colors for comparison symbols, in the order they were requested
+const COMPARISON_COLORS = ['#f59e0b', '#16a34a', '#db2777', '#0891b2', '#7c3aed'];
+
+// Add the rebased performance lines to the chart rows by date: the stock as `performance`, each symbol as `compare_<ticker>`
+function mergePerformance(rows, performance) {
+  if (!performance) return rows;
+  const byDate = new Map(rows.map(row => [row.date, { ...row }]));
+  performance.values.forEach(({ date, value }) => {
+    if (byDate.has(date)) byDate.get(date).performance = value;
+  });
+  performance.symbols.filter(symbol => symbol.available).forEach(({ ticker, values }) => {
+    values.forEach(({ date, value }) => {
+      if (byDate.has(date)) byDate.get(date)[`compare_${ticker}`] = value;
+    });
+  });
+  return [...byDate.values()];
+}
+
+function formatPerformance(value) {
+  return value === null || value === undefined ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// Map per-share values onto the fair value gauge as a 0-100% position, with 10% padding on both sides
+function buildGaugeScale(targets) {
+  const values = [targets.low, targets.high, targets.fairValue, targets.price].filter(Number.isFinite);
+  const min = Math.min(...values) * 0.9;
+  const max = Math.max(...values) * 1.1;
+  return (value) => (max > min ? ((value - min) / (max - min)) * 100 : 50);
+}
+
+function formatUpside(upside) {
+  return upside === null ? 'N/A' : `${upside >= 0 ? '+' : ''}${upside.toFixed(1)}%`;
+}
+
+function formatRiskValue(value, suffix = '') {
+  return value === null ? 'N/A' : `${value.toFixed(2)}${suffix}`;
+}
 
 export default function Home() {
   const [ticker, setTicker] = useState('');
@@ -9,6 +159,176 @@ export default function Home() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [darkMode, setDarkMode] = useState(false);
+  const [profile, setProfile] = useState(DEFAULT_PROFILE);
+  const [priceRange, setPriceRange] = useState(DEFAULT_PRICE_RANGE);
+  const [rangeLoading, setRangeLoading] = useState(false);
+  const chartRequestId = useRef(0);
+  const [selectedIndicators, setSelectedIndicators] = useState([]);
+  const [chartMode, setChartMode] = useState('line');
+  const [comparisonInput, setComparisonInput] = useState('');
+  const [comparisonSymbols, setComparisonSymbols] = useState([]);
+  const [peerTickers, setPeerTickers] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [compareError, setCompareError] = useState(null);
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeWatchlistId, setActiveWatchlistId] = useState('');
+  const [watchlistView, setWatchlistView] = useState(null);
+  const [watchlistLoading, setWatchlistLoading] = useState(false);
+  const [watchlistError, setWatchlistError] = useState(null);
+  const [newWatchlistName, setNewWatchlistName] = useState('');
+  const [watchlistTicker, setWatchlistTicker] = useState('');
+  const [portfolio, setPortfolio] = useState(null);
+  const [portfolioLoading, setPortfolioLoading] = useState(false);
+  const [portfolioError, setPortfolioError] = useState(null);
+  const [holdingForm, setHoldingForm] = useState({ ticker: '', shares: '', costBasis: '' });
+
+  // Call a watchlist API route, surfacing its error message; resolves to the parsed body or null on failure
+  const watchlistRequest = async (path, options = {}) => {
+    setWatchlistError(null);
+    try {
+      const response = await fetch(`/api/watchlists${path}`, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setWatchlistError(result.message || result.error || 'Watchlist request failed');
+        return null;
+      }
+      return result;
+    } catch (err) {
+      setWatchlistError('Failed to reach the watchlist service. Please try again.');
+      return null;
+    }
+  };
+
+  const loadWatchlists = async () => {
+    const result = await watchlistRequest('');
+    if (result) setWatchlists(result.watchlists);
+  };
+
+  const openWatchlist = async (id) => {
+    setActiveWatchlistId(id);
+    setWatchlistView(null);
+    if (!id) return;
+    setWatchlistLoading(true);
+    const result = await watchlistRequest(`/${id}?profile=${encodeURIComponent(profile)}`);
+    if (result) setWatchlistView(result);
+    setWatchlistLoading(false);
+  };
+
+  const createWatchlist = async (e) => {
+    e.preventDefault();
+    const result = await watchlistRequest('', { method: 'POST', body: JSON.stringify({ name: newWatchlistName }) });
+    if (result) {
+      setNewWatchlistName('');
+      await loadWatchlists();
+      await openWatchlist(result.watchlist.id);
+    }
+  };
+
+  const renameWatchlist = async () => {
+    const name = window.prompt('New watchlist name', watchlistView?.watchlist.name || '');
+    if (!name) return;
+    const result = await watchlistRequest(`/${activeWatchlistId}`, { method: 'PATCH', body: JSON.stringify({ name }) });
+    if (result) {
+      await loadWatchlists();
+      setWatchlistView(view => view && { ...view, watchlist: result.watchlist });
+    }
+  };
+
+  const deleteWatchlist = async () => {
+    if (!window.confirm(`Delete watchlist "${watchlistView?.watchlist.name}"?`)) return;
+    const result = await watchlistRequest(`/${activeWatchlistId}`, { method: 'DELETE' });
+    if (result) {
+      await loadWatchlists();
+      await openWatchlist('');
+    }
+  };
+
+  const addToWatchlist = async (symbol) => {
+    const result = await watchlistRequest(`/${activeWatchlistId}/tickers`, { method: 'POST', body: JSON.stringify({ ticker: symbol }) });
+    if (result) {
+      setWatchlistTicker('');
+      await loadWatchlists();
+      await openWatchlist(activeWatchlistId);
+    }
+  };
+
+  const removeFromWatchlist = async (symbol) => {
+    const result = await watchlistRequest(`/${activeWatchlistId}/tickers/${encodeURIComponent(symbol)}`, { method: 'DELETE' });
+    if (result) {
+      await loadWatchlists();
+      await openWatchlist(activeWatchlistId);
+    }
+  };
+
+  const loadPortfolio = async () => {
+    setPortfolioLoading(true);
+    setPortfolioError(null);
+    try {
+      const response = await fetch(`/api/portfolio?profile=${encodeURIComponent(profile)}`);
+      const result = await response.json();
+      if (response.ok) {
+        setPortfolio(result);
+      } else {
+        setPortfolioError(result.message || result.error || 'Failed to value portfolio');
+      }
+    } catch (err) {
+      setPortfolioError('Failed to value portfolio. Please try again.');
+    } finally {
+      setPortfolioLoading(false);
+    }
+  };
+
+  const saveHolding = async (e) => {
+    e.preventDefault();
+    setPortfolioError(null);
+    try {
+      const response = await fetch('/api/portfolio', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ticker: holdingForm.ticker,
+          shares: Number(holdingForm.shares),
+          costBasis: Number(holdingForm.costBasis)
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setPortfolioError(result.error || 'Failed to save holding');
+        return;
+      }
+      setHoldingForm({ ticker: '', shares: '', costBasis: '' });
+      await loadPortfolio();
+    } catch (err) {
+      setPortfolioError('Failed to save holding. Please try again.');
+    }
+  };
+
+  const removeHolding = async (symbol) => {
+    setPortfolioError(null);
+    try {
+      const response = await fetch(`/api/portfolio/holdings/${encodeURIComponent(symbol)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const result = await response.json();
+        setPortfolioError(result.message || result.error || 'Failed to remove holding');
+        return;
+      }
+      await loadPortfolio();
+    } catch (err) {
+      setPortfolioError('Failed to remove holding. Please try again.');
+    }
+  };
+
+  // Load saved watchlists once on mount
+  useEffect(() => {
+    fetch('/api/watchlists')
+      .then(response => response.json())
+      .then(result => setWatchlists(result.watchlists || []))
+      .catch(() => setWatchlistError('Failed to load watchlists.'));
+  }, []);
 
   const scrollToSection = (sectionId) => {
     const element = document.getElementById(sectionId);
@@ -19,12 +339,15 @@ export default function Home() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // A chart reload still in flight belongs to the previous ticker
+    chartRequestId.current += 1;
+    setRangeLoading(false);
     setLoading(true);
     setError(null);
     setData(null);
 
     try {
-      const response = await fetch(`/api/valuation?ticker=${encodeURIComponent(ticker)}`);
+      const response = await fetch(valuationUrl(ticker, priceRange, selectedIndicators, comparisonSymbols));
       const result = await response.json();
       
       if (response.ok) {
@@ -49,6 +372,134 @@ export default function Home() {
     }
   };
 
+  const valuationUrl = (tickerValue, range, indicators, symbols, chartOnly = false) => {
+    const indicatorParam = indicators.length > 0 ? `&indicators=${indicators.join(',')}` : '';
+    const compareParam = symbols.length > 0 ? `&compare=${encodeURIComponent(symbols.join(','))}` : '';
+    const chartParam = chartOnly ? '&chartOnly=true' : '';
+    return `/api/valuation?ticker=${encodeURIComponent(tickerValue)}&profile=${encodeURIComponent(profile)}&range=${range}${indicatorParam}${compareParam}${chartParam}`;
+  };
+
+  // Reload the current ticker's chart with another range, indicator set or comparison symbols, keeping the page on screen meanwhile
+  const reloadChart = async (range, indicators, symbols = comparisonSymbols) => {
+    setPriceRange(range);
+    setSelectedIndicators(indicators);
+    setComparisonSymbols(symbols);
+    if (!data) return;
+    setRangeLoading(true);
+    // Only the latest reload may update the chart; quick clicks can get their responses out of order
+    const requestId = ++chartRequestId.current;
+    const isStale = () => requestId !== chartRequestId.current;
+
+    try {
+      const response = await fetch(valuationUrl(data.ticker, range, indicators, symbols, true));
+      const result = await response.json();
+      if (isStale()) return;
+      if (response.ok) {
+        // Only the chart fields come back; the valuation already on screen stays as it is
+        setData(current => ({
+          ...current,
+          priceHistory: result.priceHistory,
+          priceRange: result.priceRange,
+          technicalIndicators: result.technicalIndicators,
+          pricePerformance: result.pricePerformance,
+          dataSources: { ...current.dataSources, priceHistory: result.dataSources.priceHistory }
+        }));
+      } else {
+        setError(result.message || result.error || 'An error occurred');
+      }
+    } catch (err) {
+      if (!isStale()) setError('Failed to fetch price history. Please try again.');
+    } finally {
+      if (!isStale()) setRangeLoading(false);
+    }
+  };
+
+  const toggleIndicator = (name) => {
+    const indicators = selectedIndicators.includes(name)
+      ? selectedIndicators.filter(selected => selected !== name)
+      : [...selectedIndicators, name];
+    reloadChart(priceRange, indicators);
+  };
+
+  const handleComparisonSubmit = (e) => {
+    e.preventDefault();
+    const symbols = [...new Set(comparisonInput.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+    reloadChart(priceRange, selectedIndicators, symbols);
+  };
+
+  const handleCompare = async (e) => {
+    e.preventDefault();
+    setComparing(true);
+    setCompareError(null);
+    setComparison(null);
+
+    try {
+      const response = await fetch(`/api/compare?tickers=${encodeURIComponent(peerTickers)}&profile=${encodeURIComponent(profile)}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setComparison(result);
+      } else {
+        setCompareError(result.error || 'An error occurred');
+      }
+    } catch (err) {
+      setCompareError('Failed to fetch comparison. Please try again.');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  // Shade a peer value green when it ranks cheap within the group and red when it ranks expensive
+  const percentileClass = (percentile, higherIsCheaper) => {
+    if (percentile === null) return '';
+    const cheapness = higherIsCheaper ? percentile : 100 - percentile;
+    if (cheapness >= 67) return darkMode ? 'text-green-300' : 'text-green-700';
+    if (cheapness <= 33) return darkMode ? 'text-red-300' : 'text-red-700';
+    return '';
+  };
+
+  const upsideClass = (upside) => {
+    if (upside === null) return darkMode ? 'text-slate-300' : 'text-slate-600';
+    if (upside >= 0) return darkMode ? 'text-green-300' : 'text-green-700';
+    return darkMode ? 'text-red-300' : 'text-red-700';
+  };
+
+  // Demo price history has closes only, so candlesticks and volume need every bar to carry them
+  const priceBars = data?.priceHistory || [];
+  const hasOhlc = priceBars.length > 0 && priceBars.every(bar => [bar.open, bar.high, bar.low].every(Number.isFinite));
+  const hasVolume = priceBars.length > 0 && priceBars.every(bar => Number.isFinite(bar.volume));
+  // With comparison symbols the chart switches to rebased lines, which candles and price overlays can't share an axis with
+  const performance = data?.pricePerformance || null;
+  const comparedSymbols = performance ? performance.symbols.filter(symbol => symbol.available) : [];
+  const isComparing = comparedSymbols.length > 0;
+  const showCandles = chartMode === 'candlestick' && hasOhlc && !isComparing;
+
+  const indicators = data?.technicalIndicators || {};
+  const chartRows = mergePerformance(mergeIndicators(priceBars, indicators), isComparing ? performance : null);
+  const latest52w = isComparing ? null : indicators.range52w?.values.at(-1) || null;
+  const chartTooltipProps = {
+    contentStyle: {
+      backgroundColor: darkMode ? '#1e293b' : '#fff',
+      border: darkMode ? '1px solid #475569' : '1px solid #e2e8f0',
+      borderRadius: '8px',
+      color: darkMode ? '#e2e8f0' : '#1e293b'
+    },
+    labelStyle: { color: darkMode ? '#e2e8f0' : '#1e293b' }
+  };
+
+  const priceTargets = data?.priceTargets?.available ? data.priceTargets : null;
+  const gaugePosition = priceTargets ? buildGaugeScale(priceTargets) : null;
+
+  const risk = data?.risk?.available ? data.risk : null;
+  const riskCards = risk ? [
+    { label: 'Volatility', value: formatRiskValue(risk.volatility, '%'), note: `Annualized over ${risk.window}` },
+    { label: `Beta vs ${risk.benchmark}`, value: formatRiskValue(risk.beta), note: risk.correlation === null ? risk.benchmarkReason || 'Too few overlapping days' : `Correlation ${risk.correlation.toFixed(2)}` },
+    { label: 'Max Drawdown', value: formatRiskValue(risk.maxDrawdown.value, '%'), note: risk.maxDrawdown.peakDate ? `${risk.maxDrawdown.peakDate} to ${risk.maxDrawdown.troughDate}` : 'No decline in period' },
+    { label: 'Sharpe Ratio', value: formatRiskValue(risk.sharpeRatio), note: `Risk-free rate ${risk.riskFreeRate}%` },
+    { label: 'Sortino Ratio', value: formatRiskValue(risk.sortinoRatio), note: 'Downside volatility only' },
+    { label: `Value at Risk (${risk.valueAtRisk.confidence}%)`, value: formatRiskValue(risk.valueAtRisk.value, '%'), note: `${risk.valueAtRisk.horizonDays}-day historical loss` }
+  ] : [];
+
   return (
     <div className={`min-h-screen transition-colors duration-300 ${darkMode ? 'bg-gradient-to-b from-slate-900 to-slate-800' : 'bg-gradient-to-b from-slate-50 to-slate-100'}`}>
       {/* Navigation Bar */}
@@ -58,8 +509,15 @@ export default function Home() {
             <h1 className="text-2xl font-bold text-blue-600">Stock Analyzer</h1>
             <div className="hidden md:flex gap-8 text-sm font-medium">
               <button onClick={() => scrollToSection('hero')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Home</button>
+              <button onClick={() => scrollToSection('fair-value')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Fair Value</button>
               <button onClick={() => scrollToSection('metrics')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Valuation Metrics</button>
+              <button onClick={() => scrollToSection('quality')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Quality</button>
+              <button onClick={() => scrollToSection('risk')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Risk</button>
               <button onClick={() => scrollToSection('overview')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Financial Overview</button>
+              <button onClick={() => scrollToSection('history')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>History</button>
+              <button onClick={() => scrollToSection('compare')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Compare</button>
+              <button onClick={() => scrollToSection('watchlists')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Watchlists</button>
+              <button onClick={() => scrollToSection('portfolio')} className={`${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'} transition-colors cursor-pointer`}>Portfolio</button>
             </div>
           </div>
           <div className="flex items-center gap-4">
@@ -111,6 +569,24 @@ export default function Home() {
                 {loading ? 'Analyzing...' : 'Search'}
               </button>
             </div>
+            <div className="flex items-center justify-end gap-3">
+              <label htmlFor="profile" className={`text-sm font-medium ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Valuation profile</label>
+              <select
+                id="profile"
+                value={profile}
+                onChange={(e) => setProfile(e.target.value)}
+                title={VALUATION_PROFILES.find(p => p.name === profile)?.description}
+                className={`px-3 py-2 border rounded-md text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  darkMode
+                    ? 'bg-slate-700 text-white border-slate-600'
+                    : 'bg-white text-slate-700 border-slate-300'
+                }`}
+              >
+                {VALUATION_PROFILES.map(p => (
+                  <option key={p.name} value={p.name}>{p.label}</option>
+                ))}
+              </select>
+            </div>
           </div>
         </form>
 
@@ -127,15 +603,35 @@ export default function Home() {
 
         {data && (
           <div className="space-y-8">
-            {/* Real-Time Data Notice */}
-            <div className={`border-2 px-6 py-4 rounded-lg shadow-sm ${
-              darkMode
-                ? 'bg-green-900 border-green-700 text-green-200'
-                : 'bg-green-50 border-green-300 text-green-900'
-            }`}>
-              <p className={`font-semibold ${darkMode ? 'text-green-100' : ''}`}>✓ Real-Time Data</p>
-              <p className="mt-1 text-sm">Stock prices and financial data are fetched from live market feeds.</p>
-            </div>
+            {/* Data Source Notice */}
+            {data.dataSource === 'live' ? (
+              <div className={`border-2 px-6 py-4 rounded-lg shadow-sm ${
+                darkMode
+                  ? 'bg-green-900 border-green-700 text-green-200'
+                  : 'bg-green-50 border-green-300 text-green-900'
+              }`}>
+                <p className={`font-semibold ${darkMode ? 'text-green-100' : ''}`}>✓ Live Data</p>
+                <p className="mt-1 text-sm">Stock prices and financial data are fetched from live market feeds.</p>
+              </div>
+            ) : (
+              <div className={`border-2 px-6 py-4 rounded-lg shadow-sm ${
+                darkMode
+                  ? 'bg-amber-900 border-amber-700 text-amber-200'
+                  : 'bg-amber-50 border-amber-300 text-amber-900'
+              }`}>
+                <p className={`font-semibold ${darkMode ? 'text-amber-100' : ''}`}>
+                  {data.dataSource === 'mixed' ? '◐ Partially Live Data' : '⚠ Demo Data'}
+                </p>
+                <p className="mt-1 text-sm">
+                  {data.dataSource === 'mixed'
+                    ? `Live data providers were partly unavailable. Demo values are shown for: ${Object.entries(data.dataSources || {})
+                        .filter(([, source]) => source && source !== 'live')
+                        .map(([field]) => field)
+                        .join(', ')}.`
+                    : 'Live data providers are unavailable or not configured, so sample figures are shown for illustration only.'}
+                </p>
+              </div>
+            )}
 
             {/* Company Header Card - Horizontal Layout */}
             <div className={`rounded-lg shadow-md border p-10 transition-colors ${
@@ -146,6 +642,14 @@ export default function Home() {
               <div className="flex items-center gap-12 mb-8">
                 <div>
                   <h3 className="text-6xl font-bold text-blue-600">{data.ticker}</h3>
+                  {activeWatchlistId && watchlistView && !watchlistView.watchlist.tickers.includes(data.ticker) && (
+                    <button
+                      onClick={() => addToWatchlist(data.ticker)}
+                      className="mt-3 text-sm font-semibold text-blue-600 hover:text-blue-700"
+                    >
+                      + Add to {watchlistView.watchlist.name}
+                    </button>
+                  )}
                 </div>
                 <div className={`flex-1 border-l-2 pl-10 ${darkMode ? 'border-slate-600' : 'border-slate-200'}`}>
                   <p className={`text-lg font-semibold mb-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>{data.companyName}</p>
@@ -162,9 +666,107 @@ export default function Home() {
               {/* Stock Price Chart */}
               {data.priceHistory && data.priceHistory.length > 0 && (
                 <div className={`mt-10 pt-10 border-t ${darkMode ? 'border-slate-600' : 'border-slate-200'}`}>
-                  <h4 className={`text-lg font-semibold mb-6 ${darkMode ? 'text-white' : 'text-slate-900'}`}>7-Day Price History</h4>
+                  <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                    <h4 className={`text-lg font-semibold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+                      Price History ({data.priceRange?.range || priceRange})
+                    </h4>
+                    <div className="flex flex-wrap gap-4">
+                      <div className="flex gap-1">
+                        {PRICE_CHART_MODES.map(({ mode, label }) => (
+                          <button
+                            key={mode}
+                            onClick={() => setChartMode(mode)}
+                            disabled={mode === 'candlestick' && (!hasOhlc || isComparing)}
+                            title={mode === 'candlestick' && !hasOhlc ? 'Open, high and low prices are not available for this history' : undefined}
+                            className={`px-3 py-1 rounded text-xs font-semibold transition-colors disabled:opacity-50 ${
+                              (mode === 'candlestick') === showCandles
+                                ? 'bg-blue-600 text-white'
+                                : darkMode ? 'bg-slate-600 text-slate-200 hover:bg-slate-500' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="flex gap-1">
+                        {PRICE_RANGE_NAMES.map((range) => (
+                          <button
+                            key={range}
+                            onClick={() => reloadChart(range, selectedIndicators)}
+                            disabled={rangeLoading}
+                            className={`px-3 py-1 rounded text-xs font-semibold transition-colors disabled:opacity-50 ${
+                              (data.priceRange?.range || priceRange) === range
+                                ? 'bg-blue-600 text-white'
+                                : darkMode ? 'bg-slate-600 text-slate-200 hover:bg-slate-500' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+                            }`}
+                          >
+                            {range}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-1 mb-4">
+                    {TECHNICAL_INDICATOR_NAMES.map((name) => (
+                      <button
+                        key={name}
+                        onClick={() => toggleIndicator(name)}
+                        disabled={rangeLoading}
+                        className={`px-2 py-1 rounded-full text-xs font-semibold border transition-colors disabled:opacity-50 ${
+                          selectedIndicators.includes(name)
+                            ? 'bg-blue-600 border-blue-600 text-white'
+                            : darkMode ? 'border-slate-500 text-slate-300 hover:bg-slate-600' : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+                        }`}
+                      >
+                        {INDICATOR_LABELS[name]}
+                      </button>
+                    ))}
+                  </div>
+                  <form onSubmit={handleComparisonSubmit} className="flex flex-wrap items-center gap-2 mb-4">
+                    <input
+                      type="text"
+                      value={comparisonInput}
+                      onChange={(e) => setComparisonInput(e.target.value)}
+                      placeholder="Compare with SPY, AMD"
+                      className={`px-3 py-1 border rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors ${
+                        darkMode
+                          ? 'bg-slate-600 text-white border-slate-500 placeholder-slate-400'
+                          : 'bg-white text-slate-700 border-slate-300 placeholder-slate-500'
+                      }`}
+                    />
+                    <button
+                      type="submit"
+                      disabled={rangeLoading}
+                      className="px-3 py-1 rounded text-xs font-semibold bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                    >
+                      Overlay
+                    </button>
+                    {comparisonSymbols.length > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => { setComparisonInput(''); reloadChart(priceRange, selectedIndicators, []); }}
+                        disabled={rangeLoading}
+                        className={`px-3 py-1 rounded text-xs font-semibold transition-colors disabled:opacity-50 ${darkMode ? 'bg-slate-600 text-slate-200 hover:bg-slate-500' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'}`}
+                      >
+                        Clear
+                      </button>
+                    )}
+                    {performance?.symbols.filter(symbol => !symbol.available).map((symbol) => (
+                      <span key={symbol.input} className={`text-xs ${darkMode ? 'text-red-300' : 'text-red-700'}`}>{symbol.error}</span>
+                    ))}
+                  </form>
+                  {data.priceRange?.fallbackReason && (
+                    <p className={`text-xs mb-4 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>{data.priceRange.fallbackReason}</p>
+                  )}
+                  {latest52w && (
+                    <p className={`text-sm mb-4 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                      {Math.abs(latest52w.fromHigh).toFixed(1)}% below the 52-week high of ${latest52w.high.toFixed(2)},{' '}
+                      {latest52w.fromLow.toFixed(1)}% above the low of ${latest52w.low.toFixed(2)}
+                      {!latest52w.complete && ' (less than a year of data in this range)'}
+                    </p>
+                  )}
                   <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={data.priceHistory}>
+                    <ComposedChart data={chartRows} syncId="price-history">
                       <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#475569' : '#e2e8f0'} />
                       <XAxis 
                         dataKey="displayDate" 
@@ -174,8 +776,9 @@ export default function Home() {
                       <YAxis 
                         stroke={darkMode ? '#cbd5e1' : '#64748b'}
                         style={{ fontSize: '12px' }}
-                        domain={['dataMin - 5', 'dataMax + 5']}
-                        label={{ value: 'Price ($)', angle: -90, position: 'insideLeft' }}
+                        width={70}
+                        domain={isComparing ? ['auto', 'auto'] : ['dataMin - 5', 'dataMax + 5']}
+                        label={{ value: isComparing ? `Indexed (start = ${performance.base})` : 'Price ($)', angle: -90, position: 'insideLeft' }}
                       />
                       <Tooltip 
                         contentStyle={{
@@ -184,20 +787,134 @@ export default function Home() {
                           borderRadius: '8px',
                           color: darkMode ? '#e2e8f0' : '#1e293b'
                         }}
-                        formatter={(value) => `$${value.toFixed(2)}`}
+                        formatter={(value, name, item) => (name === 'OHLC'
+                          ? `O ${item.payload.open.toFixed(2)}  H ${item.payload.high.toFixed(2)}  L ${item.payload.low.toFixed(2)}  C ${item.payload.close.toFixed(2)}`
+                          : formatChartValue(value, 2, isComparing ? '' : '$'))}
                         labelStyle={{ color: darkMode ? '#e2e8f0' : '#1e293b' }}
                       />
-                      <Line 
-                        type="monotone" 
-                        dataKey="price" 
-                        stroke="#2563eb" 
-                        strokeWidth={3}
-                        dot={{ fill: '#2563eb', r: 5 }}
-                        activeDot={{ r: 7 }}
-                        isAnimationActive={true}
-                      />
-                    </LineChart>
+                      {isComparing ? (
+                        <Line type="monotone" dataKey="performance" name={data.ticker} stroke="#2563eb" strokeWidth={3} dot={false} connectNulls isAnimationActive={false} />
+                      ) : showCandles ? (
+                        <Bar dataKey={candleRange} name="OHLC" shape={<Candlestick />} isAnimationActive={false} />
+                      ) : (
+                        <Line 
+                          type="monotone" 
+                          dataKey="price" 
+                          stroke="#2563eb" 
+                          strokeWidth={3}
+                          dot={data.priceHistory.length <= 31 ? { fill: '#2563eb', r: 5 } : false}
+                          activeDot={{ r: 7 }}
+                          isAnimationActive={true}
+                        />
+                      )}
+                      {comparedSymbols.map(({ ticker: symbol }, i) => (
+                        <Line key={symbol} type="monotone" dataKey={`compare_${symbol}`} name={symbol} stroke={COMPARISON_COLORS[i % COMPARISON_COLORS.length]} strokeWidth={2} dot={false} connectNulls isAnimationActive={false} />
+                      ))}
+                      {isComparing && <ReferenceLine y={performance.base} stroke={darkMode ? '#64748b' : '#cbd5e1'} strokeDasharray="4 3" />}
+                      {!isComparing && ['sma20', 'sma50', 'sma200', 'ema20', 'ema50', 'ema200'].filter(name => indicators[name]).map((name) => (
+                        <Line key={name} type="monotone" dataKey={name} name={indicators[name].label} stroke={INDICATOR_COLORS[name]} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                      ))}
+                      {!isComparing && indicators.bollinger && ['upper', 'middle', 'lower'].map((band) => (
+                        <Line key={band} type="monotone" dataKey={`bollinger_${band}`} name={`Bollinger ${band}`} stroke={INDICATOR_COLORS[`bollinger_${band}`]} strokeWidth={1} strokeDasharray={band === 'middle' ? undefined : '4 3'} dot={false} isAnimationActive={false} />
+                      ))}
+                      {latest52w && <ReferenceLine y={latest52w.high} stroke={CANDLE_COLORS.up} strokeDasharray="6 4" label={{ value: '52W high', position: 'insideTopRight', fontSize: 11 }} />}
+                      {latest52w && <ReferenceLine y={latest52w.low} stroke={CANDLE_COLORS.down} strokeDasharray="6 4" label={{ value: '52W low', position: 'insideBottomRight', fontSize: 11 }} />}
+                    </ComposedChart>
                   </ResponsiveContainer>
+                  {hasVolume && (
+                    <ResponsiveContainer width="100%" height={100}>
+                      <BarChart data={data.priceHistory} syncId="price-history">
+                        <XAxis dataKey="displayDate" hide />
+                        <YAxis
+                          stroke={darkMode ? '#cbd5e1' : '#64748b'}
+                          style={{ fontSize: '12px' }}
+                          width={70}
+                          tickFormatter={formatVolume}
+                        />
+                        <Tooltip
+                          contentStyle={{
+                            backgroundColor: darkMode ? '#1e293b' : '#fff',
+                            border: darkMode ? '1px solid #475569' : '1px solid #e2e8f0',
+                            borderRadius: '8px',
+                            color: darkMode ? '#e2e8f0' : '#1e293b'
+                          }}
+                          formatter={(value) => formatVolume(value)}
+                          labelStyle={{ color: darkMode ? '#e2e8f0' : '#1e293b' }}
+                        />
+                        <Bar dataKey="volume" name="Volume" isAnimationActive={false}>
+                          {data.priceHistory.map((bar) => (
+                            <Cell key={bar.date} fill={bar.close >= bar.open ? CANDLE_COLORS.up : CANDLE_COLORS.down} fillOpacity={0.6} />
+                          ))}
+                        </Bar>
+                      </BarChart>
+                    </ResponsiveContainer>
+                  )}
+                  {indicators.rsi && (
+                    <div className="mt-4">
+                      <p className={`text-xs font-semibold mb-1 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{indicators.rsi.label}</p>
+                      <ResponsiveContainer width="100%" height={120}>
+                        <LineChart data={chartRows} syncId="price-history">
+                          <XAxis dataKey="displayDate" hide />
+                          <YAxis stroke={darkMode ? '#cbd5e1' : '#64748b'} style={{ fontSize: '12px' }} width={70} domain={[0, 100]} ticks={[30, 70]} />
+                          <Tooltip {...chartTooltipProps} formatter={(value) => formatChartValue(value, 1)} />
+                          <ReferenceLine y={70} stroke={CANDLE_COLORS.down} strokeDasharray="4 3" />
+                          <ReferenceLine y={30} stroke={CANDLE_COLORS.up} strokeDasharray="4 3" />
+                          <Line type="monotone" dataKey="rsi" name="RSI" stroke={INDICATOR_COLORS.rsi} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  )}
+                  {indicators.macd && (
+                    <div className="mt-4">
+                      <p className={`text-xs font-semibold mb-1 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{indicators.macd.label}</p>
+                      <ResponsiveContainer width="100%" height={120}>
+                        <ComposedChart data={chartRows} syncId="price-history">
+                          <XAxis dataKey="displayDate" hide />
+                          <YAxis stroke={darkMode ? '#cbd5e1' : '#64748b'} style={{ fontSize: '12px' }} width={70} />
+                          <Tooltip {...chartTooltipProps} formatter={(value) => formatChartValue(value, 2)} />
+                          <ReferenceLine y={0} stroke={darkMode ? '#64748b' : '#cbd5e1'} />
+                          <Bar dataKey="macd_histogram" name="Histogram" fill={INDICATOR_COLORS.macd_histogram} isAnimationActive={false} />
+                          <Line type="monotone" dataKey="macd_macd" name="MACD" stroke={INDICATOR_COLORS.macd_macd} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                          <Line type="monotone" dataKey="macd_signal" name="Signal" stroke={INDICATOR_COLORS.macd_signal} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                  )}
+                  {isComparing && performance.periods.length > 0 && (
+                    <div className="mt-6 overflow-x-auto">
+                      <p className={`text-xs font-semibold mb-2 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Relative Performance</p>
+                      <table className={`w-full text-sm ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+                        <thead>
+                          <tr className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-200'}`}>
+                            <th className="text-left py-2 px-2 font-semibold">Period</th>
+                            <th className="text-right py-2 px-2 font-semibold">{data.ticker}</th>
+                            {comparedSymbols.map(({ ticker: symbol }) => (
+                              <th key={symbol} className="text-right py-2 px-2 font-semibold">{symbol}</th>
+                            ))}
+                            {comparedSymbols.map(({ ticker: symbol }) => (
+                              <th key={symbol} className="text-right py-2 px-2 font-semibold">vs {symbol}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {performance.periods.map(({ period, returns, relative }) => (
+                            <tr key={period} className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                              <td className="py-2 px-2 font-semibold">{period}</td>
+                              <td className="text-right py-2 px-2">{formatPerformance(returns[data.ticker])}</td>
+                              {comparedSymbols.map(({ ticker: symbol }) => (
+                                <td key={symbol} className="text-right py-2 px-2">{formatPerformance(returns[symbol])}</td>
+                              ))}
+                              {comparedSymbols.map(({ ticker: symbol }) => (
+                                <td key={symbol} className={`text-right py-2 px-2 font-semibold ${upsideClass(relative[symbol] ?? null)}`}>
+                                  {relative[symbol] === null ? 'N/A' : `${relative[symbol] >= 0 ? '+' : ''}${relative[symbol].toFixed(2)} pts`}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -224,6 +941,9 @@ export default function Home() {
                   {data.overall.verdict.toUpperCase()}
                 </p>
                 <p className={`text-lg font-bold ${darkMode ? 'text-slate-300' : 'text-slate-700'}`}>{data.overall.confidence}% Confidence</p>
+                {data.rules && (
+                  <p className={`text-sm mt-2 ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>{data.rules.label} profile</p>
+                )}
               </div>
 
               <div className={`rounded-lg p-8 shadow-md border-2 col-span-1 md:col-span-2 transition-colors ${
@@ -238,6 +958,86 @@ export default function Home() {
               </div>
             </div>
 
+            {/* Quality warnings on the overall verdict */}
+            {data.overall.warnings?.length > 0 && (
+              <div className={`rounded-lg p-6 border-2 ${
+                darkMode ? 'bg-amber-900 border-amber-700 text-amber-100' : 'bg-amber-50 border-amber-300 text-amber-900'
+              }`}>
+                <p className="text-sm font-semibold mb-3 uppercase tracking-wide">Quality warnings</p>
+                <ul className="space-y-2">
+                  {data.overall.warnings.map((warning) => (
+                    <li key={warning.score} className="text-sm">
+                      <span className="font-bold">{warning.severity === 'high' ? '⚠ ' : ''}</span>{warning.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Fair value vs price gauge */}
+            {priceTargets && (
+              <div id="fair-value" className={`rounded-lg shadow-md border p-10 transition-colors ${
+                darkMode
+                  ? 'bg-slate-700 border-slate-600'
+                  : 'bg-white border-slate-200'
+              }`}>
+                <h3 className={`text-2xl font-bold mb-8 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Fair Value vs Price</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-10">
+                  <div>
+                    <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>Fair Value / Share</p>
+                    <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>${priceTargets.fairValue.toFixed(2)}</p>
+                    <p className={`text-xs mt-1 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>Range ${priceTargets.low.toFixed(2)} – ${priceTargets.high.toFixed(2)}</p>
+                  </div>
+                  <div>
+                    <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>Current Price</p>
+                    <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{priceTargets.price === null ? 'N/A' : `$${priceTargets.price.toFixed(2)}`}</p>
+                  </div>
+                  <div>
+                    <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-400' : 'text-slate-600'}`}>{priceTargets.upside !== null && priceTargets.upside < 0 ? 'Downside' : 'Upside'}</p>
+                    <p className={`text-3xl font-bold ${upsideClass(priceTargets.upside)}`}>{formatUpside(priceTargets.upside)}</p>
+                  </div>
+                </div>
+
+                <div className={`relative h-4 rounded-full mb-10 ${darkMode ? 'bg-slate-600' : 'bg-slate-200'}`}>
+                  <div
+                    className={`absolute h-4 rounded-full ${darkMode ? 'bg-blue-700' : 'bg-blue-200'}`}
+                    style={{ left: `${gaugePosition(priceTargets.low)}%`, width: `${gaugePosition(priceTargets.high) - gaugePosition(priceTargets.low)}%` }}
+                  />
+                  <div className="absolute -top-2 h-8 w-1 bg-blue-600" style={{ left: `${gaugePosition(priceTargets.fairValue)}%` }} title="Fair value">
+                    <span className="absolute top-9 -translate-x-1/2 text-xs font-semibold text-blue-600 whitespace-nowrap">Fair value</span>
+                  </div>
+                  {priceTargets.price !== null && (
+                    <div className={`absolute -top-2 h-8 w-1 ${darkMode ? 'bg-white' : 'bg-slate-900'}`} style={{ left: `${gaugePosition(priceTargets.price)}%` }} title="Price">
+                      <span className={`absolute -top-6 -translate-x-1/2 text-xs font-semibold whitespace-nowrap ${darkMode ? 'text-white' : 'text-slate-900'}`}>Price</span>
+                    </div>
+                  )}
+                </div>
+
+                <table className={`w-full text-sm ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+                  <thead>
+                    <tr className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-200'}`}>
+                      <th className="text-left py-2 px-2">Model</th>
+                      <th className="text-right py-2 px-2">Low</th>
+                      <th className="text-right py-2 px-2">Target</th>
+                      <th className="text-right py-2 px-2">High</th>
+                      <th className="text-right py-2 px-2">Upside</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {priceTargets.models.map((model) => (
+                      <tr key={model.key} className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                        <td className="py-2 px-2 font-semibold">{model.label}</td>
+                        <td className="text-right py-2 px-2">${model.low.toFixed(2)}</td>
+                        <td className="text-right py-2 px-2 font-semibold">${model.mid.toFixed(2)}</td>
+                        <td className="text-right py-2 px-2">${model.high.toFixed(2)}</td>
+                        <td className={`text-right py-2 px-2 font-semibold ${upsideClass(model.upside)}`}>{formatUpside(model.upside)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             {/* Key Metrics Grid */}
             <div id="metrics" className={`rounded-lg shadow-md border p-10 transition-colors ${
               darkMode
@@ -255,6 +1055,11 @@ export default function Home() {
                     <div>
                       <p className={`font-bold text-lg ${darkMode ? 'text-white' : 'text-slate-800'}`}>{metric.metric}</p>
                       <p className={`text-sm mt-1 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Value: <span className={`font-semibold ${darkMode ? 'text-white' : 'text-slate-800'}`}>{metric.value}</span></p>
+                      {metric.benchmark && (
+                        <p className={`text-xs mt-1 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                          {metric.benchmark.label} range: {metric.benchmark.low === metric.benchmark.high ? metric.benchmark.low : `${metric.benchmark.low} – ${metric.benchmark.high}`}
+                        </p>
+                      )}
                     </div>
                     <div>
                       <span className={`px-4 py-2 rounded-full text-sm font-bold ${
@@ -272,13 +1077,124 @@ export default function Home() {
               </div>
             </div>
 
+            {/* Financial Quality Scores */}
+            {data.quality && (
+              <div id="quality" className={`rounded-lg shadow-md border p-10 transition-colors ${
+                darkMode
+                  ? 'bg-slate-700 border-slate-600'
+                  : 'bg-white border-slate-200'
+              }`}>
+                <h3 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Financial Quality</h3>
+                <p className={`text-sm mb-8 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                  Fiscal year ending {data.quality.fiscalYear} compared with {data.quality.previousFiscalYear}
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                  <div className={`p-6 rounded-lg border ${darkMode ? 'bg-slate-600 border-slate-500' : 'bg-slate-50 border-slate-200'}`}>
+                    <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Piotroski F-Score</p>
+                    <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{data.quality.piotroski.score}/{data.quality.piotroski.maxScore}</p>
+                    <p className={`text-sm mt-1 font-semibold capitalize ${
+                      data.quality.piotroski.strength === 'strong'
+                        ? darkMode ? 'text-green-300' : 'text-green-700'
+                        : data.quality.piotroski.strength === 'weak'
+                        ? darkMode ? 'text-red-300' : 'text-red-700'
+                        : darkMode ? 'text-slate-300' : 'text-slate-500'
+                    }`}>{data.quality.piotroski.strength}</p>
+                    <ul className="mt-4 space-y-1">
+                      {data.quality.piotroski.criteria.map((criterion) => (
+                        <li key={criterion.key} className={`text-xs ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                          <span className={`font-bold ${
+                            criterion.passed === true ? 'text-green-600' : criterion.passed === false ? 'text-red-600' : 'text-slate-400'
+                          }`}>{criterion.passed === true ? '✓' : criterion.passed === false ? '✗' : '–'}</span> {criterion.label}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className={`p-6 rounded-lg border ${darkMode ? 'bg-slate-600 border-slate-500' : 'bg-slate-50 border-slate-200'}`}>
+                    <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Altman Z-Score</p>
+                    {data.quality.altman.available ? (
+                      <>
+                        <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{data.quality.altman.score.toFixed(2)}</p>
+                        <p className={`text-sm mt-1 font-semibold capitalize ${
+                          data.quality.altman.zone === 'safe'
+                            ? darkMode ? 'text-green-300' : 'text-green-700'
+                            : data.quality.altman.zone === 'distress'
+                            ? darkMode ? 'text-red-300' : 'text-red-700'
+                            : darkMode ? 'text-yellow-300' : 'text-yellow-700'
+                        }`}>{data.quality.altman.zone} zone</p>
+                        <p className={`text-xs mt-4 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                          Distress below {data.quality.altman.thresholds.distress}, safe above {data.quality.altman.thresholds.safe}
+                        </p>
+                      </>
+                    ) : (
+                      <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{data.quality.altman.reason}</p>
+                    )}
+                  </div>
+                  <div className={`p-6 rounded-lg border ${darkMode ? 'bg-slate-600 border-slate-500' : 'bg-slate-50 border-slate-200'}`}>
+                    <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Beneish M-Score</p>
+                    {data.quality.beneish.available ? (
+                      <>
+                        <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{data.quality.beneish.score.toFixed(2)}</p>
+                        <p className={`text-sm mt-1 font-semibold ${
+                          data.quality.beneish.likelyManipulator
+                            ? darkMode ? 'text-red-300' : 'text-red-700'
+                            : darkMode ? 'text-green-300' : 'text-green-700'
+                        }`}>{data.quality.beneish.likelyManipulator ? 'Manipulation risk' : 'No manipulation signal'}</p>
+                        <p className={`text-xs mt-4 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                          Flagged above {data.quality.beneish.threshold}
+                        </p>
+                      </>
+                    ) : (
+                      <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{data.quality.beneish.reason}</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Risk Metrics */}
+            {data.risk && (
+              <div id="risk" className={`rounded-lg shadow-md border p-10 transition-colors ${
+                darkMode
+                  ? 'bg-slate-700 border-slate-600'
+                  : 'bg-white border-slate-200'
+              }`}>
+                <h3 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Risk</h3>
+                {risk ? (
+                  <>
+                    <p className={`text-sm mb-8 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                      {risk.window} window: {risk.period.observations} daily returns from {risk.period.from} to {risk.period.to}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                      {riskCards.map((card) => (
+                        <div key={card.label} className={`p-6 rounded-lg border ${darkMode ? 'bg-slate-600 border-slate-500' : 'bg-slate-50 border-slate-200'}`}>
+                          <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{card.label}</p>
+                          <p className={`text-3xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>{card.value}</p>
+                          <p className={`text-xs mt-1 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>{card.note}</p>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{data.risk.reason}</p>
+                )}
+              </div>
+            )}
+
             {/* Valuation Range */}
             <div id="overview" className={`rounded-lg shadow-md border p-10 transition-colors ${
               darkMode
                 ? 'bg-slate-700 border-slate-600'
                 : 'bg-white border-slate-200'
             }`}>
-              <h3 className={`text-2xl font-bold mb-8 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Financial Overview</h3>
+              <h3 className={`text-2xl font-bold ${data.basis?.applied ? 'mb-2' : 'mb-8'} ${darkMode ? 'text-white' : 'text-slate-900'}`}>Financial Overview</h3>
+              {data.basis?.applied && (
+                <p className={`text-sm mb-8 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                  {data.basis.applied === 'ttm'
+                    ? `Trailing twelve months ending ${data.basis.periodEnd}`
+                    : `Fiscal year ending ${data.basis.periodEnd}`}
+                  {data.basis.fallbackReason && ` (TTM unavailable: ${data.basis.fallbackReason})`}
+                </p>
+              )}
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
                 <div className={`p-6 rounded-lg border transition-colors ${
                   darkMode
@@ -288,7 +1204,7 @@ export default function Home() {
                   <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${
                     darkMode ? 'text-blue-300' : 'text-slate-700'
                   }`}>Market Capitalization</p>
-                  <p className={`text-3xl font-bold ${darkMode ? 'text-blue-100' : 'text-slate-900'}`}>${(data.rawData.marketCap / 1e9).toFixed(2)}B</p>
+                  <p className={`text-3xl font-bold ${darkMode ? 'text-blue-100' : 'text-slate-900'}`}>{data.rawData.marketCap === null ? 'N/A' : `$${(data.rawData.marketCap / 1e9).toFixed(2)}B`}</p>
                 </div>
                 <div className={`p-6 rounded-lg border transition-colors ${
                   darkMode
@@ -298,7 +1214,7 @@ export default function Home() {
                   <p className={`text-sm mb-2 font-semibold uppercase tracking-wide ${
                     darkMode ? 'text-purple-300' : 'text-slate-700'
                   }`}>Enterprise Value</p>
-                  <p className={`text-3xl font-bold ${darkMode ? 'text-purple-100' : 'text-slate-900'}`}>${(data.rawData.enterpriseValue / 1e9).toFixed(2)}B</p>
+                  <p className={`text-3xl font-bold ${darkMode ? 'text-purple-100' : 'text-slate-900'}`}>{data.rawData.enterpriseValue === null ? 'N/A' : `$${(data.rawData.enterpriseValue / 1e9).toFixed(2)}B`}</p>
                 </div>
                 <div className={`p-6 rounded-lg border transition-colors ${
                   darkMode
@@ -342,8 +1258,528 @@ export default function Home() {
                 </div>
               </div>
             </div>
+
+            {/* Enterprise Value Bridge */}
+            {data.enterpriseValueBridge && data.enterpriseValueBridge.enterpriseValue !== null && (
+              <div id="ev-bridge" className={`rounded-lg shadow-md border p-10 transition-colors ${
+                darkMode
+                  ? 'bg-slate-700 border-slate-600'
+                  : 'bg-white border-slate-200'
+              }`}>
+                <h3 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Enterprise Value Bridge</h3>
+                <p className={`text-sm mb-8 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                  From market cap{data.enterpriseValueBridge.marketCapMethod === 'priceTimesShares' ? ' (price × shares outstanding)' : ''} to enterprise value, in billions of dollars
+                </p>
+                <ResponsiveContainer width="100%" height={320}>
+                  <BarChart data={buildEvWaterfall(data.enterpriseValueBridge)}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#475569' : '#e2e8f0'} />
+                    <XAxis dataKey="label" stroke={darkMode ? '#cbd5e1' : '#64748b'} style={{ fontSize: '12px' }} />
+                    <YAxis stroke={darkMode ? '#cbd5e1' : '#64748b'} style={{ fontSize: '12px' }} />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: darkMode ? '#1e293b' : '#fff',
+                        border: darkMode ? '1px solid #475569' : '1px solid #e2e8f0',
+                        borderRadius: '8px',
+                        color: darkMode ? '#e2e8f0' : '#1e293b'
+                      }}
+                      formatter={(value, name, { payload }) => [
+                        `${payload.kind === 'decrease' ? '−' : payload.kind === 'increase' ? '+' : ''}$${value.toFixed(2)}B`,
+                        payload.kind === 'total' ? 'Value' : 'Change'
+                      ]}
+                      labelStyle={{ color: darkMode ? '#e2e8f0' : '#1e293b' }}
+                    />
+                    <Bar dataKey="base" stackId="waterfall" fill="transparent" legendType="none" tooltipType="none" />
+                    <Bar dataKey="amount" stackId="waterfall">
+                      {buildEvWaterfall(data.enterpriseValueBridge).map((bar) => (
+                        <Cell key={bar.label} fill={EV_WATERFALL_COLORS[bar.kind]} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+                {data.enterpriseValueBridge.notReported.length > 0 && data.enterpriseValueBridge.notReported.length < EV_BRIDGE_STEPS.length && (
+                  <p className={`text-xs mt-4 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                    Not reported on the balance sheet (counted as zero): {EV_BRIDGE_STEPS.filter(({ key }) => data.enterpriseValueBridge.notReported.includes(key)).map(({ label }) => label).join(', ')}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* Financial History */}
+            {data.history && data.history.years.length > 1 && (
+              <div id="history" className={`rounded-lg shadow-md border p-10 transition-colors ${
+                darkMode
+                  ? 'bg-slate-700 border-slate-600'
+                  : 'bg-white border-slate-200'
+              }`}>
+                <h3 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Financial History</h3>
+                <p className={`text-sm mb-8 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+                  Fiscal {data.history.years[0].fiscalYear} – {data.history.years[data.history.years.length - 1].fiscalYear}, in billions of dollars
+                </p>
+                <ResponsiveContainer width="100%" height={320}>
+                  <LineChart data={data.history.years.map(year => ({
+                    fiscalYear: year.fiscalYear,
+                    ...Object.fromEntries(HISTORY_SERIES.map(({ key }) => [key, year[key] === null ? null : year[key] / 1e9]))
+                  }))}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? '#475569' : '#e2e8f0'} />
+                    <XAxis dataKey="fiscalYear" stroke={darkMode ? '#cbd5e1' : '#64748b'} style={{ fontSize: '12px' }} />
+                    <YAxis stroke={darkMode ? '#cbd5e1' : '#64748b'} style={{ fontSize: '12px' }} />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: darkMode ? '#1e293b' : '#fff',
+                        border: darkMode ? '1px solid #475569' : '1px solid #e2e8f0',
+                        borderRadius: '8px',
+                        color: darkMode ? '#e2e8f0' : '#1e293b'
+                      }}
+                      formatter={(value) => `$${value.toFixed(2)}B`}
+                      labelStyle={{ color: darkMode ? '#e2e8f0' : '#1e293b' }}
+                    />
+                    <Legend />
+                    {HISTORY_SERIES.map(({ key, label, color }) => (
+                      <Line key={key} type="monotone" dataKey={key} name={label} stroke={color} strokeWidth={2} connectNulls />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mt-8">
+                  {HISTORY_SERIES.map(({ key, label }) => {
+                    const cagr = data.history.cagr[key];
+                    const trend = data.history.trends[key];
+                    return (
+                      <div key={key} className={`p-4 rounded-lg border ${
+                        darkMode ? 'bg-slate-600 border-slate-500' : 'bg-slate-50 border-slate-200'
+                      }`}>
+                        <p className={`text-xs font-semibold uppercase tracking-wide mb-2 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{label}</p>
+                        <p className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>
+                          {cagr === null ? 'N/A' : `${cagr >= 0 ? '+' : ''}${cagr.toFixed(1)}%`}
+                        </p>
+                        <p className={`text-xs mt-1 font-semibold ${
+                          trend === 'improving'
+                            ? darkMode ? 'text-green-300' : 'text-green-700'
+                            : trend === 'deteriorating'
+                            ? darkMode ? 'text-red-300' : 'text-red-700'
+                            : darkMode ? 'text-slate-300' : 'text-slate-500'
+                        }`}>
+                          {data.history.periodYears}-yr CAGR{trend ? ` · ${trend}` : ''}
+                        </p>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="overflow-x-auto mt-8">
+                  <table className={`w-full text-sm ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+                    <thead>
+                      <tr className={`border-b ${darkMode ? 'border-slate-500' : 'border-slate-200'}`}>
+                        <th className="text-left py-2 pr-4 font-semibold">YoY Growth</th>
+                        {data.history.yoyGrowth.map(growth => (
+                          <th key={growth.fiscalDateEnding} className="text-right py-2 px-2 font-semibold">FY{growth.fiscalYear}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {HISTORY_SERIES.map(({ key, label }) => (
+                        <tr key={key} className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                          <td className="py-2 pr-4 font-medium">{label}</td>
+                          {data.history.yoyGrowth.map(growth => (
+                            <td key={growth.fiscalDateEnding} className={`text-right py-2 px-2 ${
+                              growth[key] === null ? '' : growth[key] >= 0
+                                ? darkMode ? 'text-green-300' : 'text-green-700'
+                                : darkMode ? 'text-red-300' : 'text-red-700'
+                            }`}>
+                              {growth[key] === null ? '—' : `${growth[key] >= 0 ? '+' : ''}${growth[key].toFixed(1)}%`}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         )}
+
+        {/* Peer Comparison */}
+        <div id="compare" className={`rounded-lg shadow-md border p-10 mt-8 transition-colors ${
+          darkMode
+            ? 'bg-slate-700 border-slate-600'
+            : 'bg-white border-slate-200'
+        }`}>
+          <h3 className={`text-2xl font-bold mb-2 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Peer Comparison</h3>
+          <p className={`text-sm mb-6 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>
+            Compare valuation multiples side by side. Green marks the cheapest third of the group, red the most expensive.
+          </p>
+          <form onSubmit={handleCompare} className="flex gap-3 mb-8">
+            <input
+              type="text"
+              value={peerTickers}
+              onChange={(e) => setPeerTickers(e.target.value)}
+              placeholder="NVDA, AMD, INTC"
+              className={`flex-1 px-4 py-2 border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent font-medium transition-colors ${
+                darkMode
+                  ? 'bg-slate-600 text-white border-slate-500 placeholder-slate-400'
+                  : 'bg-white text-slate-700 border-slate-300 placeholder-slate-500'
+              }`}
+              required
+            />
+            <button
+              type="submit"
+              disabled={comparing}
+              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 font-semibold transition-all"
+            >
+              {comparing ? 'Comparing...' : 'Compare'}
+            </button>
+          </form>
+
+          {compareError && (
+            <p className={`text-sm font-medium ${darkMode ? 'text-red-300' : 'text-red-700'}`}>{compareError}</p>
+          )}
+
+          {comparison && (
+            <div className="overflow-x-auto">
+              <table className={`w-full text-sm ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+                <thead>
+                  <tr className={`border-b ${darkMode ? 'border-slate-500' : 'border-slate-200'}`}>
+                    <th className="text-left py-2 pr-4 font-semibold">Metric</th>
+                    {comparison.tickers.map(peer => (
+                      <th key={peer} className="text-right py-2 px-2 font-semibold">{peer}</th>
+                    ))}
+                    <th className="text-right py-2 px-2 font-semibold">Median</th>
+                    <th className="text-right py-2 px-2 font-semibold">Mean</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.matrix.map(row => (
+                    <tr key={row.key} className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                      <td className="py-2 pr-4 font-medium">{row.label}</td>
+                      {comparison.tickers.map(peer => (
+                        <td key={peer} className={`text-right py-2 px-2 ${percentileClass(row.percentiles[peer], row.higherIsCheaper)}`}>
+                          {row.values[peer] === null ? '—' : row.values[peer].toFixed(2)}
+                          {row.percentiles[peer] !== null && (
+                            <span className={`block text-xs ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>p{row.percentiles[peer]}</span>
+                          )}
+                        </td>
+                      ))}
+                      <td className="text-right py-2 px-2 font-semibold">{row.median === null ? '—' : row.median.toFixed(2)}</td>
+                      <td className="text-right py-2 px-2 font-semibold">{row.mean === null ? '—' : row.mean.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="py-2 pr-4 font-medium">Overall</td>
+                    {comparison.companies.filter(c => c.ticker).map(c => (
+                      <td key={c.ticker} className="text-right py-2 px-2 font-semibold capitalize">{c.overall.verdict}</td>
+                    ))}
+                    <td colSpan={2}></td>
+                  </tr>
+                </tbody>
+              </table>
+              {comparison.companies.some(c => c.error) && (
+                <p className={`text-xs mt-4 ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+                  Skipped: {comparison.companies.filter(c => c.error).map(c => `${c.input} (${c.error})`).join('; ')}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Watchlists */}
+        <div id="watchlists" className={`rounded-lg shadow-md border p-10 mt-8 transition-colors ${
+          darkMode
+            ? 'bg-slate-700 border-slate-600'
+            : 'bg-white border-slate-200'
+        }`}>
+          <h3 className={`text-2xl font-bold mb-6 ${darkMode ? 'text-white' : 'text-slate-900'}`}>Watchlists</h3>
+          <div className="flex flex-col md:flex-row gap-3 mb-6">
+            <select
+              value={activeWatchlistId}
+              onChange={(e) => openWatchlist(e.target.value)}
+              className={`px-3 py-2 border rounded-md text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                darkMode
+                  ? 'bg-slate-600 text-white border-slate-500'
+                  : 'bg-white text-slate-700 border-slate-300'
+              }`}
+            >
+              <option value="">Select a watchlist</option>
+              {watchlists.map(list => (
+                <option key={list.id} value={list.id}>{list.name} ({list.tickers.length})</option>
+              ))}
+            </select>
+            <form onSubmit={createWatchlist} className="flex flex-1 gap-3">
+              <input
+                type="text"
+                value={newWatchlistName}
+                onChange={(e) => setNewWatchlistName(e.target.value)}
+                placeholder="New watchlist name"
+                className={`flex-1 px-4 py-2 border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent font-medium transition-colors ${
+                  darkMode
+                    ? 'bg-slate-600 text-white border-slate-500 placeholder-slate-400'
+                    : 'bg-white text-slate-700 border-slate-300 placeholder-slate-500'
+                }`}
+                required
+              />
+              <button type="submit" className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold transition-all">Create</button>
+            </form>
+          </div>
+
+          {watchlistError && (
+            <p className={`text-sm font-medium mb-4 ${darkMode ? 'text-red-300' : 'text-red-700'}`}>{watchlistError}</p>
+          )}
+
+          {watchlistLoading && (
+            <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>Valuing watchlist...</p>
+          )}
+
+          {watchlistView && (
+            <div>
+              <div className="flex flex-col md:flex-row md:items-center gap-3 mb-6">
+                <form
+                  onSubmit={(e) => { e.preventDefault(); addToWatchlist(watchlistTicker); }}
+                  className="flex flex-1 gap-3"
+                >
+                  <input
+                    type="text"
+                    value={watchlistTicker}
+                    onChange={(e) => setWatchlistTicker(e.target.value)}
+                    placeholder="Add ticker, e.g. MSFT"
+                    className={`flex-1 px-4 py-2 border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent font-medium transition-colors ${
+                      darkMode
+                        ? 'bg-slate-600 text-white border-slate-500 placeholder-slate-400'
+                        : 'bg-white text-slate-700 border-slate-300 placeholder-slate-500'
+                    }`}
+                    required
+                  />
+                  <button type="submit" className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold transition-all">Add</button>
+                </form>
+                <button onClick={renameWatchlist} className={`text-sm font-semibold ${darkMode ? 'text-slate-300 hover:text-white' : 'text-slate-600 hover:text-slate-900'}`}>Rename</button>
+                <button onClick={deleteWatchlist} className={`text-sm font-semibold ${darkMode ? 'text-red-300 hover:text-red-200' : 'text-red-600 hover:text-red-700'}`}>Delete list</button>
+              </div>
+
+              {watchlistView.items.length === 0 ? (
+                <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>This watchlist is empty.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className={`w-full text-sm ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+                    <thead>
+                      <tr className={`border-b ${darkMode ? 'border-slate-500' : 'border-slate-200'}`}>
+                        <th className="text-left py-2 pr-4 font-semibold">Ticker</th>
+                        <th className="text-left py-2 px-2 font-semibold">Verdict</th>
+                        <th className="text-right py-2 px-2 font-semibold">Confidence</th>
+                        <th className="text-right py-2 px-2 font-semibold">P/E</th>
+                        <th className="text-right py-2 px-2 font-semibold">EV/EBITDA</th>
+                        <th className="text-right py-2 px-2 font-semibold">EV/Revenue</th>
+                        <th className="text-right py-2 px-2 font-semibold">P/B</th>
+                        <th className="text-right py-2 px-2 font-semibold">FCF Yield</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {watchlistView.items.map(item => (
+                        <tr key={item.ticker} className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                          <td className="py-2 pr-4">
+                            <span className="font-semibold">{item.ticker}</span>
+                            {item.companyName && (
+                              <span className={`block text-xs ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>{item.companyName}</span>
+                            )}
+                          </td>
+                          {item.error ? (
+                            <td colSpan={7} className={`py-2 px-2 ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>{item.error}</td>
+                          ) : (
+                            <>
+                              <td className={`py-2 px-2 font-semibold capitalize ${
+                                item.verdict === 'undervalued'
+                                  ? darkMode ? 'text-green-300' : 'text-green-700'
+                                  : item.verdict === 'overvalued'
+                                  ? darkMode ? 'text-red-300' : 'text-red-700'
+                                  : ''
+                              }`}>{item.verdict}</td>
+                              <td className="text-right py-2 px-2">{item.confidence}%</td>
+                              {['pe', 'evEbitda', 'evRevenue', 'pb'].map(key => (
+                                <td key={key} className="text-right py-2 px-2">{item.multiples[key] === null ? '—' : item.multiples[key].toFixed(2)}</td>
+                              ))}
+                              <td className="text-right py-2 px-2">{item.multiples.fcfYield === null ? '—' : `${item.multiples.fcfYield.toFixed(2)}%`}</td>
+                            </>
+                          )}
+                          <td className="text-right py-2 pl-2">
+                            <button
+                              onClick={() => removeFromWatchlist(item.ticker)}
+                              className={`text-xs font-semibold ${darkMode ? 'text-slate-400 hover:text-red-300' : 'text-slate-500 hover:text-red-600'}`}
+                              title={`Remove ${item.ticker}`}
+                            >
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Portfolio */}
+        <div id="portfolio" className={`rounded-lg shadow-md border p-10 mt-8 transition-colors ${
+          darkMode
+            ? 'bg-slate-700 border-slate-600'
+            : 'bg-white border-slate-200'
+        }`}>
+          <div className="flex justify-between items-center mb-6">
+            <h3 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-slate-900'}`}>Portfolio</h3>
+            <button
+              onClick={loadPortfolio}
+              disabled={portfolioLoading}
+              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 font-semibold transition-all"
+            >
+              {portfolioLoading ? 'Valuing...' : portfolio ? 'Refresh' : 'Value Portfolio'}
+            </button>
+          </div>
+
+          <form onSubmit={saveHolding} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+            {[
+              { key: 'ticker', placeholder: 'Ticker', type: 'text' },
+              { key: 'shares', placeholder: 'Shares', type: 'number' },
+              { key: 'costBasis', placeholder: 'Avg cost per share', type: 'number' }
+            ].map(({ key, placeholder, type }) => (
+              <input
+                key={key}
+                type={type}
+                step={type === 'number' ? 'any' : undefined}
+                min={type === 'number' ? '0' : undefined}
+                value={holdingForm[key]}
+                onChange={(e) => setHoldingForm(form => ({ ...form, [key]: e.target.value }))}
+                placeholder={placeholder}
+                className={`px-4 py-2 border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent font-medium transition-colors ${
+                  darkMode
+                    ? 'bg-slate-600 text-white border-slate-500 placeholder-slate-400'
+                    : 'bg-white text-slate-700 border-slate-300 placeholder-slate-500'
+                }`}
+                required
+              />
+            ))}
+            <button type="submit" className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 font-semibold transition-all">Save Holding</button>
+          </form>
+
+          {portfolioError && (
+            <p className={`text-sm font-medium mb-4 ${darkMode ? 'text-red-300' : 'text-red-700'}`}>{portfolioError}</p>
+          )}
+
+          {portfolio && (
+            portfolio.positions.length === 0 ? (
+              <p className={`text-sm ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>No holdings yet. Add a position above.</p>
+            ) : (
+              <div className="space-y-8">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    { label: 'Market Value', value: `$${portfolio.totals.marketValue.toLocaleString(undefined, { maximumFractionDigits: 0 })}` },
+                    { label: 'Model Fair Value', value: portfolio.totals.fairValue === null ? 'N/A' : `$${portfolio.totals.fairValue.toLocaleString(undefined, { maximumFractionDigits: 0 })}` },
+                    { label: 'Upside to Fair Value', value: portfolio.totals.upsidePercent === null ? 'N/A' : `${portfolio.totals.upsidePercent >= 0 ? '+' : ''}${portfolio.totals.upsidePercent.toFixed(1)}%` },
+                    { label: 'Portfolio Verdict', value: `${portfolio.overall.verdict} (${portfolio.overall.confidence}%)` }
+                  ].map(({ label, value }) => (
+                    <div key={label} className={`p-4 rounded-lg border ${
+                      darkMode ? 'bg-slate-600 border-slate-500' : 'bg-slate-50 border-slate-200'
+                    }`}>
+                      <p className={`text-xs font-semibold uppercase tracking-wide mb-2 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{label}</p>
+                      <p className={`text-xl font-bold capitalize ${darkMode ? 'text-white' : 'text-slate-900'}`}>{value}</p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {[
+                    { label: 'Most Undervalued', tickers: portfolio.rankings.mostUndervalued, color: darkMode ? 'text-green-300' : 'text-green-700' },
+                    { label: 'Most Overvalued', tickers: portfolio.rankings.mostOvervalued, color: darkMode ? 'text-red-300' : 'text-red-700' }
+                  ].map(({ label, tickers, color }) => (
+                    <div key={label}>
+                      <p className={`text-sm font-semibold mb-2 ${darkMode ? 'text-slate-300' : 'text-slate-600'}`}>{label}</p>
+                      {tickers.length === 0 ? (
+                        <p className={`text-sm ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>None</p>
+                      ) : (
+                        <ol className={`text-sm font-semibold list-decimal list-inside ${color}`}>
+                          {tickers.map(symbol => {
+                            const position = portfolio.positions.find(p => p.ticker === symbol);
+                            return (
+                              <li key={symbol}>
+                                {symbol} · {position.confidence}% confidence
+                                {position.upsidePercent !== null && ` · ${position.upsidePercent >= 0 ? '+' : ''}${position.upsidePercent.toFixed(1)}% to fair value`}
+                              </li>
+                            );
+                          })}
+                        </ol>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className={`w-full text-sm ${darkMode ? 'text-slate-200' : 'text-slate-700'}`}>
+                    <thead>
+                      <tr className={`border-b ${darkMode ? 'border-slate-500' : 'border-slate-200'}`}>
+                        <th className="text-left py-2 pr-4 font-semibold">Holding</th>
+                        <th className="text-right py-2 px-2 font-semibold">Shares</th>
+                        <th className="text-right py-2 px-2 font-semibold">Price</th>
+                        <th className="text-right py-2 px-2 font-semibold">Market Value</th>
+                        <th className="text-right py-2 px-2 font-semibold">Weight</th>
+                        <th className="text-right py-2 px-2 font-semibold">Gain</th>
+                        <th className="text-right py-2 px-2 font-semibold">Fair Value</th>
+                        <th className="text-left py-2 px-2 font-semibold">Verdict</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {portfolio.positions.map(position => (
+                        <tr key={position.ticker} className={`border-b ${darkMode ? 'border-slate-600' : 'border-slate-100'}`}>
+                          <td className="py-2 pr-4">
+                            <span className="font-semibold">{position.ticker}</span>
+                            {position.companyName && (
+                              <span className={`block text-xs ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>{position.companyName}</span>
+                            )}
+                          </td>
+                          <td className="text-right py-2 px-2">{position.shares}</td>
+                          {position.error ? (
+                            <td colSpan={6} className={`py-2 px-2 ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>{position.error}</td>
+                          ) : (
+                            <>
+                              <td className="text-right py-2 px-2">${position.price.toFixed(2)}</td>
+                              <td className="text-right py-2 px-2">${position.marketValue.toLocaleString(undefined, { maximumFractionDigits: 0 })}</td>
+                              <td className="text-right py-2 px-2">{position.weight.toFixed(1)}%</td>
+                              <td className={`text-right py-2 px-2 ${
+                                position.unrealizedGain >= 0
+                                  ? darkMode ? 'text-green-300' : 'text-green-700'
+                                  : darkMode ? 'text-red-300' : 'text-red-700'
+                              }`}>
+                                {position.unrealizedGainPercent === null ? '—' : `${position.unrealizedGainPercent >= 0 ? '+' : ''}${position.unrealizedGainPercent.toFixed(1)}%`}
+                              </td>
+                              <td className="text-right py-2 px-2">
+                                {position.fairValuePerShare === null ? '—' : `$${position.fairValuePerShare.toFixed(2)}`}
+                              </td>
+                              <td className={`py-2 px-2 font-semibold capitalize ${
+                                position.verdict === 'undervalued'
+                                  ? darkMode ? 'text-green-300' : 'text-green-700'
+                                  : position.verdict === 'overvalued'
+                                  ? darkMode ? 'text-red-300' : 'text-red-700'
+                                  : ''
+                              }`}>{position.verdict}</td>
+                            </>
+                          )}
+                          <td className="text-right py-2 pl-2">
+                            <button
+                              onClick={() => removeHolding(position.ticker)}
+                              className={`text-xs font-semibold ${darkMode ? 'text-slate-400 hover:text-red-300' : 'text-slate-500 hover:text-red-600'}`}
+                              title={`Remove ${position.ticker}`}
+                            >
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )
+          )}
+        </div>
       </div>
 
       {/* Footer */}
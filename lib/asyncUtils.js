@@ -0,0 +1,24 @@
+/**
+ * Async utility functions
+ * - Bounded-concurrency mapping, so batch work stays within upstream rate limits
+ */
+
+/**
+ * Map over items running at most `limit` calls of `fn` at a time.
+ * Results keep the input order; `fn` receives (item, index).
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
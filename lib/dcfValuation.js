@@ -0,0 +1,260 @@
+/**
+ * Discounted Cash Flow (DCF) Valuation
+ *
+ * Multi-stage free cash flow model:
+ * 1. High-growth stage: FCF grows at `growthRate` for `highGrowthYears`
+ * 2. Fade stage: growth declines linearly to `terminalGrowthRate` over `fadeYears`
+ * 3. Terminal value: Gordon growth perpetuity, or `exitMultiple` × final-year FCF
+ *
+ * Defaults are derived from the fetched fundamentals and can be overridden
+ * per request. All rates are percentages (e.g. 9.5 = 9.5%).
+ */
+
+export const DCF_DEFAULTS = {
+  highGrowthYears: 5,
+  fadeYears: 5,
+  terminalGrowthRate: 2.5,
+  fallbackGrowthRate: 5,
+  minGrowthRate: 0,
+  maxGrowthRate: 20,
+  riskFreeRate: 4.25,
+  equityRiskPremium: 5.5,
+  beta: 1,
+  fallbackCostOfDebt: 5,
+  fallbackTaxRate: 21,
+  // Market cap within ±15% of DCF equity value counts as fairly valued
+  marginOfSafety: 15
+};
+
+// Request fields that may override derived assumptions
+const OVERRIDABLE_FIELDS = [
+  'freeCashFlow',
+  'growthRate',
+  'highGrowthYears',
+  'fadeYears',
+  'terminalGrowthRate',
+  'exitMultiple',
+  'wacc',
+  'beta',
+  'netDebt',
+  'sharesOutstanding'
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Validate DCF overrides from a request body
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateDcfOverrides(overrides) {
+  if (overrides === undefined || overrides === null) return null;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) return 'dcf must be an object';
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!OVERRIDABLE_FIELDS.includes(key)) {
+      return `Unknown dcf field: ${key}. Allowed fields: ${OVERRIDABLE_FIELDS.join(', ')}`;
+    }
+    if (value !== null && !Number.isFinite(Number(value))) {
+      return `Invalid dcf field: ${key} must be a number`;
+    }
+  }
+
+  for (const key of ['highGrowthYears', 'fadeYears']) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      const years = Number(overrides[key]);
+      if (!Number.isInteger(years) || years < 0 || years > 30) {
+        return `Invalid dcf field: ${key} must be a whole number of years between 0 and 30`;
+      }
+    }
+  }
+
+  if (overrides.wacc !== undefined && overrides.wacc !== null && Number(overrides.wacc) <= 0) {
+    return 'Invalid dcf field: wacc must be positive';
+  }
+
+  if (overrides.exitMultiple !== undefined && overrides.exitMultiple !== null && Number(overrides.exitMultiple) <= 0) {
+    return 'Invalid dcf field: exitMultiple must be positive';
+  }
+
+  return null;
+}
+
+/**
+ * Estimate WACC from CAPM cost of equity and after-tax cost of debt,
+ * weighted by market cap and total debt
+ */
+export function estimateWacc(data, beta = DCF_DEFAULTS.beta) {
+  const { riskFreeRate, equityRiskPremium, fallbackCostOfDebt, fallbackTaxRate } = DCF_DEFAULTS;
+  const costOfEquity = riskFreeRate + beta * equityRiskPremium;
+
+  const totalDebt = Math.max(data.totalDebt || 0, 0);
+  const costOfDebt = data.interestExpense > 0 && totalDebt > 0
+    ? clamp((data.interestExpense / totalDebt) * 100, riskFreeRate, 15)
+    : fallbackCostOfDebt;
+  const taxRate = data.incomeTaxExpense > 0 && data.incomeBeforeTax > 0
+    ? clamp((data.incomeTaxExpense / data.incomeBeforeTax) * 100, 0, 40)
+    : fallbackTaxRate;
+
+  const marketCap = data.marketCap || 0;
+  const capital = marketCap + totalDebt;
+  if (capital <= 0) return costOfEquity;
+
+  return (marketCap / capital) * costOfEquity + (totalDebt / capital) * costOfDebt * (1 - taxRate / 100);
+}
+
+/**
+ * Derive DCF assumptions from fundamentals, applying any overrides
+ *
+ * @param {object} data - Financial data from fetchFinancialData (or raw inputs)
+ * @param {object} overrides - Optional request overrides (see OVERRIDABLE_FIELDS)
+ * @returns {object} Assumptions plus `sources` recording where each came from
+ */
+export function deriveDcfAssumptions(data, overrides = {}) {
+  const sources = {};
+  const pick = (key, derived, source = 'derived') => {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      sources[key] = 'override';
+      return Number(overrides[key]);
+    }
+    sources[key] = source;
+    return derived;
+  };
+
+  const revenueCagr = data.history?.cagr?.revenue;
+  const growthRate = pick(
+    'growthRate',
+    revenueCagr === null || revenueCagr === undefined
+      ? DCF_DEFAULTS.fallbackGrowthRate
+      : clamp(revenueCagr, DCF_DEFAULTS.minGrowthRate, DCF_DEFAULTS.maxGrowthRate),
+    revenueCagr === null || revenueCagr === undefined ? 'default' : 'derived'
+  );
+
+  const beta = pick('beta', DCF_DEFAULTS.beta, 'default');
+
+  return {
+    // Alpha Vantage reports capex with either sign; it always reduces free cash flow
+    freeCashFlow: pick('freeCashFlow', (data.operatingCashFlow || 0) - Math.abs(data.capitalExpenditures || 0)),
+    growthRate,
+    highGrowthYears: pick('highGrowthYears', DCF_DEFAULTS.highGrowthYears, 'default'),
+    fadeYears: pick('fadeYears', DCF_DEFAULTS.fadeYears, 'default'),
+    terminalGrowthRate: pick('terminalGrowthRate', DCF_DEFAULTS.terminalGrowthRate, 'default'),
+    exitMultiple: pick('exitMultiple', null, 'default'),
+    wacc: pick('wacc', estimateWacc(data, beta)),
+    beta,
+    netDebt: pick('netDebt', data.enterpriseValueBridge?.netClaims ?? ((data.ev || 0) - (data.marketCap || 0))),
+    sharesOutstanding: pick('sharesOutstanding', data.sharesOutstanding || null),
+    sources
+  };
+}
+
+/**
+ * Project free cash flows and discount them to enterprise and equity value
+ *
+ * @param {object} assumptions - From deriveDcfAssumptions
+ * @returns {object} { enterpriseValue, equityValue, fairValuePerShare, projection, terminalValue, ... }
+ */
+export function calculateDcf(assumptions) {
+  const {
+    freeCashFlow,
+    growthRate,
+    highGrowthYears,
+    fadeYears,
+    terminalGrowthRate,
+    exitMultiple,
+    wacc,
+    netDebt,
+    sharesOutstanding
+  } = assumptions;
+
+  const discountRate = wacc / 100;
+  const terminalMethod = exitMultiple ? 'exitMultiple' : 'perpetuityGrowth';
+
+  if (terminalMethod === 'perpetuityGrowth' && wacc <= terminalGrowthRate) {
+    throw new Error(`WACC (${wacc.toFixed(2)}%) must exceed the terminal growth rate (${terminalGrowthRate}%)`);
+  }
+
+  const totalYears = highGrowthYears + fadeYears;
+  const projection = [];
+  let cashFlow = freeCashFlow;
+
+  for (let year = 1; year <= totalYears; year++) {
+    const yearGrowth = year <= highGrowthYears
+      ? growthRate
+      : growthRate - (growthRate - terminalGrowthRate) * ((year - highGrowthYears) / fadeYears);
+    cashFlow *= 1 + yearGrowth / 100;
+    const discountFactor = 1 / Math.pow(1 + discountRate, year);
+    projection.push({
+      year,
+      stage: year <= highGrowthYears ? 'high growth' : 'fade',
+      growthRate: yearGrowth,
+      freeCashFlow: cashFlow,
+      discountFactor,
+      presentValue: cashFlow * discountFactor
+    });
+  }
+
+  const finalCashFlow = totalYears > 0 ? projection[totalYears - 1].freeCashFlow : freeCashFlow;
+  const terminalValue = terminalMethod === 'exitMultiple'
+    ? finalCashFlow * exitMultiple
+    : (finalCashFlow * (1 + terminalGrowthRate / 100)) / (discountRate - terminalGrowthRate / 100);
+  const terminalDiscountFactor = 1 / Math.pow(1 + discountRate, totalYears);
+  const presentValueOfTerminalValue = terminalValue * terminalDiscountFactor;
+
+  const presentValueOfCashFlows = projection.reduce((total, year) => total + year.presentValue, 0);
+  const enterpriseValue = presentValueOfCashFlows + presentValueOfTerminalValue;
+  const equityValue = enterpriseValue - netDebt;
+
+  return {
+    terminalMethod,
+    projection,
+    presentValueOfCashFlows,
+    terminalValue,
+    presentValueOfTerminalValue,
+    terminalValueShare: enterpriseValue > 0 ? (presentValueOfTerminalValue / enterpriseValue) * 100 : null,
+    enterpriseValue,
+    equityValue,
+    fairValuePerShare: sharesOutstanding > 0 ? equityValue / sharesOutstanding : null
+  };
+}
+
+/**
+ * Run the full DCF for a company and judge it against market cap
+ *
+ * @param {object} data - Financial data
+ * @param {object} overrides - Optional request overrides
+ * @returns {object} { available, reason?, assumptions, ...calculateDcf result, verdict }
+ */
+export function runDcfValuation(data, overrides = {}) {
+  const assumptions = deriveDcfAssumptions(data, overrides || {});
+
+  if (!(assumptions.freeCashFlow > 0)) {
+    return {
+      available: false,
+      reason: 'Free cash flow is not positive, so a DCF valuation is not meaningful',
+      assumptions
+    };
+  }
+
+  let result;
+  try {
+    result = calculateDcf(assumptions);
+  } catch (error) {
+    return { available: false, reason: error.message, assumptions };
+  }
+
+  let verdict = 'fairly valued';
+  if (data.marketCap > 0 && result.equityValue > 0) {
+    const margin = DCF_DEFAULTS.marginOfSafety / 100;
+    if (data.marketCap < result.equityValue * (1 - margin)) verdict = 'undervalued';
+    else if (data.marketCap > result.equityValue * (1 + margin)) verdict = 'overvalued';
+  } else if (result.equityValue <= 0) {
+    verdict = 'overvalued';
+  }
+
+  return {
+    available: true,
+    assumptions,
+    ...result,
+    verdict
+  };
+}
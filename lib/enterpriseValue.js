@@ -0,0 +1,106 @@
+/**
+ * Enterprise Value Bridge
+ *
+ * Builds enterprise value from market cap and the latest balance sheet:
+ *
+ *   EV = market cap
+ *      + short-term debt + long-term debt + capital leases
+ *      + minority interest + preferred equity
+ *      - cash and short-term investments
+ *
+ * Components the balance sheet does not report count as zero and are listed
+ * in `notReported`. When the profile has no market cap it is derived from
+ * price × shares outstanding; without either, EV is null rather than wrong.
+ */
+
+import { parseReportValue } from './financialHistory.js';
+
+// Add up the values that are reported, or null when none is
+function sumReported(...values) {
+  const reported = values.filter(value => value !== null);
+  return reported.length > 0 ? reported.reduce((sum, value) => sum + value, 0) : null;
+}
+
+/**
+ * Read the debt-like claims and cash from a balance sheet report (Alpha Vantage schema)
+ * Each component is null when the report does not include it.
+ */
+export function parseBalanceSheetClaims(balance) {
+  const currentLongTermDebt = parseReportValue(balance, ['currentLongTermDebt']);
+  const longTermDebtTotal = parseReportValue(balance, ['longTermDebt']);
+
+  // currentDebt already includes the current portion of long-term debt, so the
+  // long-term component is the non-current portion only
+  const shortTermDebt = parseReportValue(balance, ['currentDebt'])
+    ?? sumReported(parseReportValue(balance, ['shortTermDebt']), currentLongTermDebt);
+  const longTermDebt = parseReportValue(balance, ['longTermDebtNoncurrent'])
+    ?? (longTermDebtTotal === null ? null : longTermDebtTotal - (currentLongTermDebt || 0));
+
+  return {
+    shortTermDebt,
+    longTermDebt,
+    capitalLeases: parseReportValue(balance, ['capitalLeaseObligations']),
+    minorityInterest: parseReportValue(balance, ['minorityInterest', 'noncontrollingInterest']),
+    preferredEquity: parseReportValue(balance, ['preferredStock', 'preferredStockValue']),
+    cashAndShortTermInvestments: parseReportValue(balance, ['cashAndShortTermInvestments'])
+      ?? sumReported(
+        parseReportValue(balance, ['cashAndCashEquivalentsAtCarryingValue']),
+        parseReportValue(balance, ['shortTermInvestments'])
+      )
+  };
+}
+
+/**
+ * Pick the market cap: the profile's when it has one, else price × shares outstanding
+ * @returns {object} { value, method } with method 'profile', 'priceTimesShares' or null
+ */
+export function resolveMarketCap({ profileMarketCap, price, sharesOutstanding }) {
+  if (profileMarketCap > 0) return { value: profileMarketCap, method: 'profile' };
+  if (price > 0 && sharesOutstanding > 0) return { value: price * sharesOutstanding, method: 'priceTimesShares' };
+  return { value: null, method: null };
+}
+
+/**
+ * Bridge market cap to enterprise value
+ *
+ * @param {object} options
+ * @param {number|null} options.marketCap - From resolveMarketCap
+ * @param {string|null} options.marketCapMethod - From resolveMarketCap
+ * @param {object|null} options.claims - From parseBalanceSheetClaims; null when only a net figure is known
+ * @param {number} options.netClaims - EV minus market cap, used when `claims` is null (e.g. demo data)
+ */
+export function buildEnterpriseValueBridge({ marketCap, marketCapMethod = null, claims = null, netClaims = 0 }) {
+  if (!claims) {
+    return {
+      marketCap,
+      marketCapMethod,
+      shortTermDebt: null,
+      longTermDebt: null,
+      capitalLeases: null,
+      minorityInterest: null,
+      preferredEquity: null,
+      cashAndShortTermInvestments: null,
+      totalDebt: null,
+      netDebt: null,
+      netClaims,
+      enterpriseValue: marketCap === null ? null : marketCap + netClaims,
+      notReported: ['shortTermDebt', 'longTermDebt', 'capitalLeases', 'minorityInterest', 'preferredEquity', 'cashAndShortTermInvestments']
+    };
+  }
+
+  const value = (key) => claims[key] || 0;
+  const totalDebt = value('shortTermDebt') + value('longTermDebt') + value('capitalLeases');
+  const netDebt = totalDebt - value('cashAndShortTermInvestments');
+  const resolvedNetClaims = netDebt + value('minorityInterest') + value('preferredEquity');
+
+  return {
+    marketCap,
+    marketCapMethod,
+    ...claims,
+    totalDebt,
+    netDebt,
+    netClaims: resolvedNetClaims,
+    enterpriseValue: marketCap === null ? null : marketCap + resolvedNetClaims,
+    notReported: Object.keys(claims).filter(key => claims[key] === null)
+  };
+}
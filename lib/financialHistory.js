@@ -0,0 +1,143 @@
+/**
+ * Financial History Service
+ *
+ * Normalizes every fiscal year in the income statement, balance sheet and
+ * cash flow reports into aligned time series, then derives year-over-year
+ * growth, compound annual growth rates and a simple trend label per series.
+ *
+ * Statements follow the Alpha Vantage report schema (see lib/providers).
+ */
+
+// Series tracked over time: key -> { statement, field(s) }
+const HISTORY_SERIES = {
+  revenue: { statement: 'income', fields: ['totalRevenue'] },
+  ebitda: { statement: 'income', fields: ['ebitda'] },
+  netIncome: { statement: 'income', fields: ['netIncome'] },
+  operatingCashFlow: { statement: 'cashFlow', fields: ['operatingCashflow', 'operatingCashFlow'] },
+  totalAssets: { statement: 'balance', fields: ['totalAssets'] },
+  totalLiabilities: { statement: 'balance', fields: ['totalLiabilities'] },
+  sharesOutstanding: { statement: 'balance', fields: ['commonStockSharesOutstanding'] }
+};
+
+// Per-share series derived from the statement series
+const DERIVED_SERIES = {
+  eps: (year) => (year.netIncome !== null && year.sharesOutstanding > 0 ? year.netIncome / year.sharesOutstanding : null)
+};
+
+const SERIES_KEYS = [...Object.keys(HISTORY_SERIES), ...Object.keys(DERIVED_SERIES)];
+
+// Series where growth is a bad sign (liabilities, dilution)
+const INVERTED_SERIES = new Set(['totalLiabilities', 'sharesOutstanding']);
+
+// CAGR band (in %) treated as flat
+const STABLE_TREND_BAND = 2;
+
+/**
+ * Parse a report value, treating 'None' and missing fields as null
+ */
+export function parseReportValue(report, fields) {
+  for (const field of fields) {
+    const value = parseFloat(report?.[field]);
+    if (Number.isFinite(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Percentage change between two values, or null when the base is not positive
+ */
+export function calculateGrowth(previous, current) {
+  if (previous === null || current === null || previous <= 0) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Compound annual growth rate (in %) between two values `years` apart
+ * Only defined when both endpoints are positive
+ */
+export function calculateCagr(start, end, years) {
+  if (start === null || end === null || start <= 0 || end <= 0 || years <= 0) return null;
+  return (Math.pow(end / start, 1 / years) - 1) * 100;
+}
+
+/**
+ * CAGR between the first and last non-null values of a series
+ */
+function calculateSeriesCagr(values) {
+  const firstIndex = values.findIndex(v => v !== null);
+  const lastIndex = values.findLastIndex(v => v !== null);
+  if (firstIndex === -1 || firstIndex === lastIndex) return null;
+  return calculateCagr(values[firstIndex], values[lastIndex], lastIndex - firstIndex);
+}
+
+/**
+ * Label a series as improving, deteriorating or stable from its CAGR
+ */
+function classifyTrend(key, cagr) {
+  if (cagr === null) return null;
+  if (Math.abs(cagr) <= STABLE_TREND_BAND) return 'stable';
+  const rising = cagr > 0;
+  return rising !== INVERTED_SERIES.has(key) ? 'improving' : 'deteriorating';
+}
+
+/**
+ * Build multi-year history from annual statement reports
+ *
+ * @param {object} statements - { income, balance, cashFlow }, each with annualReports
+ * @returns {object|null} {
+ *   years: [{ fiscalYear, fiscalDateEnding, revenue, ebitda, ..., eps }] oldest first,
+ *   yoyGrowth: [{ fiscalYear, fiscalDateEnding, revenue, ... }] in %,
+ *   cagr: { revenue, ... } in %,
+ *   trends: { revenue: 'improving' | 'deteriorating' | 'stable', ... },
+ *   periodYears
+ * }
+ */
+export function buildFinancialHistory(statements) {
+  // Index every report by fiscal period end so the three statements line up
+  const reportsByDate = new Map();
+  for (const statement of ['income', 'balance', 'cashFlow']) {
+    for (const report of statements[statement]?.annualReports || []) {
+      if (!report.fiscalDateEnding) continue;
+      if (!reportsByDate.has(report.fiscalDateEnding)) reportsByDate.set(report.fiscalDateEnding, {});
+      reportsByDate.get(report.fiscalDateEnding)[statement] = report;
+    }
+  }
+
+  if (reportsByDate.size === 0) return null;
+
+  const dates = [...reportsByDate.keys()].sort();
+  const years = dates.map(date => {
+    const reports = reportsByDate.get(date);
+    const year = { fiscalYear: date.slice(0, 4), fiscalDateEnding: date };
+    for (const [key, { statement, fields }] of Object.entries(HISTORY_SERIES)) {
+      year[key] = parseReportValue(reports[statement], fields);
+    }
+    for (const [key, derive] of Object.entries(DERIVED_SERIES)) {
+      year[key] = derive(year);
+    }
+    return year;
+  });
+
+  const yoyGrowth = years.slice(1).map((year, i) => {
+    const growth = { fiscalYear: year.fiscalYear, fiscalDateEnding: year.fiscalDateEnding };
+    for (const key of SERIES_KEYS) {
+      growth[key] = calculateGrowth(years[i][key], year[key]);
+    }
+    return growth;
+  });
+
+  const cagr = {};
+  const trends = {};
+  for (const key of SERIES_KEYS) {
+    cagr[key] = calculateSeriesCagr(years.map(year => year[key]));
+    trends[key] = classifyTrend(key, cagr[key]);
+  }
+
+  return {
+    years,
+    yoyGrowth,
+    cagr,
+    trends,
+    periodYears: years.length - 1
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * JSON File Store
+ *
+ * Small persistence helper for local data files (watchlists, portfolio).
+ * Writes go through a single queue and replace the file atomically, so
+ * concurrent requests never interleave partial updates.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a store for one JSON file.
+ * `getFile` is called on every access so env var changes take effect;
+ * `createEmpty` builds the initial contents when the file doesn't exist yet.
+ */
+export function createJsonFileStore({ getFile, createEmpty, label = 'data' }) {
+  // Serializes read-modify-write cycles across requests
+  let writeQueue = Promise.resolve();
+
+  async function read() {
+    try {
+      return { ...createEmpty(), ...JSON.parse(await readFile(getFile(), 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return createEmpty();
+      throw new Error(`Failed to read ${label}: ${error.message}`);
+    }
+  }
+
+  async function write(contents) {
+    const file = getFile();
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(tempFile, JSON.stringify(contents, null, 2) + '\n');
+    await rename(tempFile, file);
+  }
+
+  // Apply `mutate` to the stored contents and persist them; resolves to mutate's return value.
+  // Nothing is written if mutate throws.
+  function update(mutate) {
+    const run = writeQueue.then(async () => {
+      const contents = await read();
+      const result = mutate(contents);
+      await write(contents);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  return { read, update };
+}
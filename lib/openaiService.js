@@ -261,6 +261,9 @@ function constructValuationContext(ticker, companyName, valuationData) {
     if (metrics.pb) context += `- P/B Ratio: ${metrics.pb.toFixed(2)}\n`;
     if (metrics.evRevenue) context += `- EV/Revenue: ${metrics.evRevenue.toFixed(2)}\n`;
     if (metrics.fcfYield) context += `- FCF Yield: ${metrics.fcfYield.toFixed(2)}%\n`;
+    if (metrics.fcfMargin) context += `- FCF Margin: ${metrics.fcfMargin.toFixed(2)}%\n`;
+    if (metrics.shareholderYield) context += `- Shareholder Yield (dividends + net buybacks): ${metrics.shareholderYield.toFixed(2)}%\n`;
+    if (metrics.peg) context += `- PEG Ratio: ${metrics.peg.toFixed(2)} (EPS CAGR ${metrics.epsGrowth.toFixed(1)}%)\n`;
     if (metrics.debtToEquity) context += `- Debt/Equity: ${metrics.debtToEquity.toFixed(2)}\n`;
   }
   
@@ -278,6 +281,11 @@ function constructValuationContext(ticker, companyName, valuationData) {
     context += ` (${valuationData.overall.confidence}% confidence)\n`;
     context += `Reasoning: ${valuationData.overall.reasoning}\n`;
   }
+
+  if (valuationData.priceTargets?.available && valuationData.priceTargets.upside !== null) {
+    const { fairValue, price, upside } = valuationData.priceTargets;
+    context += `Fair Value per Share: $${fairValue.toFixed(2)} vs price $${price.toFixed(2)} (${upside >= 0 ? '+' : ''}${upside.toFixed(1)}%)\n`;
+  }
   
   return context;
 }
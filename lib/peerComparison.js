@@ -0,0 +1,96 @@
+/**
+ * Peer Comparison
+ *
+ * Builds a side-by-side matrix of valuation metrics for a group of companies:
+ * - peer median and mean per metric (companies without a value are skipped)
+ * - each company's percentile rank within the group, where 0 is the lowest
+ *   value and 100 the highest
+ *
+ * Percentiles are raw ranks; `higherIsCheaper` tells the caller which end of
+ * the range looks cheap for each metric.
+ *
+ * The rows are the numeric metrics the valuation engine judged for at least one
+ * company, so the matrix follows the same metric set (and rule profile) as the
+ * single-ticker view. Range-style results (cash flow multiple, DCF) are left out.
+ */
+
+import { isHigherCheaper } from './sectorBenchmarks.js';
+import { VALUATION_METRICS } from './valuationProfiles.js';
+
+/**
+ * List the metrics to compare: every key with a numeric value in some company's verdicts,
+ * in the engine's metric order
+ * @param {array} companies - [{ metrics, verdicts }] as returned by valueTicker
+ * @returns {array} [{ key, label, higherIsCheaper }]
+ */
+export function listPeerMetrics(companies) {
+  const labels = new Map();
+  for (const company of companies) {
+    for (const { key, metric, value } of company.verdicts || []) {
+      if (!labels.has(key) && Number.isFinite(company.metrics?.[key])) {
+        labels.set(key, String(value).endsWith('%') ? `${metric} (%)` : metric);
+      }
+    }
+  }
+  return VALUATION_METRICS
+    .filter(key => labels.has(key))
+    .map(key => ({ key, label: labels.get(key), higherIsCheaper: isHigherCheaper(key) }));
+}
+
+/**
+ * Median of a list of numbers, or null for an empty list
+ */
+export function calculateMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Arithmetic mean of a list of numbers, or null for an empty list
+ */
+export function calculateMean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Percentile rank (0-100) of a value within a peer group; ties share the average rank.
+ * Returns null when there is nothing to rank against.
+ */
+export function calculatePercentileRank(value, values) {
+  if (values.length < 2) return null;
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return Math.round(((below + (equal - 1) / 2) / (values.length - 1)) * 100);
+}
+
+/**
+ * Build the comparison matrix from per-company results ({ ticker, metrics, verdicts })
+ */
+export function buildPeerMatrix(companies) {
+  return listPeerMetrics(companies).map(({ key, label, higherIsCheaper }) => {
+    const values = {};
+    for (const company of companies) {
+      const value = company.metrics?.[key];
+      values[company.ticker] = Number.isFinite(value) ? value : null;
+    }
+
+    const present = Object.values(values).filter(value => value !== null);
+    const percentiles = {};
+    for (const [ticker, value] of Object.entries(values)) {
+      percentiles[ticker] = value === null ? null : calculatePercentileRank(value, present);
+    }
+
+    return {
+      key,
+      label,
+      higherIsCheaper,
+      values,
+      median: calculateMedian(present),
+      mean: calculateMean(present),
+      percentiles
+    };
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * Portfolio Store
+ *
+ * Persists portfolio holdings to a JSON file (PORTFOLIO_DATA_FILE env var
+ * or ./data/portfolio.json). Each ticker appears once; `costBasis` is the
+ * average cost per share.
+ *
+ *   { "holdings": [{ "ticker": "AAPL", "shares": 10, "costBasis": 150, "updatedAt" }] }
+ */
+
+import path from 'path';
+import { createJsonFileStore } from './jsonFileStore.js';
+import { isValidTickerFormat } from './stringUtils.js';
+
+export const MAX_HOLDINGS = 50;
+export const TOO_MANY_HOLDINGS = 'too_many_holdings';
+
+/**
+ * Get portfolio file path (PORTFOLIO_DATA_FILE env var or ./data/portfolio.json)
+ */
+export function getPortfolioFile() {
+  return process.env.PORTFOLIO_DATA_FILE || path.join(process.cwd(), 'data', 'portfolio.json');
+}
+
+const store = createJsonFileStore({
+  getFile: getPortfolioFile,
+  createEmpty: () => ({ holdings: [] }),
+  label: 'portfolio'
+});
+
+/**
+ * Validate a holding { ticker, shares, costBasis }; returns an error message or null
+ */
+export function validateHolding(holding) {
+  if (!holding || typeof holding !== 'object') return 'holding must be an object';
+  const ticker = typeof holding.ticker === 'string' ? holding.ticker.trim().toUpperCase() : '';
+  if (!isValidTickerFormat(ticker)) return `Invalid ticker symbol: ${holding.ticker}`;
+  if (typeof holding.shares !== 'number' || !Number.isFinite(holding.shares) || holding.shares <= 0) {
+    return 'shares must be a positive number';
+  }
+  if (typeof holding.costBasis !== 'number' || !Number.isFinite(holding.costBasis) || holding.costBasis < 0) {
+    return 'costBasis must be a non-negative number (average cost per share)';
+  }
+  return null;
+}
+
+/**
+ * List all holdings in the order they were added
+ */
+export async function listHoldings() {
+  const { holdings } = await store.read();
+  return holdings;
+}
+
+/**
+ * Add a holding, or replace the share count and cost basis of an existing one.
+ * Throws an error with code TOO_MANY_HOLDINGS if a new ticker would exceed the holdings limit.
+ */
+export function upsertHolding({ ticker, shares, costBasis }) {
+  const symbol = ticker.trim().toUpperCase();
+  return store.update(contents => {
+    const holding = { ticker: symbol, shares, costBasis, updatedAt: new Date().toISOString() };
+    const index = contents.holdings.findIndex(h => h.ticker === symbol);
+    if (index >= 0) {
+      contents.holdings[index] = holding;
+    } else {
+      if (contents.holdings.length >= MAX_HOLDINGS) {
+        throw Object.assign(new Error(`A portfolio can hold at most ${MAX_HOLDINGS} positions`), { code: TOO_MANY_HOLDINGS });
+      }
+      contents.holdings.push(holding);
+    }
+    return holding;
+  });
+}
+
+/**
+ * Remove a holding; resolves to true if it existed
+ */
+export function removeHolding(ticker) {
+  const symbol = ticker.trim().toUpperCase();
+  return store.update(contents => {
+    const before = contents.holdings.length;
+    contents.holdings = contents.holdings.filter(h => h.ticker !== symbol);
+    return contents.holdings.length < before;
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * Portfolio Valuation
+ *
+ * Aggregates per-holding valuations into portfolio totals:
+ * - market value, cost and unrealized gain per position and in total
+ * - position weights by market value
+ * - model fair value from the per-share price targets, the same blend the ticker page shows
+ * - a portfolio verdict: every holding's overall verdict weighted by its market value,
+ *   over the holdings that have one
+ */
+
+import { calculateOverallValuation } from './valuationEngine.js';
+
+// Number of holdings listed as most under- and overvalued
+const RANKING_SIZE = 3;
+
+/**
+ * Combine a stored holding with its valuation (from valueTicker) into a position
+ */
+export function buildPosition(holding, valuation) {
+  const { ticker, shares, costBasis } = holding;
+  const costValue = shares * costBasis;
+  const price = valuation.rawData.price;
+
+  if (!price) {
+    return { ticker, shares, costBasis, costValue, error: 'No share price available' };
+  }
+
+  const marketValue = shares * price;
+  const fairValuePerShare = valuation.priceTargets?.available ? valuation.priceTargets.fairValue : null;
+
+  return {
+    ticker,
+    companyName: valuation.companyName,
+    dataSource: valuation.dataSource,
+    shares,
+    costBasis,
+    price,
+    costValue,
+    marketValue,
+    unrealizedGain: marketValue - costValue,
+    unrealizedGainPercent: costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null,
+    fairValuePerShare,
+    fairValue: fairValuePerShare === null ? null : shares * fairValuePerShare,
+    upsidePercent: fairValuePerShare === null ? null : ((fairValuePerShare - price) / price) * 100,
+    verdict: valuation.overall.verdict,
+    confidence: valuation.overall.confidence
+  };
+}
+
+// Order by verdict confidence, then by the gap to model fair value
+function rankPositions(positions, verdict, direction) {
+  return positions
+    .filter(p => p.verdict === verdict)
+    .sort((a, b) => (b.confidence - a.confidence) || direction * ((b.upsidePercent ?? 0) - (a.upsidePercent ?? 0)))
+    .slice(0, RANKING_SIZE)
+    .map(p => p.ticker);
+}
+
+/**
+ * Add weights to the positions and compute portfolio totals, verdict and rankings
+ */
+export function summarizePortfolio(positions) {
+  const valued = positions.filter(p => !p.error);
+  const marketValue = valued.reduce((sum, p) => sum + p.marketValue, 0);
+  const costValue = valued.reduce((sum, p) => sum + p.costValue, 0);
+
+  const weighted = positions.map(p => (p.error ? p : { ...p, weight: marketValue > 0 ? (p.marketValue / marketValue) * 100 : 0 }));
+
+  // Fair value is only comparable over holdings with a price target
+  const withFairValue = valued.filter(p => p.fairValue !== null);
+  const coveredMarketValue = withFairValue.reduce((sum, p) => sum + p.marketValue, 0);
+  const fairValue = withFairValue.reduce((sum, p) => sum + p.fairValue, 0);
+
+  // Holdings without enough data for a verdict don't vote, rather than counting as fairly valued
+  const withVerdict = valued.filter(p => p.verdict !== 'insufficient data');
+  const verdictMarketValue = withVerdict.reduce((sum, p) => sum + p.marketValue, 0);
+  const overall = calculateOverallValuation(withVerdict.map(p => ({ verdict: p.verdict, weight: p.marketValue })));
+  if (overall.verdict !== 'insufficient data') {
+    overall.reasoning = overall.verdict === 'fairly valued'
+      ? 'Holdings are mixed by market value, suggesting the portfolio is fairly valued overall'
+      : `${overall.confidence}% of portfolio market value is in holdings that look ${overall.verdict}`;
+  }
+
+  return {
+    positions: weighted,
+    totals: {
+      marketValue,
+      costValue,
+      unrealizedGain: marketValue - costValue,
+      unrealizedGainPercent: costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null,
+      fairValue: withFairValue.length > 0 ? fairValue : null,
+      fairValueCoverage: marketValue > 0 ? (coveredMarketValue / marketValue) * 100 : 0,
+      verdictCoverage: marketValue > 0 ? (verdictMarketValue / marketValue) * 100 : 0,
+      upsidePercent: coveredMarketValue > 0 ? ((fairValue - coveredMarketValue) / coveredMarketValue) * 100 : null
+    },
+    overall,
+    rankings: {
+      mostUndervalued: rankPositions(valued, 'undervalued', 1),
+      mostOvervalued: rankPositions(valued, 'overvalued', -1)
+    }
+  };
+}
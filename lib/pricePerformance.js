@@ -0,0 +1,130 @@
+/**
+ * Price Performance
+ *
+ * Lines a stock's price history up against comparison symbols (an index ETF,
+ * peer tickers) for the chart overlay:
+ * - Every series is rebased to 100 at the first date all of them cover, so
+ *   symbols trading at very different prices share one axis and one start
+ * - A summary of each period's return per symbol, and the stock's performance
+ *   relative to each comparison symbol in percentage points
+ *
+ * Periods are the chart ranges that fit inside the selected one, measured back
+ * from the stock's latest close the same way the chart is (see priceRanges.js).
+ * Every symbol's returns are anchored to that date, so a series with a newer
+ * close is not measured over a different window.
+ */
+
+import { PRICE_RANGE_NAMES, getRangeCutoff } from './priceRanges.js';
+
+// Upper bound on comparison symbols per request; each one costs a price history call
+export const MAX_COMPARISON_SYMBOLS = 5;
+export const PERFORMANCE_BASE = 100;
+
+const closeOf = (bar) => bar.close ?? bar.price;
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+/**
+ * Parse a comma-separated symbol list ('SPY,AMD'), dropping blanks and case-insensitive duplicates
+ */
+export function parseComparisonSymbols(value) {
+  const seen = new Set();
+  return (value || '')
+    .split(',')
+    .map(symbol => symbol.trim())
+    .filter(symbol => symbol && !seen.has(symbol.toUpperCase()) && seen.add(symbol.toUpperCase()));
+}
+
+/**
+ * Latest first date among the series, the first day every one of them covers
+ * @param {array} seriesList - Bar arrays, oldest first; empty ones are ignored
+ * @returns {string|null}
+ */
+export function getCommonStartDate(seriesList) {
+  const firstDates = seriesList.filter(bars => bars.length > 0).map(bars => bars[0].date);
+  return firstDates.length > 0 ? firstDates.reduce((latest, date) => (date > latest ? date : latest)) : null;
+}
+
+/**
+ * Rebase closes to PERFORMANCE_BASE at the first bar on or after `startDate` (by default the first bar)
+ * @param {array} bars - [{ date, close (or price) }] oldest first
+ * @returns {array} [{ date, value }] from the start date on
+ */
+export function rebaseSeries(bars, startDate = null) {
+  const fromStart = startDate ? bars.filter(({ date }) => date >= startDate) : bars;
+  if (fromStart.length === 0) return [];
+  const base = closeOf(fromStart[0]);
+  return fromStart.map(bar => ({ date: bar.date, value: round((closeOf(bar) / base) * PERFORMANCE_BASE) }));
+}
+
+/**
+ * Periods shown in the summary: the chart ranges starting no earlier than the selected range
+ */
+export function getPerformancePeriods(range, latestDate) {
+  const rangeCutoff = getRangeCutoff(range, latestDate);
+  return PRICE_RANGE_NAMES.filter((period) => {
+    const cutoff = getRangeCutoff(period, latestDate);
+    return rangeCutoff === null || (cutoff !== null && cutoff >= rangeCutoff);
+  });
+}
+
+/**
+ * Percentage change from the first to the last close within a period ending on `endDate`,
+ * or null with fewer than two bars
+ * @param {array} bars - Oldest first
+ * @param {string} endDate - Last date of the period (by default the last bar's)
+ */
+export function calculatePeriodReturn(bars, period, endDate = bars.at(-1)?.date) {
+  if (!endDate) return null;
+  const cutoff = getRangeCutoff(period, endDate);
+  // ISO dates compare correctly as strings
+  const inPeriod = bars.filter(({ date }) => date <= endDate && (!cutoff || date > cutoff));
+  if (inPeriod.length < 2) return null;
+  return round((closeOf(inPeriod.at(-1)) / closeOf(inPeriod[0]) - 1) * 100);
+}
+
+/**
+ * Build the comparison block for the price chart
+ *
+ * @param {string} ticker - The stock being valued
+ * @param {array} bars - Its price history for the range, oldest first
+ * @param {array} comparisons - [{ input, ticker, bars, error? }] with bars null when unavailable
+ * @param {object} options - { range }
+ * @returns {object} { range, base, startDate, ticker, values, symbols: [{ input, ticker, available, error?, values }],
+ *   periods: [{ period, returns: { [ticker]: % }, relative: { [ticker]: percentage points } }] }
+ */
+export function buildPricePerformance(ticker, bars, comparisons, { range }) {
+  const firstDate = bars[0]?.date;
+  const endDate = bars.at(-1)?.date;
+
+  // Only the part of a comparison series within the stock's own dates can be lined up with it
+  const lined = comparisons.map((comparison) => {
+    if (!comparison.bars?.length) {
+      return { ...comparison, bars: null, error: comparison.error || `No price history available for ${comparison.ticker}` };
+    }
+    if (!endDate) return comparison;
+    const overlap = comparison.bars.filter(({ date }) => date >= firstDate && date <= endDate);
+    return overlap.length > 0 ? { ...comparison, bars: overlap } : { ...comparison, bars: null, error: `${comparison.ticker} price history does not overlap ${ticker}'s dates` };
+  });
+
+  const available = lined.filter(({ bars: symbolBars }) => symbolBars);
+  const startDate = getCommonStartDate([bars, ...available.map(({ bars: symbolBars }) => symbolBars)]);
+
+  const symbols = lined.map(({ input, ticker: symbol, bars: symbolBars, error }) => (symbolBars
+    ? { input, ticker: symbol, available: true, values: rebaseSeries(symbolBars, startDate) }
+    : { input, ticker: symbol, available: false, error, values: [] }));
+
+  const periods = endDate
+    ? getPerformancePeriods(range, endDate).map((period) => {
+      const stockReturn = calculatePeriodReturn(bars, period, endDate);
+      const returns = { [ticker]: stockReturn };
+      const relative = {};
+      available.forEach(({ ticker: symbol, bars: symbolBars }) => {
+        returns[symbol] = calculatePeriodReturn(symbolBars, period, endDate);
+        relative[symbol] = stockReturn === null || returns[symbol] === null ? null : round(stockReturn - returns[symbol]);
+      });
+      return { period, returns, relative };
+    })
+    : [];
+
+  return { range, base: PERFORMANCE_BASE, startDate, ticker, values: rebaseSeries(bars, startDate), symbols, periods };
+}
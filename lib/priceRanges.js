@@ -0,0 +1,100 @@
+/**
+ * Price History Ranges
+ *
+ * Maps each chart range to the price series that covers it. Short ranges use
+ * daily closes from the compact output (the last 100 trading days); longer
+ * ranges switch to the full daily history, then to weekly and monthly closes
+ * so multi-year charts stay a readable size. A short range also switches to
+ * the full history when its indicators need more warm-up bars than the
+ * compact output has left before the range (e.g. SMA 200 on 1W).
+ *
+ * Windows are measured back from the latest close in the series rather than
+ * from today, so weekends, holidays and recorded fixtures still fill the chart.
+ */
+
+// Bars in the compact daily output
+const COMPACT_BARS = 100;
+
+// range -> { interval, outputSize, window, tradingDays } (window null = the whole series;
+// tradingDays is the most bars a compact range can hold)
+const PRICE_RANGES = {
+  '1W': { interval: 'daily', outputSize: 'compact', window: { days: 7 }, tradingDays: 5 },
+  '1M': { interval: 'daily', outputSize: 'compact', window: { months: 1 }, tradingDays: 23 },
+  '3M': { interval: 'daily', outputSize: 'compact', window: { months: 3 }, tradingDays: 66 },
+  '6M': { interval: 'daily', outputSize: 'full', window: { months: 6 } },
+  'YTD': { interval: 'daily', outputSize: 'full', window: { yearToDate: true } },
+  '1Y': { interval: 'weekly', outputSize: 'full', window: { years: 1 } },
+  '5Y': { interval: 'weekly', outputSize: 'full', window: { years: 5 } },
+  'MAX': { interval: 'monthly', outputSize: 'full', window: null }
+};
+
+export const PRICE_RANGE_NAMES = Object.keys(PRICE_RANGES);
+export const DEFAULT_PRICE_RANGE = '1W';
+
+/**
+ * Check if a range name is supported
+ */
+export function isPriceRange(range) {
+  return Object.hasOwn(PRICE_RANGES, range);
+}
+
+/**
+ * Get the series settings for a range
+ * @param {number} options.warmUpBars - Bars the indicators need before the range (see getIndicatorWarmUp)
+ * @returns {object} { range, interval, outputSize }
+ */
+export function getPriceRangeSettings(range = DEFAULT_PRICE_RANGE, { warmUpBars = 0 } = {}) {
+  const { interval, outputSize, tradingDays } = PRICE_RANGES[range];
+  const needsFull = outputSize === 'compact' && tradingDays + warmUpBars > COMPACT_BARS;
+  return { range, interval, outputSize: needsFull ? 'full' : outputSize };
+}
+
+// Last date (YYYY-MM-DD) before the range starts, counting back from the latest close
+function getRangeCutoffDate(window, latestDate) {
+  const start = new Date(`${latestDate}T00:00:00Z`);
+  if (window.yearToDate) return `${start.getUTCFullYear() - 1}-12-31`;
+  if (window.days) start.setUTCDate(start.getUTCDate() - window.days);
+  if (window.months) start.setUTCMonth(start.getUTCMonth() - window.months);
+  if (window.years) start.setUTCFullYear(start.getUTCFullYear() - window.years);
+  return start.toISOString().split('T')[0];
+}
+
+/**
+ * Last date (YYYY-MM-DD) before a range starts, counting back from the latest close
+ * @returns {string|null} null for MAX, which has no start
+ */
+export function getRangeCutoff(range, latestDate) {
+  const { window } = PRICE_RANGES[range];
+  return window ? getRangeCutoffDate(window, latestDate) : null;
+}
+
+/**
+ * Keep the bars inside a range
+ * @param {array} series - [{ date, ... }] ordered newest first, as the providers return it
+ * @returns {array} The bars within the range, oldest first
+ */
+export function selectRangeBars(series, range = DEFAULT_PRICE_RANGE) {
+  if (series.length === 0) return [];
+  const cutoffDate = getRangeCutoff(range, series[0].date);
+  // ISO dates compare correctly as strings
+  return series.filter(({ date }) => !cutoffDate || date > cutoffDate).reverse();
+}
+
+/**
+ * Describe the price history returned for a range (for response metadata)
+ * @param {string} source - 'live' or 'demo'; demo history always covers the last trading week
+ * @param {number} warmUpBars - As passed to getPriceRangeSettings
+ * @returns {object} { range, interval, outputSize, from, to, points, fallbackReason }
+ */
+export function describePriceHistory(range, priceHistory, { source = 'live', warmUpBars = 0 } = {}) {
+  const points = priceHistory || [];
+  const isDemo = source === 'demo';
+  return {
+    ...getPriceRangeSettings(range, { warmUpBars }),
+    ...(isDemo && { interval: 'daily', outputSize: null }),
+    from: points.length > 0 ? points[0].date : null,
+    to: points.length > 0 ? points[points.length - 1].date : null,
+    points: points.length,
+    fallbackReason: isDemo && range !== DEFAULT_PRICE_RANGE ? 'Demo price history only covers the last trading week' : null
+  };
+}
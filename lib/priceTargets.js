@@ -0,0 +1,115 @@
+/**
+ * Per-Share Price Targets
+ *
+ * Turns each valuation model's company-level fair value range into a
+ * per-share target range, and compares it with the current price:
+ * - Multiples: the benchmark range the metric was judged against, applied to
+ *   the company's own earnings, EBITDA, revenue, book value or free cash flow.
+ *   EV-based ranges are bridged to equity by subtracting the net claims.
+ * - Cash flow multiple: 30–35× operating cash flow
+ * - DCF: the equity value within the margin of safety
+ *
+ * The headline fair value is the median of the model midpoints, so a single
+ * outlying model cannot drag it far.
+ */
+
+import { DCF_DEFAULTS } from './dcfValuation.js';
+
+// Multiples whose benchmark range converts to an equity value: key -> { label, basis, enterprise?, yield? }
+const MULTIPLE_MODELS = {
+  evEbitda: { label: 'EV/EBITDA', basis: (data) => data.ebitda, enterprise: true },
+  pe: { label: 'P/E', basis: (data) => data.netIncome },
+  pb: { label: 'P/B', basis: (data) => (data.totalAssets || 0) - (data.totalLiabilities || 0) },
+  evRevenue: { label: 'EV/Revenue', basis: (data) => data.totalRevenue, enterprise: true },
+  fcfYield: { label: 'FCF Yield', basis: (data, metrics) => metrics.freeCashFlow, yield: true }
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Percentage gap between a fair value and the price (positive = upside)
+export function calculateUpside(fairValue, price) {
+  if (!(price > 0) || !Number.isFinite(fairValue)) return null;
+  return (fairValue / price - 1) * 100;
+}
+
+// Equity value range implied by a multiple's benchmark range, or null when the basis is not positive
+function multipleEquityRange(model, data, metrics, { low, high }) {
+  const basis = model.basis(data, metrics);
+  if (!(basis > 0)) return null;
+
+  if (model.yield) {
+    // A yield of `high` percent is the cheap end, so it gives the lower value
+    if (!(low > 0)) return null;
+    return { low: basis / (high / 100), high: basis / (low / 100) };
+  }
+
+  const netClaims = model.enterprise ? (data.enterpriseValueBridge?.netClaims ?? (data.ev - data.marketCap)) : 0;
+  if (!Number.isFinite(netClaims)) return null;
+  return { low: basis * low - netClaims, high: basis * high - netClaims };
+}
+
+/**
+ * Build per-share targets for every model that produced a fair value range
+ *
+ * @param {object} data - Financial data (price, sharesOutstanding, statement fields)
+ * @param {object} valuation - { metrics, verdictScores } from calculateValuationMetrics
+ * @returns {object} { available, reason?, price, sharesOutstanding, fairValue, low, high, upside, models }
+ */
+export function buildPriceTargets(data, { metrics, verdictScores }) {
+  const price = data.price > 0 ? data.price : null;
+  const sharesOutstanding = data.sharesOutstanding > 0 ? data.sharesOutstanding : null;
+  if (!sharesOutstanding) {
+    return { available: false, reason: 'Shares outstanding are not reported, so per-share targets cannot be derived', price, sharesOutstanding, models: [] };
+  }
+
+  const ranges = [];
+  for (const score of verdictScores) {
+    const model = MULTIPLE_MODELS[score.key];
+    if (!model || !score.benchmark) continue;
+    const range = multipleEquityRange(model, data, metrics, score.benchmark);
+    if (range) ranges.push({ key: score.key, label: model.label, ...range });
+  }
+
+  if (metrics.cashFlowLower > 0) {
+    ranges.push({ key: 'cashFlowMultiple', label: 'Cash Flow Multiple', low: metrics.cashFlowLower, high: metrics.cashFlowUpper });
+  }
+
+  if (metrics.dcfEquityValue > 0) {
+    const margin = DCF_DEFAULTS.marginOfSafety / 100;
+    const equityValue = metrics.dcfEquityValue;
+    ranges.push({ key: 'dcf', label: 'DCF', low: equityValue * (1 - margin), high: equityValue * (1 + margin), mid: equityValue });
+  }
+
+  // Equity can't be worth less than nothing, however large the net claims
+  const models = ranges.map(({ key, label, low, high, mid = (low + high) / 2 }) => {
+    const perShare = (value) => Math.max(value, 0) / sharesOutstanding;
+    return {
+      key,
+      label,
+      low: perShare(low),
+      high: perShare(high),
+      mid: perShare(mid),
+      upside: calculateUpside(perShare(mid), price)
+    };
+  });
+
+  if (models.length === 0) {
+    return { available: false, reason: 'No valuation model produced a fair value range', price, sharesOutstanding, models };
+  }
+
+  const fairValue = median(models.map(model => model.mid));
+  return {
+    available: true,
+    price,
+    sharesOutstanding,
+    fairValue,
+    low: median(models.map(model => model.low)),
+    high: median(models.map(model => model.high)),
+    upside: calculateUpside(fairValue, price),
+    models
+  };
+}
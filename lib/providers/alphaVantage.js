@@ -0,0 +1,203 @@
+/**
+ * Alpha Vantage Data Provider
+ *
+ * Supplies financial statements, quotes, company overviews and daily, weekly
+ * or monthly price history. All requests go through a `load(name, symbol, params)` function so
+ * the same parsing runs against live HTTP calls or recorded fixture files.
+ *
+ * Statements are returned in the Alpha Vantage report schema, which the rest
+ * of the app treats as the canonical statement format.
+ *
+ * HTTP calls are scheduled through the quota manager (alphaVantageQuota.js),
+ * which also picks the API key from the configured pool.
+ */
+
+import { getAlphaVantageQuota, getAlphaVantageApiKeys } from './alphaVantageQuota.js';
+import { fetchJson } from './resilience.js';
+import { createDataNotFoundError } from './errors.js';
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+// Price series function and the response key holding its closes, by interval
+const PRICE_SERIES = {
+  daily: { function: 'TIME_SERIES_DAILY', key: 'Time Series (Daily)' },
+  weekly: { function: 'TIME_SERIES_WEEKLY', key: 'Weekly Time Series' },
+  monthly: { function: 'TIME_SERIES_MONTHLY', key: 'Monthly Time Series' }
+};
+
+/**
+ * Get the first configured Alpha Vantage API key, if any
+ */
+export function getAlphaVantageApiKey() {
+  return getAlphaVantageApiKeys()[0] || null;
+}
+
+/**
+ * Load a raw Alpha Vantage response over HTTP, once the quota allows it
+ * The timeout covers the HTTP call only, not the wait for a quota slot.
+ */
+export async function loadFromAlphaVantage(name, symbol, params = {}, { timeoutMs } = {}) {
+  const quota = getAlphaVantageQuota();
+  if (!quota) {
+    throw new Error('Alpha Vantage API key not configured');
+  }
+
+  return quota.schedule(async (apiKey) => {
+    const query = new URLSearchParams({ function: name, symbol, ...params, apikey: apiKey });
+    return fetchJson(`${BASE_URL}?${query}`, { timeoutMs });
+  });
+}
+
+/**
+ * Throw if the response carries a rate limit, information or error message
+ * instead of data
+ */
+function assertNoApiMessage(data) {
+  if (data.Note) {
+    console.error(`API rate limit or error: ${data.Note}`);
+    throw new Error('Alpha Vantage API: ' + data.Note);
+  }
+  if (data.Information) {
+    console.error(`API information message: ${data.Information}`);
+    throw new Error('API error: ' + data.Information);
+  }
+  if (data['Error Message']) {
+    // Alpha Vantage answers an unknown symbol with an error message
+    throw createDataNotFoundError('Alpha Vantage API: ' + data['Error Message']);
+  }
+}
+
+/**
+ * Create an Alpha Vantage provider
+ *
+ * @param {object} options
+ * @param {function} options.load - Raw response loader (defaults to HTTP)
+ * @returns {object} Provider implementing fetchFundamentals, fetchQuote,
+ *   fetchProfile and fetchPriceHistory
+ */
+export function createAlphaVantageProvider({ load = loadFromAlphaVantage } = {}) {
+  return {
+    name: 'alphavantage',
+
+    /**
+     * Fetch income statement, balance sheet and cash flow reports (requested concurrently)
+     * @returns {object} { income, balance, cashFlow }, each with annualReports and quarterlyReports
+     */
+    async fetchFundamentals(ticker) {
+      const [incomeData, balanceData, cashFlowData] = await Promise.all([
+        load('INCOME_STATEMENT', ticker),
+        load('BALANCE_SHEET', ticker),
+        load('CASH_FLOW', ticker)
+      ]);
+      console.log(`Income statement response:`, { hasAnnualReports: !!incomeData.annualReports, hasNote: !!incomeData.Note });
+
+      [incomeData, balanceData, cashFlowData].forEach(assertNoApiMessage);
+
+      const missingData = [];
+      if (!incomeData.annualReports) {
+        missingData.push('income statement');
+        console.log('Income data:', { keys: Object.keys(incomeData).slice(0, 5) });
+      }
+      if (!balanceData.annualReports) {
+        missingData.push('balance sheet');
+        console.log('Balance data:', { keys: Object.keys(balanceData).slice(0, 5) });
+      }
+      if (!cashFlowData.annualReports) {
+        missingData.push('cash flow');
+        console.log('Cash flow data:', { keys: Object.keys(cashFlowData).slice(0, 5) });
+      }
+      if (missingData.length > 0) {
+        throw createDataNotFoundError(`Could not fetch: ${missingData.join(', ')}. Could not retrieve financial data for ticker "${ticker}". This may indicate the ticker is invalid, data is unavailable, or the Alpha Vantage API is rate limited.`);
+      }
+
+      const toStatement = (data) => ({
+        annualReports: data.annualReports,
+        quarterlyReports: data.quarterlyReports || []
+      });
+
+      return {
+        income: toStatement(incomeData),
+        balance: toStatement(balanceData),
+        cashFlow: toStatement(cashFlowData)
+      };
+    },
+
+    /**
+     * Fetch the latest quote
+     * @returns {object} { price, open, high, low, previousClose, change, changePercent, volume, latestTradingDay }
+     */
+    async fetchQuote(ticker) {
+      const data = await load('GLOBAL_QUOTE', ticker);
+      assertNoApiMessage(data);
+
+      const quote = data['Global Quote'];
+      if (!quote || !quote['05. price']) {
+        console.log('Quote data:', { keys: Object.keys(data).slice(0, 5) });
+        throw createDataNotFoundError(`Could not fetch: quote data. Could not retrieve a quote for ticker "${ticker}".`);
+      }
+
+      return {
+        price: parseFloat(quote['05. price']),
+        open: parseFloat(quote['02. open']),
+        high: parseFloat(quote['03. high']),
+        low: parseFloat(quote['04. low']),
+        previousClose: parseFloat(quote['08. previous close']),
+        change: parseFloat(quote['09. change']),
+        changePercent: parseFloat(quote['10. change percent']),
+        volume: parseInt(quote['06. volume'], 10),
+        latestTradingDay: quote['07. latest trading day']
+      };
+    },
+
+    /**
+     * Fetch company profile from the OVERVIEW function
+     * @returns {object} { name, sector, exchange, currency, marketCap, sharesOutstanding }
+     */
+    async fetchProfile(ticker) {
+      const data = await load('OVERVIEW', ticker);
+      assertNoApiMessage(data);
+
+      if (!data.Symbol) {
+        throw createDataNotFoundError(`Could not fetch: company overview for ticker "${ticker}".`);
+      }
+
+      return {
+        name: data.Name || null,
+        sector: data.Sector || null,
+        exchange: data.Exchange || null,
+        currency: data.Currency || null,
+        marketCap: parseFloat(data.MarketCapitalization) || 0,
+        sharesOutstanding: parseFloat(data.SharesOutstanding) || 0
+      };
+    },
+
+    /**
+     * Fetch daily, weekly or monthly OHLCV bars
+     * Only the daily series takes an output size; weekly and monthly always cover the full history.
+     * @returns {array} [{ date, open, high, low, close, volume }] ordered newest first
+     */
+    async fetchPriceHistory(ticker, { interval = 'daily', outputSize = 'compact' } = {}) {
+      const series = PRICE_SERIES[interval];
+      if (!series) {
+        throw new Error(`Unknown price interval "${interval}"`);
+      }
+
+      const data = await load(series.function, ticker, interval === 'daily' ? { outputsize: outputSize } : {});
+      assertNoApiMessage(data);
+
+      const timeSeries = data[series.key];
+      if (!timeSeries) {
+        throw createDataNotFoundError(`No ${interval} time series data for ${ticker}`);
+      }
+
+      return Object.entries(timeSeries).map(([date, bar]) => ({
+        date,
+        open: parseFloat(bar['1. open']),
+        high: parseFloat(bar['2. high']),
+        low: parseFloat(bar['3. low']),
+        close: parseFloat(bar['4. close']),
+        volume: parseInt(bar['5. volume'], 10)
+      }));
+    }
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Alpha Vantage Quota Manager
+ *
+ * Every Alpha Vantage HTTP call is scheduled through a quota manager that
+ * knows the per-minute and per-day limits of each API key:
+ * - calls are queued (FIFO) until a per-minute slot opens
+ * - daily usage is tracked per key and resets at midnight UTC
+ * - when no key can take the call today, or the queue wait would exceed the
+ *   limit, the call is rejected immediately with a `retryAfter` in seconds
+ * - multiple keys (ALPHA_VANTAGE_API_KEYS) are used round-robin
+ *
+ * Limits default to the free tier and can be raised with
+ * ALPHA_VANTAGE_CALLS_PER_MINUTE and ALPHA_VANTAGE_CALLS_PER_DAY.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export const QUOTA_DEFAULTS = {
+  callsPerMinute: 5,
+  callsPerDay: 25,
+  maxQueueMs: 60 * 1000
+};
+
+export const QUOTA_EXCEEDED = 'quota_exceeded';
+
+/**
+ * Create an error marking a rejected call, with the seconds to wait before retrying
+ */
+function createQuotaError(message, retryAfterMs) {
+  const error = new Error(message);
+  error.code = QUOTA_EXCEEDED;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return error;
+}
+
+/**
+ * Check if an error is a quota rejection
+ */
+export function isQuotaExceededError(error) {
+  return error?.code === QUOTA_EXCEEDED;
+}
+
+// UTC calendar day, used to reset daily counters
+function getUtcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function msUntilUtcMidnight(time) {
+  const midnight = new Date(time);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime() - time;
+}
+
+/**
+ * Create a quota manager for a pool of API keys
+ *
+ * @param {object} options
+ * @param {string[]} options.keys - API keys, rotated round-robin
+ * @param {number} options.callsPerMinute - Per-key per-minute limit
+ * @param {number} options.callsPerDay - Per-key daily limit
+ * @param {number} options.maxQueueMs - Longest a call may wait for a slot before being rejected
+ * @param {function} options.now - Clock (for tests)
+ */
+export function createQuotaManager({
+  keys,
+  callsPerMinute = QUOTA_DEFAULTS.callsPerMinute,
+  callsPerDay = QUOTA_DEFAULTS.callsPerDay,
+  maxQueueMs = QUOTA_DEFAULTS.maxQueueMs,
+  now = Date.now
+}) {
+  // Per key: scheduled call times (ascending, may be in the future) and today's count
+  const pool = keys.map(key => ({ key, calls: [], day: getUtcDay(now()), usedToday: 0 }));
+  let cursor = 0;
+  let queued = 0;
+
+  function refresh(entry, time) {
+    const day = getUtcDay(time);
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.usedToday = 0;
+    }
+    entry.calls = entry.calls.filter(callTime => callTime > time - MINUTE_MS);
+  }
+
+  // Earliest time this key can make another call without breaking the per-minute limit
+  function nextSlot(entry, time) {
+    const last = entry.calls.length > 0 ? entry.calls[entry.calls.length - 1] : time;
+    const windowStart = entry.calls.length >= callsPerMinute
+      ? entry.calls[entry.calls.length - callsPerMinute] + MINUTE_MS
+      : time;
+    return Math.max(time, last, windowStart);
+  }
+
+  // Reserve a slot on the key that frees up first, preferring round-robin order on ties
+  function reserve() {
+    const time = now();
+    let best = null;
+
+    for (let offset = 0; offset < pool.length; offset++) {
+      const index = (cursor + offset) % pool.length;
+      const entry = pool[index];
+      refresh(entry, time);
+      if (entry.usedToday >= callsPerDay) continue;
+
+      const slot = nextSlot(entry, time);
+      if (!best || slot < best.slot) best = { entry, index, slot };
+    }
+
+    if (!best) {
+      throw createQuotaError(
+        `Alpha Vantage daily quota exhausted (${callsPerDay} calls per key across ${pool.length} key${pool.length === 1 ? '' : 's'})`,
+        msUntilUtcMidnight(time)
+      );
+    }
+
+    const wait = best.slot - time;
+    if (wait > maxQueueMs) {
+      throw createQuotaError(`Alpha Vantage per-minute quota exhausted; next slot in ${Math.ceil(wait / 1000)}s`, wait);
+    }
+
+    best.entry.calls.push(best.slot);
+    best.entry.usedToday++;
+    cursor = (best.index + 1) % pool.length;
+    return { key: best.entry.key, wait };
+  }
+
+  return {
+    /**
+     * Run `call(apiKey)` once a slot is available
+     */
+    async schedule(call) {
+      const { key, wait } = reserve();
+      if (wait > 0) {
+        queued++;
+        try {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        } finally {
+          queued--;
+        }
+      }
+      return call(key);
+    },
+
+    /**
+     * Current usage across the key pool
+     */
+    getUsage() {
+      const time = now();
+      pool.forEach(entry => refresh(entry, time));
+      const usedToday = pool.reduce((sum, entry) => sum + entry.usedToday, 0);
+      return {
+        keys: pool.length,
+        callsPerMinute,
+        callsPerDay,
+        usedToday,
+        remainingToday: pool.length * callsPerDay - usedToday,
+        usedLastMinute: pool.reduce((sum, entry) => sum + entry.calls.filter(callTime => callTime <= time).length, 0),
+        queued,
+        resetsInSeconds: Math.ceil(msUntilUtcMidnight(time) / 1000)
+      };
+    }
+  };
+}
+
+/**
+ * Get the configured API key pool: ALPHA_VANTAGE_API_KEYS (comma-separated)
+ * plus the single-key variables
+ */
+export function getAlphaVantageApiKeys() {
+  const keys = [
+    ...(process.env.ALPHA_VANTAGE_API_KEYS || '').split(','),
+    process.env.NEXT_PUBLIC_ALPHA_VANTAGE_API_KEY,
+    process.env.ALPHA_VANTAGE_API_KEY
+  ].map(key => key?.trim()).filter(Boolean);
+  return [...new Set(keys)];
+}
+
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+let sharedManager = null;
+
+/**
+ * Get the process-wide quota manager, or null when no API key is configured
+ */
+export function getAlphaVantageQuota() {
+  const keys = getAlphaVantageApiKeys();
+  if (keys.length === 0) return null;
+
+  if (!sharedManager || sharedManager.keySignature !== keys.join(',')) {
+    sharedManager = {
+      keySignature: keys.join(','),
+      manager: createQuotaManager({
+        keys,
+        callsPerMinute: readLimit('ALPHA_VANTAGE_CALLS_PER_MINUTE', QUOTA_DEFAULTS.callsPerMinute),
+        callsPerDay: readLimit('ALPHA_VANTAGE_CALLS_PER_DAY', QUOTA_DEFAULTS.callsPerDay)
+      })
+    };
+  }
+  return sharedManager.manager;
+}
+
+/**
+ * Current Alpha Vantage usage, or null when no API key is configured
+ */
+export function getAlphaVantageUsage() {
+  return getAlphaVantageQuota()?.getUsage() || null;
+}
@@ -0,0 +1,232 @@
+/**
+ * Provider Response Cache
+ *
+ * Caches provider calls per ticker, with a TTL per kind of data:
+ * - statements (income, balance sheet, cash flow): 12 hours
+ * - profile: 24 hours
+ * - quote: 1 minute
+ * - price history: 15 minutes
+ * - benchmark price history: 12 hours. The risk benchmark reads the same entry
+ *   as a chart of that symbol, but judges it fresh for longer, since one series
+ *   serves every ticker's risk metrics.
+ *
+ * Entries older than their TTL are stale: they are served immediately while a
+ * background refresh replaces them (stale-while-revalidate). Entries older than
+ * MAX_STALE_FACTOR × TTL are refetched before responding. Concurrent misses for
+ * the same entry share one fetch. Failed calls are never cached, so the demo
+ * fallback still applies.
+ *
+ * Entries live in memory, capped at DATA_CACHE_MAX_ENTRIES (default 500) with
+ * the least recently used evicted first. Entries past their stale window are
+ * dropped whenever a new entry is written. Set DATA_CACHE_DIR to also persist
+ * them to disk so they survive restarts.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export const CACHE_TTL_MS = {
+  statements: 12 * HOUR_MS,
+  profile: 24 * HOUR_MS,
+  quote: 1 * MINUTE_MS,
+  priceHistory: 15 * MINUTE_MS,
+  benchmarkHistory: 12 * HOUR_MS
+};
+
+// How long past its TTL a stale entry may still be served while revalidating
+const MAX_STALE_FACTOR = 10;
+
+// Map order doubles as recency: entries are re-inserted when used, so the first key is the least recently used
+const memoryCache = new Map();
+const pendingRevalidations = new Map();
+const pendingLoads = new Map();
+const stats = { hits: 0, staleHits: 0, misses: 0, bypasses: 0, revalidations: 0, errors: 0, evictions: 0 };
+
+/**
+ * Get the maximum number of in-memory entries (DATA_CACHE_MAX_ENTRIES env var or 500)
+ */
+export function getMaxMemoryEntries() {
+  return Number(process.env.DATA_CACHE_MAX_ENTRIES) || 500;
+}
+
+// An entry read as several kinds is kept as long as the longest-lived of them needs it
+function longerLivedKind(current, kind) {
+  return current && CACHE_TTL_MS[current] >= CACHE_TTL_MS[kind] ? current : kind;
+}
+
+// Past its stale window an entry can't be served any more, only refetched
+function isExpired(entry, now = Date.now()) {
+  return now - entry.fetchedAt >= CACHE_TTL_MS[entry.kind] * MAX_STALE_FACTOR;
+}
+
+// Store an entry as the most recently used one
+function touchEntry(key, entry) {
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+}
+
+// Drop expired entries, then the least recently used ones while over the cap
+function pruneMemoryCache() {
+  const now = Date.now();
+  for (const [key, entry] of memoryCache) {
+    if (isExpired(entry, now)) {
+      memoryCache.delete(key);
+      stats.evictions++;
+    }
+  }
+  const maxEntries = getMaxMemoryEntries();
+  while (memoryCache.size > maxEntries) {
+    memoryCache.delete(memoryCache.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Get the directory for the file-backed store, or null when only memory is used
+ */
+export function getCacheDirectory() {
+  return process.env.DATA_CACHE_DIR || null;
+}
+
+function getCacheFilePath(directory, key) {
+  return path.join(directory, `${encodeURIComponent(key)}.json`);
+}
+
+async function readEntry(key, kind) {
+  const entry = memoryCache.get(key);
+  if (entry) {
+    entry.kind = longerLivedKind(entry.kind, kind);
+    touchEntry(key, entry);
+    return entry;
+  }
+
+  const directory = getCacheDirectory();
+  if (!directory) return null;
+  try {
+    const stored = JSON.parse(await readFile(getCacheFilePath(directory, key), 'utf8'));
+    stored.kind = longerLivedKind(stored.kind, kind);
+    touchEntry(key, stored);
+    pruneMemoryCache();
+    return stored;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`[cache] Failed to read ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+async function writeEntry(key, kind, value) {
+  const entry = { value, fetchedAt: Date.now(), kind: longerLivedKind(memoryCache.get(key)?.kind, kind) };
+  touchEntry(key, entry);
+  pruneMemoryCache();
+
+  const directory = getCacheDirectory();
+  if (directory) {
+    try {
+      await mkdir(directory, { recursive: true });
+      await writeFile(getCacheFilePath(directory, key), JSON.stringify(entry));
+    } catch (error) {
+      console.warn(`[cache] Failed to persist ${key}: ${error.message}`);
+    }
+  }
+  return entry;
+}
+
+// Refresh a stale entry in the background, at most once at a time per key
+function revalidate(key, kind, fetcher) {
+  if (pendingRevalidations.has(key)) return;
+  stats.revalidations++;
+  const refresh = fetcher()
+    .then(value => writeEntry(key, kind, value))
+    .catch(error => {
+      stats.errors++;
+      console.warn(`[cache] Background refresh failed for ${key}: ${error.message}`);
+    })
+    .finally(() => pendingRevalidations.delete(key));
+  pendingRevalidations.set(key, refresh);
+}
+
+// Fetch and store an entry; callers that miss while it is loading share the same fetch
+function loadEntry(key, kind, fetcher) {
+  if (!pendingLoads.has(key)) {
+    const load = Promise.resolve()
+      .then(fetcher)
+      .then(value => writeEntry(key, kind, value))
+      .finally(() => pendingLoads.delete(key));
+    pendingLoads.set(key, load);
+  }
+  return pendingLoads.get(key);
+}
+
+/**
+ * Read through the cache. Resolves to { value, status, fetchedAt } where status is
+ * 'hit', 'stale' (served while revalidating), 'miss' or 'bypass' (forceRefresh).
+ */
+export async function cachedFetch(key, kind, fetcher, { forceRefresh = false } = {}) {
+  const ttl = CACHE_TTL_MS[kind];
+
+  if (!forceRefresh) {
+    const entry = await readEntry(key, kind);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (age < ttl) {
+      stats.hits++;
+      return { value: entry.value, status: 'hit', fetchedAt: entry.fetchedAt };
+    }
+    if (age < ttl * MAX_STALE_FACTOR) {
+      stats.staleHits++;
+      revalidate(key, kind, fetcher);
+      return { value: entry.value, status: 'stale', fetchedAt: entry.fetchedAt };
+    }
+  }
+
+  stats[forceRefresh ? 'bypasses' : 'misses']++;
+  const { value, fetchedAt } = await loadEntry(key, kind, fetcher);
+  return { value, status: forceRefresh ? 'bypass' : 'miss', fetchedAt };
+}
+
+/**
+ * Wrap a provider so every call goes through the cache.
+ * `cacheStatus` records how each kind of data was served for this provider instance.
+ */
+export function createCachedProvider(provider, { forceRefresh = false } = {}) {
+  const cacheStatus = {};
+
+  // `entryKind` names the entry, so two kinds can share one entry and still apply their own TTLs
+  const cached = (kind, method, keyParts, entryKind = kind) => async (ticker, ...args) => {
+    const key = [provider.name, entryKind, ticker.toUpperCase(), ...keyParts(...args)].join(':');
+    const { value, status, fetchedAt } = await cachedFetch(key, kind, () => provider[method](ticker, ...args), { forceRefresh });
+    cacheStatus[kind] = { status, fetchedAt: new Date(fetchedAt).toISOString() };
+    return value;
+  };
+
+  const priceHistoryKey = (options = {}) => [options.interval || 'daily', options.outputSize || 'compact'];
+
+  return {
+    ...provider,
+    cacheStatus,
+    forceRefresh,
+    fetchFundamentals: cached('statements', 'fetchFundamentals', () => []),
+    fetchQuote: cached('quote', 'fetchQuote', () => []),
+    fetchProfile: cached('profile', 'fetchProfile', () => []),
+    fetchPriceHistory: cached('priceHistory', 'fetchPriceHistory', priceHistoryKey),
+    // The risk benchmark is read for every ticker, so the series it shares with charts of the same symbol stays fresh for longer
+    fetchBenchmarkHistory: cached('benchmarkHistory', 'fetchPriceHistory', priceHistoryKey, 'priceHistory')
+  };
+}
+
+/**
+ * Clear the in-memory cache (the file-backed store is left in place)
+ */
+export function clearProviderCache() {
+  memoryCache.clear();
+}
+
+/**
+ * Get cache statistics
+ */
+export function getProviderCacheStats() {
+  return { size: memoryCache.size, maxEntries: getMaxMemoryEntries(), pendingRevalidations: pendingRevalidations.size, ...stats };
+}
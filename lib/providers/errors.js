@@ -0,0 +1,25 @@
+/**
+ * Provider Errors
+ *
+ * Marks upstream answers that mean a symbol has no such data (an unknown
+ * ticker, a missing statement or price series, an unrecorded fixture) apart
+ * from calls that failed, so routes can answer 404 rather than 500.
+ */
+
+export const DATA_NOT_FOUND = 'data_not_found';
+
+/**
+ * Create an error marking data the upstream doesn't have for a symbol
+ */
+export function createDataNotFoundError(message) {
+  const error = new Error(message);
+  error.code = DATA_NOT_FOUND;
+  return error;
+}
+
+/**
+ * Check if an error means the data doesn't exist, rather than that fetching it failed
+ */
+export function isDataNotFoundError(error) {
+  return error?.code === DATA_NOT_FOUND;
+}
@@ -0,0 +1,86 @@
+/**
+ * Finnhub Data Provider
+ *
+ * Supplies company profiles (name, industry, market cap) and quotes.
+ * Like the Alpha Vantage provider, requests go through an injectable
+ * `load(name, symbol, params)` function so fixtures can stand in for HTTP.
+ */
+
+import { fetchJson } from './resilience.js';
+import { createDataNotFoundError } from './errors.js';
+
+const BASE_URL = 'https://finnhub.io/api/v1';
+
+/**
+ * Load a raw Finnhub response over HTTP
+ * Requires: FINNHUB_API_KEY env var
+ */
+export async function loadFromFinnhub(name, symbol, params = {}, { timeoutMs } = {}) {
+  const apiKey = process.env.FINNHUB_API_KEY;
+  if (!apiKey) {
+    throw new Error('Finnhub API key not configured');
+  }
+
+  const query = new URLSearchParams({ symbol, ...params, token: apiKey });
+  return fetchJson(`${BASE_URL}/${name}?${query}`, { timeoutMs });
+}
+
+/**
+ * Create a Finnhub provider
+ *
+ * @param {object} options
+ * @param {function} options.load - Raw response loader (defaults to HTTP)
+ * @returns {object} Provider implementing fetchProfile and fetchQuote
+ */
+export function createFinnhubProvider({ load = loadFromFinnhub } = {}) {
+  return {
+    name: 'finnhub',
+
+    /**
+     * Fetch company profile
+     * @returns {object} { name, sector, exchange, currency, marketCap, sharesOutstanding }
+     */
+    async fetchProfile(ticker) {
+      const data = await load('stock/profile2', ticker);
+
+      // Check if Finnhub returned valid data
+      if (!data || !data.marketCapitalization) {
+        console.warn(`Finnhub data incomplete for ${ticker}, using fallback calculation`);
+      }
+
+      return {
+        name: data?.name || null,
+        sector: data?.finnhubIndustry || null,
+        exchange: data?.exchange || null,
+        currency: data?.currency || null,
+        // Finnhub reports market cap and shares outstanding in millions
+        marketCap: data?.marketCapitalization ? data.marketCapitalization * 1000000 : 0,
+        sharesOutstanding: data?.shareOutstanding ? data.shareOutstanding * 1000000 : 0
+      };
+    },
+
+    /**
+     * Fetch the latest quote
+     * @returns {object} { price, open, high, low, previousClose, change, changePercent, volume, latestTradingDay }
+     */
+    async fetchQuote(ticker) {
+      const data = await load('quote', ticker);
+
+      if (!data || !data.c) {
+        throw createDataNotFoundError(`Could not fetch: quote data. Could not retrieve a quote for ticker "${ticker}".`);
+      }
+
+      return {
+        price: data.c,
+        open: data.o,
+        high: data.h,
+        low: data.l,
+        previousClose: data.pc,
+        change: data.d,
+        changePercent: data.dp,
+        volume: null,
+        latestTradingDay: data.t ? new Date(data.t * 1000).toISOString().split('T')[0] : null
+      };
+    }
+  };
+}
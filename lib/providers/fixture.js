@@ -0,0 +1,122 @@
+/**
+ * Fixture Data Provider
+ *
+ * Replays recorded Alpha Vantage and Finnhub responses from disk so the
+ * valuation routes can run fully offline. Fixtures live in one directory per
+ * ticker, one file per upstream call:
+ *
+ *   fixtures/AAPL/INCOME_STATEMENT.json
+ *   fixtures/AAPL/BALANCE_SHEET.json
+ *   fixtures/AAPL/CASH_FLOW.json
+ *   fixtures/AAPL/GLOBAL_QUOTE.json
+ *   fixtures/AAPL/TIME_SERIES_DAILY.json        (compact: last 100 days)
+ *   fixtures/AAPL/TIME_SERIES_DAILY.full.json   (outputsize=full)
+ *   fixtures/AAPL/TIME_SERIES_WEEKLY.json
+ *   fixtures/AAPL/TIME_SERIES_MONTHLY.json
+ *   fixtures/AAPL/profile2.json
+ *
+ * Request parameters that differ from the API's defaults are part of the file
+ * name, so a full daily series never overwrites the compact one.
+ *
+ * The compact AAPL series is recorded; the full, weekly and monthly series are
+ * synthetic backfills that end on the recorded bars, so every chart range works
+ * offline. fixtures/SPY holds synthetic price series only, for the risk
+ * benchmark and chart overlays. Don't read anything into their prices.
+ *
+ * Set FIXTURE_RECORD=true while using a live provider to capture new fixtures.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { createAlphaVantageProvider } from './alphaVantage.js';
+import { createFinnhubProvider } from './finnhub.js';
+import { createResilientLoader } from './resilience.js';
+import { createDataNotFoundError } from './errors.js';
+
+/**
+ * Get fixture directory (FIXTURE_DATA_DIR env var or ./fixtures)
+ */
+export function getFixtureDirectory() {
+  return process.env.FIXTURE_DATA_DIR || path.join(process.cwd(), 'fixtures');
+}
+
+// Parameter values the upstream APIs apply when a parameter is left out; these add nothing to the fixture name
+const DEFAULT_PARAMS = { outputsize: 'compact' };
+
+/**
+ * Map an upstream call to its fixture file, e.g. 'stock/profile2' -> AAPL/profile2.json
+ * and TIME_SERIES_DAILY with { outputsize: 'full' } -> AAPL/TIME_SERIES_DAILY.full.json
+ */
+export function getFixturePath(directory, name, symbol, params = {}) {
+  const variants = Object.keys(params)
+    .sort()
+    .filter(key => params[key] !== undefined && params[key] !== DEFAULT_PARAMS[key])
+    .map(key => String(params[key]));
+  return path.join(directory, symbol.toUpperCase(), `${[name.split('/').pop(), ...variants].join('.')}.json`);
+}
+
+/**
+ * Create a loader that reads recorded responses instead of calling the API
+ */
+export function createFixtureLoader(directory = getFixtureDirectory()) {
+  return async (name, symbol, params) => {
+    const fixturePath = getFixturePath(directory, name, symbol, params);
+    try {
+      return JSON.parse(await readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw createDataNotFoundError(`No recorded fixture for ${symbol.toUpperCase()} ${name} (expected ${fixturePath})`);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Wrap a live loader so every successful response is also written to disk
+ */
+export function withFixtureRecording(load, directory = getFixtureDirectory()) {
+  return async (name, symbol, params, options) => {
+    const data = await load(name, symbol, params, options);
+
+    // Don't record rate limit or error responses
+    if (data && !data.Note && !data.Information && !data['Error Message']) {
+      const fixturePath = getFixturePath(directory, name, symbol, params);
+      try {
+        await mkdir(path.dirname(fixturePath), { recursive: true });
+        await writeFile(fixturePath, JSON.stringify(data, null, 2) + '\n');
+        console.log(`[fixtures] Recorded ${fixturePath}`);
+      } catch (error) {
+        console.error('[fixtures] Failed to record fixture:', error.message);
+      }
+    }
+
+    return data;
+  };
+}
+
+/**
+ * Check if fixture recording is enabled
+ */
+export function isFixtureRecordingEnabled() {
+  return process.env.FIXTURE_RECORD === 'true';
+}
+
+/**
+ * Create a provider backed entirely by recorded fixtures
+ * Statements, quotes and price history replay Alpha Vantage responses;
+ * profiles replay Finnhub responses. Reads are recorded in `diagnostics` but never retried.
+ */
+export function createFixtureProvider({ directory = getFixtureDirectory(), diagnostics = null } = {}) {
+  const load = createResilientLoader(createFixtureLoader(directory), { source: 'fixture', diagnostics, retries: 0 });
+  const alphaVantage = createAlphaVantageProvider({ load });
+  const finnhub = createFinnhubProvider({ load });
+
+  return {
+    name: 'fixture',
+    fetchFundamentals: alphaVantage.fetchFundamentals,
+    fetchQuote: alphaVantage.fetchQuote,
+    fetchProfile: finnhub.fetchProfile,
+    fetchPriceHistory: alphaVantage.fetchPriceHistory
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Financial Data Provider Registry
+ *
+ * Every provider implements the same interface:
+ *   fetchFundamentals(ticker)        -> { income, balance, cashFlow } (Alpha Vantage report schema)
+ *   fetchQuote(ticker)               -> { price, change, changePercent, ... }
+ *   fetchProfile(ticker)             -> { name, sector, marketCap, sharesOutstanding, ... }
+ *   fetchPriceHistory(ticker, opts)  -> [{ date, open, high, low, close, volume }] newest first; opts { interval, outputSize }
+ *
+ * Available providers:
+ * - live: Alpha Vantage statements/quotes/prices + Finnhub profile (default)
+ * - alphavantage: Alpha Vantage only (profile from OVERVIEW)
+ * - fixture: recorded responses replayed from disk
+ *
+ * Selected with the `dataProvider` query param / body field, or the
+ * FINANCIAL_DATA_PROVIDER env var. Providers are wrapped in the response
+ * cache (see cache.js) unless `cache: false` is passed.
+ *
+ * Upstream calls run with a per-call timeout and retry transient failures
+ * (see resilience.js). Each provider instance carries a `diagnostics`
+ * collector recording the latency and status of the calls it made.
+ */
+
+import { createAlphaVantageProvider, loadFromAlphaVantage } from './alphaVantage.js';
+import { createFinnhubProvider, loadFromFinnhub } from './finnhub.js';
+import { createFixtureProvider, withFixtureRecording, isFixtureRecordingEnabled } from './fixture.js';
+import { createCachedProvider } from './cache.js';
+import { createResilientLoader, createDiagnosticsCollector } from './resilience.js';
+
+export const DEFAULT_DATA_PROVIDER = 'live';
+
+function createLiveLoaders({ diagnostics }) {
+  const record = isFixtureRecordingEnabled() ? withFixtureRecording : load => load;
+  return {
+    alphaVantage: createResilientLoader(record(loadFromAlphaVantage), { source: 'alphavantage', diagnostics }),
+    finnhub: createResilientLoader(record(loadFromFinnhub), { source: 'finnhub', diagnostics })
+  };
+}
+
+const providerFactories = {
+  live: (options) => {
+    const loaders = createLiveLoaders(options);
+    const alphaVantage = createAlphaVantageProvider({ load: loaders.alphaVantage });
+    const finnhub = createFinnhubProvider({ load: loaders.finnhub });
+    return {
+      name: 'live',
+      fetchFundamentals: alphaVantage.fetchFundamentals,
+      fetchQuote: alphaVantage.fetchQuote,
+      fetchProfile: finnhub.fetchProfile,
+      fetchPriceHistory: alphaVantage.fetchPriceHistory
+    };
+  },
+  alphavantage: (options) => createAlphaVantageProvider({ load: createLiveLoaders(options).alphaVantage }),
+  fixture: ({ diagnostics }) => createFixtureProvider({ diagnostics })
+};
+
+/**
+ * Get names of all registered providers
+ */
+export function getAvailableDataProviders() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Check if a provider name is registered
+ */
+export function isDataProvider(name) {
+  return typeof name === 'string' && Object.hasOwn(providerFactories, name.toLowerCase());
+}
+
+/**
+ * Get a data provider by name
+ * Falls back to FINANCIAL_DATA_PROVIDER, then the default live provider
+ *
+ * @param {string} name - Provider name ('live', 'alphavantage', 'fixture')
+ * @param {object} options
+ * @param {boolean} options.cache - Serve calls through the response cache (default true)
+ * @param {boolean} options.forceRefresh - Skip cached entries and refetch
+ * @returns {object} Provider instance, with a `diagnostics` collector
+ */
+export function getDataProvider(name = null, { cache = true, forceRefresh = false } = {}) {
+  const providerName = (name || process.env.FINANCIAL_DATA_PROVIDER || DEFAULT_DATA_PROVIDER).toLowerCase();
+
+  if (!isDataProvider(providerName)) {
+    throw new Error(`Unknown data provider "${providerName}". Available providers: ${getAvailableDataProviders().join(', ')}`);
+  }
+
+  const diagnostics = createDiagnosticsCollector();
+  const provider = { ...providerFactories[providerName]({ diagnostics }), diagnostics };
+  return cache ? createCachedProvider(provider, { forceRefresh }) : provider;
+}
@@ -0,0 +1,142 @@
+/**
+ * Upstream Call Resilience
+ *
+ * Helpers that keep one slow or flaky upstream from stalling a valuation:
+ * - fetchJson: HTTP GET with a per-call timeout
+ * - createResilientLoader: retries transient failures (timeouts, network
+ *   errors, HTTP 429/5xx) with exponential backoff and full jitter, and records
+ *   the latency, status and attempt count of every call in a diagnostics collector
+ *
+ * Quota rejections are never retried; they already carry a `retryAfter`.
+ */
+
+import { isQuotaExceededError } from './alphaVantageQuota.js';
+
+export const RESILIENCE_DEFAULTS = {
+  timeoutMs: 8000,
+  retries: 2,
+  baseDelayMs: 300,
+  maxDelayMs: 3000
+};
+
+/**
+ * GET a JSON document, failing after `timeoutMs`
+ * HTTP errors are thrown with the response `status` attached.
+ */
+export async function fetchJson(url, { timeoutMs = RESILIENCE_DEFAULTS.timeoutMs } = {}) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      const timeoutError = new Error(`Request timed out after ${timeoutMs}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const httpError = new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    httpError.status = response.status;
+    throw httpError;
+  }
+  return response.json();
+}
+
+/**
+ * Check if a failed call is worth retrying
+ */
+export function isTransientError(error) {
+  if (isQuotaExceededError(error)) return false;
+  if (error.code === 'ETIMEDOUT') return true;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  // fetch() rejects with a TypeError on DNS, connection and socket failures
+  return error instanceof TypeError && /fetch failed|network/i.test(error.message);
+}
+
+/**
+ * Backoff before retry number `attempt` (0-based): a random delay up to base × 2^attempt
+ */
+export function getBackoffDelay(attempt, { baseDelayMs = RESILIENCE_DEFAULTS.baseDelayMs, maxDelayMs = RESILIENCE_DEFAULTS.maxDelayMs } = {}) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * Collect per-call diagnostics for one request
+ */
+export function createDiagnosticsCollector() {
+  const startedAt = Date.now();
+  const calls = [];
+  const coalesced = [];
+
+  return {
+    record(entry) {
+      calls.push(entry);
+    },
+    // Note data this request took from another request's in-flight fetch (its calls are not listed)
+    recordCoalesced(kind) {
+      coalesced.push(kind);
+    },
+    summary() {
+      return {
+        elapsedMs: Date.now() - startedAt,
+        upstreamCalls: calls.length,
+        failedCalls: calls.filter(call => call.status !== 'ok').length,
+        coalesced,
+        calls
+      };
+    }
+  };
+}
+
+/**
+ * Wrap a `load(name, symbol, params, options)` function with timeouts, retries and diagnostics
+ *
+ * @param {function} load - Raw loader; receives { timeoutMs } as its fourth argument
+ * @param {object} options
+ * @param {string} options.source - Upstream name recorded in diagnostics ('alphavantage', 'finnhub', ...)
+ * @param {object} options.diagnostics - Collector from createDiagnosticsCollector (optional)
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ */
+export function createResilientLoader(load, {
+  source,
+  diagnostics = null,
+  retries = RESILIENCE_DEFAULTS.retries,
+  timeoutMs = RESILIENCE_DEFAULTS.timeoutMs,
+  baseDelayMs = RESILIENCE_DEFAULTS.baseDelayMs,
+  maxDelayMs = RESILIENCE_DEFAULTS.maxDelayMs
+}) {
+  return async (name, symbol, params) => {
+    const started = Date.now();
+    let attempt = 0;
+
+    while (true) {
+      try {
+        const data = await load(name, symbol, params, { timeoutMs });
+        diagnostics?.record({ source, call: name, ticker: symbol, status: 'ok', latencyMs: Date.now() - started, attempts: attempt + 1 });
+        return data;
+      } catch (error) {
+        if (attempt < retries && isTransientError(error)) {
+          const delay = getBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+          console.warn(`[${source}] ${name} for ${symbol} failed (${error.message}); retrying in ${Math.round(delay)}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          attempt++;
+          continue;
+        }
+
+        diagnostics?.record({
+          source,
+          call: name,
+          ticker: symbol,
+          status: isQuotaExceededError(error) ? 'quota_exceeded' : error.code === 'ETIMEDOUT' ? 'timeout' : 'error',
+          latencyMs: Date.now() - started,
+          attempts: attempt + 1,
+          error: error.message
+        });
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Financial Quality Scores
+ *
+ * Accounting-based checks that catch what price multiples miss, computed from
+ * the latest two consecutive fiscal years of annual statements:
+ * - Piotroski F-Score (0–9): nine pass/fail tests of profitability, leverage,
+ *   liquidity and operating efficiency
+ * - Altman Z-Score: bankruptcy risk, with safe / grey / distress zones
+ * - Beneish M-Score: likelihood that earnings are being manipulated
+ *
+ * Statements follow the Alpha Vantage report schema (see lib/providers).
+ */
+
+import { parseReportValue } from './financialHistory.js';
+
+// Altman Z-Score zone boundaries (original public-company model)
+const ALTMAN_SAFE = 2.99;
+const ALTMAN_DISTRESS = 1.81;
+
+// Beneish M-Score above this suggests earnings manipulation (8-variable model)
+const BENEISH_THRESHOLD = -1.78;
+
+// F-Score bands
+const PIOTROSKI_STRONG = 8;
+const PIOTROSKI_WEAK = 2;
+
+// Fiscal years further apart than this are not treated as consecutive
+const MAX_YEAR_GAP_DAYS = 400;
+
+const FIELDS = {
+  revenue: ['income', ['totalRevenue']],
+  costOfRevenue: ['income', ['costOfRevenue', 'costofGoodsAndServicesSold']],
+  sga: ['income', ['sellingGeneralAndAdministrative']],
+  ebit: ['income', ['ebit', 'operatingIncome']],
+  netIncome: ['income', ['netIncomeFromContinuingOperations', 'netIncome']],
+  depreciation: ['cashFlow', ['depreciationDepletionAndAmortization']],
+  operatingCashFlow: ['cashFlow', ['operatingCashflow', 'operatingCashFlow']],
+  totalAssets: ['balance', ['totalAssets']],
+  totalLiabilities: ['balance', ['totalLiabilities']],
+  currentAssets: ['balance', ['totalCurrentAssets']],
+  currentLiabilities: ['balance', ['totalCurrentLiabilities']],
+  retainedEarnings: ['balance', ['retainedEarnings']],
+  receivables: ['balance', ['currentNetReceivables']],
+  ppe: ['balance', ['propertyPlantEquipment']],
+  longTermDebt: ['balance', ['longTermDebtNoncurrent', 'longTermDebt']],
+  sharesOutstanding: ['balance', ['commonStockSharesOutstanding']]
+};
+
+// Divide, or null when either side is missing or the denominator is zero
+function ratio(numerator, denominator) {
+  if (numerator === null || denominator === null || denominator === 0) return null;
+  return numerator / denominator;
+}
+
+/**
+ * Pick the latest two consecutive fiscal years reported by all three statements
+ * @returns {object|null} { current, previous }, each the parsed FIELDS plus fiscalDateEnding
+ */
+export function selectConsecutiveYears(statements) {
+  const byDate = new Map();
+  for (const statement of ['income', 'balance', 'cashFlow']) {
+    for (const report of statements?.[statement]?.annualReports || []) {
+      if (!report.fiscalDateEnding) continue;
+      if (!byDate.has(report.fiscalDateEnding)) byDate.set(report.fiscalDateEnding, {});
+      byDate.get(report.fiscalDateEnding)[statement] = report;
+    }
+  }
+
+  const complete = [...byDate.entries()]
+    .filter(([, reports]) => reports.income && reports.balance && reports.cashFlow)
+    .sort(([a], [b]) => b.localeCompare(a));
+  if (complete.length < 2) return null;
+
+  const [[currentDate, currentReports], [previousDate, previousReports]] = complete;
+  if ((new Date(currentDate) - new Date(previousDate)) / 86400000 > MAX_YEAR_GAP_DAYS) return null;
+
+  const parse = (date, reports) => ({
+    fiscalDateEnding: date,
+    ...Object.fromEntries(Object.entries(FIELDS).map(([key, [statement, fields]]) => [key, parseReportValue(reports[statement], fields)]))
+  });
+  return { current: parse(currentDate, currentReports), previous: parse(previousDate, previousReports) };
+}
+
+/**
+ * Piotroski F-Score: one point per criterion passed
+ * Criteria whose inputs are missing are reported with `passed: null` and score nothing.
+ */
+export function calculatePiotroskiScore({ current, previous }) {
+  const roa = (year) => ratio(year.netIncome, year.totalAssets);
+  const leverage = (year) => ratio(year.longTermDebt ?? 0, year.totalAssets);
+  const currentRatio = (year) => ratio(year.currentAssets, year.currentLiabilities);
+  const grossMargin = (year) => ratio(year.revenue === null || year.costOfRevenue === null ? null : year.revenue - year.costOfRevenue, year.revenue);
+  const assetTurnover = (year) => ratio(year.revenue, year.totalAssets);
+
+  const test = (value, pass) => (value === null ? null : pass(value));
+  const change = (fn) => (fn(current) === null || fn(previous) === null ? null : fn(current) - fn(previous));
+
+  const criteria = [
+    { key: 'positiveRoa', label: 'Positive return on assets', group: 'profitability', passed: test(roa(current), v => v > 0) },
+    { key: 'positiveOperatingCashFlow', label: 'Positive operating cash flow', group: 'profitability', passed: test(current.operatingCashFlow, v => v > 0) },
+    { key: 'improvingRoa', label: 'Return on assets improved', group: 'profitability', passed: test(change(roa), v => v > 0) },
+    {
+      key: 'cashEarningsQuality',
+      label: 'Operating cash flow exceeds net income',
+      group: 'profitability',
+      passed: current.operatingCashFlow === null || current.netIncome === null ? null : current.operatingCashFlow > current.netIncome
+    },
+    { key: 'lowerLeverage', label: 'Long-term debt to assets fell', group: 'leverage', passed: test(change(leverage), v => v < 0) },
+    { key: 'improvingLiquidity', label: 'Current ratio improved', group: 'leverage', passed: test(change(currentRatio), v => v > 0) },
+    {
+      key: 'noDilution',
+      label: 'No new shares issued',
+      group: 'leverage',
+      passed: current.sharesOutstanding === null || previous.sharesOutstanding === null ? null : current.sharesOutstanding <= previous.sharesOutstanding
+    },
+    { key: 'improvingGrossMargin', label: 'Gross margin improved', group: 'efficiency', passed: test(change(grossMargin), v => v > 0) },
+    { key: 'improvingAssetTurnover', label: 'Asset turnover improved', group: 'efficiency', passed: test(change(assetTurnover), v => v > 0) }
+  ];
+
+  const score = criteria.filter(c => c.passed === true).length;
+  const evaluated = criteria.filter(c => c.passed !== null).length;
+  const strength = score >= PIOTROSKI_STRONG ? 'strong' : score <= PIOTROSKI_WEAK ? 'weak' : 'average';
+
+  return { score, maxScore: criteria.length, evaluated, strength, criteria };
+}
+
+/**
+ * Altman Z-Score from the current year's balance sheet and market cap
+ */
+export function calculateAltmanZScore({ current }, { marketCap }) {
+  const { totalAssets, totalLiabilities, currentAssets, currentLiabilities, retainedEarnings, ebit, revenue } = current;
+  if (!(totalAssets > 0) || !(totalLiabilities > 0) || !(marketCap > 0)) {
+    return { available: false, reason: 'Total assets, total liabilities and market cap are required' };
+  }
+
+  const components = {
+    workingCapitalToAssets: ratio(currentAssets === null || currentLiabilities === null ? null : currentAssets - currentLiabilities, totalAssets),
+    retainedEarningsToAssets: ratio(retainedEarnings, totalAssets),
+    ebitToAssets: ratio(ebit, totalAssets),
+    marketCapToLiabilities: marketCap / totalLiabilities,
+    salesToAssets: ratio(revenue, totalAssets)
+  };
+  const missing = Object.keys(components).filter(key => components[key] === null);
+  if (missing.length > 0) {
+    return { available: false, reason: `Missing inputs: ${missing.join(', ')}` };
+  }
+
+  const score = 1.2 * components.workingCapitalToAssets
+    + 1.4 * components.retainedEarningsToAssets
+    + 3.3 * components.ebitToAssets
+    + 0.6 * components.marketCapToLiabilities
+    + 1.0 * components.salesToAssets;
+  const zone = score > ALTMAN_SAFE ? 'safe' : score < ALTMAN_DISTRESS ? 'distress' : 'grey';
+
+  return { available: true, score, zone, thresholds: { distress: ALTMAN_DISTRESS, safe: ALTMAN_SAFE }, components };
+}
+
+/**
+ * Beneish M-Score (8-variable model)
+ * Indices that can't be computed are set to 1 (no change) and listed in `assumedNeutral`;
+ * total accruals to assets (TATA) is required.
+ */
+export function calculateBeneishMScore({ current, previous }) {
+  const tata = ratio(
+    current.netIncome === null || current.operatingCashFlow === null ? null : current.netIncome - current.operatingCashFlow,
+    current.totalAssets
+  );
+  if (tata === null) {
+    return { available: false, reason: 'Net income, operating cash flow and total assets are required' };
+  }
+
+  const grossMargin = (year) => ratio(year.revenue === null || year.costOfRevenue === null ? null : year.revenue - year.costOfRevenue, year.revenue);
+  const softAssets = (year) => {
+    const hardAssetShare = ratio(year.currentAssets === null || year.ppe === null ? null : year.currentAssets + year.ppe, year.totalAssets);
+    return hardAssetShare === null ? null : 1 - hardAssetShare;
+  };
+  const depreciationRate = (year) => ratio(year.depreciation, year.depreciation === null || year.ppe === null ? null : year.depreciation + year.ppe);
+  const leverage = (year) => ratio(year.currentLiabilities === null ? null : year.currentLiabilities + (year.longTermDebt ?? 0), year.totalAssets);
+  const perSales = (key) => (year) => ratio(year[key], year.revenue);
+
+  const indices = {
+    dsri: ratio(perSales('receivables')(current), perSales('receivables')(previous)),
+    gmi: ratio(grossMargin(previous), grossMargin(current)),
+    aqi: ratio(softAssets(current), softAssets(previous)),
+    sgi: ratio(current.revenue, previous.revenue),
+    depi: ratio(depreciationRate(previous), depreciationRate(current)),
+    sgai: ratio(perSales('sga')(current), perSales('sga')(previous)),
+    lvgi: ratio(leverage(current), leverage(previous)),
+    tata
+  };
+
+  const assumedNeutral = Object.keys(indices).filter(key => indices[key] === null);
+  assumedNeutral.forEach(key => { indices[key] = 1; });
+
+  const score = -4.84
+    + 0.920 * indices.dsri
+    + 0.528 * indices.gmi
+    + 0.404 * indices.aqi
+    + 0.892 * indices.sgi
+    + 0.115 * indices.depi
+    - 0.172 * indices.sgai
+    + 4.679 * indices.tata
+    - 0.327 * indices.lvgi;
+
+  return {
+    available: true,
+    score,
+    threshold: BENEISH_THRESHOLD,
+    likelyManipulator: score > BENEISH_THRESHOLD,
+    indices,
+    assumedNeutral
+  };
+}
+
+/**
+ * Compute all three scores, or null when two consecutive fiscal years aren't available
+ *
+ * @param {object|null} years - From selectConsecutiveYears
+ * @param {object} options
+ * @param {number|null} options.marketCap - Market value of equity for the Altman Z-Score
+ */
+export function calculateQualityScores(years, { marketCap = null } = {}) {
+  if (!years) return null;
+
+  return {
+    fiscalYear: years.current.fiscalDateEnding,
+    previousFiscalYear: years.previous.fiscalDateEnding,
+    piotroski: calculatePiotroskiScore(years),
+    altman: calculateAltmanZScore(years, { marketCap }),
+    beneish: calculateBeneishMScore(years)
+  };
+}
+
+/**
+ * Turn weak scores into warnings attached to the overall verdict
+ * An 'undervalued' verdict on a weak or distressed company is flagged as a possible value trap.
+ *
+ * @returns {array} [{ score, severity: 'high' | 'medium', message }]
+ */
+export function buildQualityWarnings(quality, verdict) {
+  if (!quality) return [];
+  const warnings = [];
+  const trap = verdict === 'undervalued' ? ' The low valuation may reflect this (possible value trap).' : '';
+
+  if (quality.altman.available && quality.altman.zone === 'distress') {
+    warnings.push({ score: 'altman', severity: 'high', message: `Altman Z-Score of ${quality.altman.score.toFixed(2)} is in the distress zone (below ${ALTMAN_DISTRESS}).${trap}` });
+  } else if (quality.altman.available && quality.altman.zone === 'grey') {
+    warnings.push({ score: 'altman', severity: 'medium', message: `Altman Z-Score of ${quality.altman.score.toFixed(2)} is in the grey zone (${ALTMAN_DISTRESS}–${ALTMAN_SAFE}).` });
+  }
+
+  if (quality.piotroski.evaluated >= 7 && quality.piotroski.strength === 'weak') {
+    warnings.push({ score: 'piotroski', severity: 'high', message: `Piotroski F-Score of ${quality.piotroski.score}/9 points to deteriorating fundamentals.${trap}` });
+  }
+
+  if (quality.beneish.available && quality.beneish.likelyManipulator) {
+    warnings.push({ score: 'beneish', severity: 'high', message: `Beneish M-Score of ${quality.beneish.score.toFixed(2)} is above ${BENEISH_THRESHOLD}, a pattern associated with earnings manipulation.` });
+  }
+
+  return warnings;
+}
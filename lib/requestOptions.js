@@ -0,0 +1,81 @@
+/**
+ * Shared Valuation Request Options
+ *
+ * Validates the `provider`, `basis`, `profile` and `refresh` options accepted by
+ * every route that runs the valuation engine, so they reject bad input the same way,
+ * and picks the ticker resolver from `resolver` or its legacy alias `provider`.
+ * Also reads JSON request bodies, so a missing or malformed body is a 400 rather
+ * than a parser error.
+ */
+
+import { getDataProvider, isDataProvider, getAvailableDataProviders } from './providers/index.js';
+import { isValuationBasis, VALUATION_BASES, DEFAULT_VALUATION_BASIS } from './trailingTwelveMonths.js';
+import { resolveValuationRules, isValuationProfile, listValuationProfiles } from './valuationProfiles.js';
+
+/**
+ * Resolve request options into { provider, basis, rules },
+ * or { error } holding a 400 response body when an option is unknown
+ */
+export function resolveValuationOptions({ provider = null, basis = null, profile = null, refresh = false } = {}) {
+  if (provider && !isDataProvider(provider)) {
+    return {
+      error: {
+        error: 'unknown_provider',
+        message: `Unknown data provider "${provider}"`,
+        availableProviders: getAvailableDataProviders()
+      }
+    };
+  }
+
+  if (basis && !isValuationBasis(basis)) {
+    return {
+      error: {
+        error: 'invalid_basis',
+        message: `Unknown valuation basis "${basis}"`,
+        availableBases: VALUATION_BASES
+      }
+    };
+  }
+
+  if (profile && !isValuationProfile(profile)) {
+    return {
+      error: {
+        error: 'unknown_profile',
+        message: `Unknown valuation profile "${profile}"`,
+        availableProfiles: listValuationProfiles()
+      }
+    };
+  }
+
+  return {
+    provider: getDataProvider(provider, { forceRefresh: refresh }),
+    basis: basis || DEFAULT_VALUATION_BASIS,
+    rules: resolveValuationRules({ profile })
+  };
+}
+
+/**
+ * Name of the ticker resolver to use, 'auto' unless one is given
+ * `provider` chose the resolver before data providers existed, so it stays an alias for `resolver`.
+ */
+export function getResolverName(resolver, legacyProvider) {
+  return resolver || legacyProvider || 'auto';
+}
+
+/**
+ * Read a request's JSON body, resolving to null when it is missing or malformed
+ */
+export async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check if a parsed body is a JSON object (not null, an array or a primitive)
+ */
+export function isJsonObject(body) {
+  return body !== null && typeof body === 'object' && !Array.isArray(body);
+}
@@ -0,0 +1,163 @@
+/**
+ * Risk Metrics
+ *
+ * Measures price risk from the last year of daily closes (the `window`, a
+ * chart range name), against a benchmark series (SPY by default) fetched the
+ * same way:
+ * - Annualized volatility: standard deviation of daily returns × √252
+ * - Beta: covariance with the benchmark's daily returns / benchmark variance
+ * - Maximum drawdown: the largest peak-to-trough fall in the close
+ * - Sharpe and Sortino ratios: annualized excess return over the risk-free rate,
+ *   per unit of total or downside volatility
+ * - Value-at-risk: the one-day loss not exceeded on 95% of days (historical)
+ *
+ * All percentages are in percent (e.g. 24.5 = 24.5%).
+ */
+
+import { DCF_DEFAULTS } from './dcfValuation.js';
+import { getRangeCutoff } from './priceRanges.js';
+
+export const RISK_DEFAULTS = {
+  benchmark: 'SPY',
+  window: '1Y',
+  riskFreeRate: DCF_DEFAULTS.riskFreeRate,
+  tradingDays: 252,
+  varConfidence: 95,
+  // Fewer daily returns than this give too noisy an estimate to report
+  minObservations: 20
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (value, digits = 2) => (Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : null);
+
+// Sample standard deviation
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Daily simple returns from bars ordered oldest first
+ * @returns {array} [{ date, value }] where date is the later day of each pair
+ */
+export function calculateDailyReturns(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    if (bars[i - 1].close > 0) returns.push({ date: bars[i].date, value: bars[i].close / bars[i - 1].close - 1 });
+  }
+  return returns;
+}
+
+/**
+ * Largest peak-to-trough fall in the close
+ * @returns {object} { value (negative %), peakDate, troughDate }
+ */
+export function calculateMaxDrawdown(bars) {
+  let peak = bars[0];
+  let worst = { value: 0, peakDate: null, troughDate: null };
+  for (const bar of bars) {
+    if (bar.close > peak.close) peak = bar;
+    const drawdown = bar.close / peak.close - 1;
+    if (drawdown < worst.value) worst = { value: drawdown, peakDate: peak.date, troughDate: bar.date };
+  }
+  return { ...worst, value: round(worst.value * 100) };
+}
+
+/**
+ * Beta and correlation against a benchmark, over the dates both series have a return for
+ * @returns {object} { beta, correlation, observations } (beta and correlation null when too few overlap)
+ */
+export function calculateBeta(returns, benchmarkReturns, { minObservations = RISK_DEFAULTS.minObservations } = {}) {
+  const benchmarkByDate = new Map(benchmarkReturns.map(({ date, value }) => [date, value]));
+  const pairs = returns.filter(({ date }) => benchmarkByDate.has(date)).map(({ date, value }) => [value, benchmarkByDate.get(date)]);
+  if (pairs.length < minObservations) return { beta: null, correlation: null, observations: pairs.length };
+
+  const stockMean = mean(pairs.map(([stock]) => stock));
+  const benchmarkMean = mean(pairs.map(([, benchmark]) => benchmark));
+  let covariance = 0;
+  let stockVariance = 0;
+  let benchmarkVariance = 0;
+  for (const [stock, benchmark] of pairs) {
+    covariance += (stock - stockMean) * (benchmark - benchmarkMean);
+    stockVariance += (stock - stockMean) ** 2;
+    benchmarkVariance += (benchmark - benchmarkMean) ** 2;
+  }
+
+  return {
+    beta: benchmarkVariance > 0 ? round(covariance / benchmarkVariance) : null,
+    correlation: stockVariance > 0 && benchmarkVariance > 0 ? round(covariance / Math.sqrt(stockVariance * benchmarkVariance)) : null,
+    observations: pairs.length
+  };
+}
+
+/**
+ * Historical value-at-risk: the loss at the (100 - confidence) percentile of daily returns, as a positive %
+ */
+export function calculateValueAtRisk(returns, confidence = RISK_DEFAULTS.varConfidence) {
+  const sorted = returns.map(({ value }) => value).sort((a, b) => a - b);
+  const index = Math.min(Math.floor(sorted.length * (1 - confidence / 100)), sorted.length - 1);
+  return round(-sorted[index] * 100);
+}
+
+// Keep the bars after the window's cutoff, counting back from the stock's latest close
+// (the first bar kept is the base of the first return)
+function selectWindowBars(bars, window, latestDate) {
+  const cutoffDate = getRangeCutoff(window, latestDate);
+  const firstIndex = bars.findIndex(({ date }) => !cutoffDate || date > cutoffDate);
+  return firstIndex === -1 ? [] : bars.slice(Math.max(firstIndex - 1, 0));
+}
+
+/**
+ * Compute the risk block for a stock
+ *
+ * @param {array} allBars - Daily bars [{ date, close }] oldest first; only those in the window are used
+ * @param {array|null} allBenchmarkBars - Benchmark daily bars, or null when unavailable (beta is then null)
+ * @param {object} options - { benchmark, window, riskFreeRate, tradingDays, varConfidence, minObservations }
+ * @returns {object} { available, reason?, benchmark, window, period, volatility, beta, correlation, maxDrawdown,
+ *   annualizedReturn, sharpeRatio, sortinoRatio, valueAtRisk, riskFreeRate, benchmarkReason }
+ */
+export function calculateRiskMetrics(allBars, allBenchmarkBars, options = {}) {
+  const { benchmark, window, riskFreeRate, tradingDays, varConfidence, minObservations } = { ...RISK_DEFAULTS, ...options };
+  const latestDate = allBars?.length > 0 ? allBars[allBars.length - 1].date : null;
+  const bars = latestDate ? selectWindowBars(allBars, window, latestDate) : [];
+  const benchmarkBars = allBenchmarkBars && latestDate ? selectWindowBars(allBenchmarkBars, window, latestDate) : null;
+  const returns = calculateDailyReturns(bars);
+
+  if (returns.length < minObservations) {
+    return {
+      available: false,
+      reason: `At least ${minObservations} daily returns are needed; ${returns.length} available`,
+      benchmark,
+      window
+    };
+  }
+
+  const values = returns.map(({ value }) => value);
+  const volatility = standardDeviation(values) * Math.sqrt(tradingDays);
+  const annualizedReturn = mean(values) * tradingDays;
+  const excessReturn = annualizedReturn - riskFreeRate / 100;
+
+  // Downside deviation only counts returns below the daily risk-free rate
+  const dailyRiskFree = riskFreeRate / 100 / tradingDays;
+  const downsideDeviation = Math.sqrt(mean(values.map(value => Math.min(value - dailyRiskFree, 0) ** 2))) * Math.sqrt(tradingDays);
+
+  const benchmarkReturns = benchmarkBars ? calculateDailyReturns(benchmarkBars) : [];
+  const { beta, correlation, observations: benchmarkObservations } = calculateBeta(returns, benchmarkReturns, { minObservations });
+
+  return {
+    available: true,
+    benchmark,
+    window,
+    period: { from: bars[0].date, to: bars[bars.length - 1].date, observations: returns.length, benchmarkObservations },
+    volatility: round(volatility * 100),
+    beta,
+    correlation,
+    maxDrawdown: calculateMaxDrawdown(bars),
+    annualizedReturn: round(annualizedReturn * 100),
+    sharpeRatio: volatility > 0 ? round(excessReturn / volatility) : null,
+    sortinoRatio: downsideDeviation > 0 ? round(excessReturn / downsideDeviation) : null,
+    valueAtRisk: { confidence: varConfidence, horizonDays: 1, value: calculateValueAtRisk(returns, varConfidence) },
+    riskFreeRate,
+    benchmarkReason: benchmarkBars ? null : `No price history available for benchmark ${benchmark}`
+  };
+}
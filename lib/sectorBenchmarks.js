@@ -0,0 +1,299 @@
+/**
+ * Sector Valuation Benchmarks
+ *
+ * Valuation ranges per sector, keyed by the Finnhub `finnhubIndustry` string.
+ * Each metric has a { low, high } range:
+ * - lower-is-cheaper metrics (multiples): below `low` is undervalued, above `high` is overvalued
+ * - higher-is-cheaper metrics (yields): above `high` is undervalued, below `low` is overvalued
+ *
+ * Sectors without a dedicated set use the market-wide default ranges, as do
+ * metrics a sector set leaves out (the growth metrics are market-wide only).
+ */
+
+// Metrics where a higher value means a cheaper stock
+const HIGHER_IS_CHEAPER = new Set(['fcfYield', 'fcfMargin', 'dividendYield', 'buybackYield', 'shareholderYield', 'revenueGrowth', 'epsGrowth']);
+
+/**
+ * Check if a higher value of a metric means a cheaper stock (yields, growth)
+ */
+export function isHigherCheaper(metricKey) {
+  return HIGHER_IS_CHEAPER.has(metricKey);
+}
+
+const DEFAULT_BENCHMARK_SET = {
+  name: 'default',
+  label: 'Market-wide',
+  ranges: {
+    evEbitda: { low: 20, high: 20 },
+    pe: { low: 15, high: 25 },
+    pb: { low: 1.5, high: 3 },
+    evRevenue: { low: 2, high: 5 },
+    fcfYield: { low: 2, high: 5 },
+    fcfMargin: { low: 5, high: 15 },
+    dividendYield: { low: 1, high: 3 },
+    buybackYield: { low: 0.5, high: 3 },
+    shareholderYield: { low: 2, high: 5 },
+    debtToEquity: { low: 1, high: 2 },
+    // Growth (CAGR %, higher is cheaper) and growth-adjusted multiples (lower is cheaper)
+    revenueGrowth: { low: 3, high: 10 },
+    epsGrowth: { low: 3, high: 12 },
+    peg: { low: 1, high: 2 },
+    evEbitdaToGrowth: { low: 1, high: 2 }
+  }
+};
+
+const SECTOR_BENCHMARK_SETS = {
+  technology: {
+    label: 'Technology',
+    industries: ['Technology', 'Software', 'Semiconductors', 'IT Services', 'Electronic Equipment, Instruments & Components', 'Technology Hardware, Storage & Peripherals'],
+    ranges: {
+      evEbitda: { low: 15, high: 25 },
+      pe: { low: 20, high: 35 },
+      pb: { low: 3, high: 10 },
+      evRevenue: { low: 4, high: 10 },
+      fcfYield: { low: 2, high: 4 },
+      fcfMargin: { low: 10, high: 25 },
+      dividendYield: { low: 0.3, high: 1.5 },
+      buybackYield: { low: 1, high: 3 },
+      shareholderYield: { low: 1.5, high: 4 },
+      debtToEquity: { low: 0.5, high: 1.5 }
+    }
+  },
+  communication: {
+    label: 'Communication Services',
+    industries: ['Media', 'Media & Entertainment', 'Entertainment', 'Telecommunication', 'Communications', 'Diversified Telecommunication Services', 'Interactive Media & Services'],
+    ranges: {
+      evEbitda: { low: 8, high: 14 },
+      pe: { low: 14, high: 24 },
+      pb: { low: 1.5, high: 4 },
+      evRevenue: { low: 2, high: 5 },
+      fcfYield: { low: 3, high: 6 },
+      fcfMargin: { low: 10, high: 20 },
+      dividendYield: { low: 0.5, high: 3 },
+      buybackYield: { low: 1, high: 4 },
+      shareholderYield: { low: 2, high: 6 },
+      debtToEquity: { low: 1, high: 2 }
+    }
+  },
+  healthcare: {
+    label: 'Health Care',
+    industries: ['Pharmaceuticals', 'Biotechnology', 'Health Care', 'Health Care Providers & Services', 'Health Care Equipment & Supplies', 'Life Sciences Tools & Services'],
+    ranges: {
+      evEbitda: { low: 11, high: 18 },
+      pe: { low: 15, high: 25 },
+      pb: { low: 2.5, high: 5 },
+      evRevenue: { low: 3, high: 6 },
+      fcfYield: { low: 3, high: 5 },
+      fcfMargin: { low: 10, high: 20 },
+      dividendYield: { low: 1, high: 3 },
+      buybackYield: { low: 0.5, high: 2.5 },
+      shareholderYield: { low: 2, high: 5 },
+      debtToEquity: { low: 0.7, high: 1.5 }
+    }
+  },
+  financials: {
+    label: 'Financials',
+    industries: ['Banking', 'Banks', 'Financial Services', 'Insurance', 'Capital Markets', 'Consumer Finance'],
+    ranges: {
+      evEbitda: { low: 8, high: 14 },
+      pe: { low: 9, high: 15 },
+      pb: { low: 0.9, high: 1.6 },
+      evRevenue: { low: 2, high: 4 },
+      fcfYield: { low: 5, high: 9 },
+      fcfMargin: { low: 10, high: 25 },
+      dividendYield: { low: 2, high: 4 },
+      buybackYield: { low: 1, high: 4 },
+      shareholderYield: { low: 3, high: 7 },
+      // Balance-sheet leverage is the business model for banks and insurers
+      debtToEquity: { low: 5, high: 12 }
+    }
+  },
+  consumerStaples: {
+    label: 'Consumer Staples',
+    industries: ['Food Products', 'Beverages', 'Tobacco', 'Consumer products', 'Household Products', 'Personal Products', 'Food & Staples Retailing'],
+    ranges: {
+      evEbitda: { low: 11, high: 16 },
+      pe: { low: 16, high: 23 },
+      pb: { low: 3, high: 7 },
+      evRevenue: { low: 1.5, high: 3 },
+      fcfYield: { low: 3.5, high: 5.5 },
+      fcfMargin: { low: 8, high: 15 },
+      dividendYield: { low: 2.5, high: 4 },
+      buybackYield: { low: 0.5, high: 2.5 },
+      shareholderYield: { low: 3.5, high: 6 },
+      debtToEquity: { low: 1, high: 2.5 }
+    }
+  },
+  consumerDiscretionary: {
+    label: 'Consumer Discretionary',
+    industries: ['Retail', 'E-commerce', 'Automobiles', 'Automotive', 'Auto Components', 'Hotels, Restaurants & Leisure', 'Travel & Hospitality', 'Textiles, Apparel & Luxury Goods', 'Leisure Products', 'Diversified Consumer Services', 'Distributors'],
+    ranges: {
+      evEbitda: { low: 9, high: 16 },
+      pe: { low: 14, high: 25 },
+      pb: { low: 2, high: 5 },
+      evRevenue: { low: 1, high: 2.5 },
+      fcfYield: { low: 3, high: 6 },
+      fcfMargin: { low: 4, high: 10 },
+      dividendYield: { low: 0.5, high: 2 },
+      buybackYield: { low: 1, high: 4 },
+      shareholderYield: { low: 2, high: 5 },
+      debtToEquity: { low: 1, high: 2.5 }
+    }
+  },
+  industrials: {
+    label: 'Industrials',
+    industries: ['Machinery', 'Aerospace & Defense', 'Airlines', 'Road & Rail', 'Logistics & Transportation', 'Transportation', 'Transportation Infrastructure', 'Marine', 'Construction', 'Building', 'Electrical Equipment', 'Industrial Conglomerates', 'Commercial Services & Supplies', 'Professional Services', 'Trading Companies & Distributors'],
+    ranges: {
+      evEbitda: { low: 10, high: 15 },
+      pe: { low: 16, high: 24 },
+      pb: { low: 2.5, high: 5 },
+      evRevenue: { low: 1.5, high: 3 },
+      fcfYield: { low: 3.5, high: 6 },
+      fcfMargin: { low: 5, high: 12 },
+      dividendYield: { low: 1, high: 2.5 },
+      buybackYield: { low: 0.5, high: 3 },
+      shareholderYield: { low: 2, high: 5 },
+      debtToEquity: { low: 1, high: 2.5 }
+    }
+  },
+  energy: {
+    label: 'Energy',
+    industries: ['Energy', 'Oil & Gas', 'Oil, Gas & Consumable Fuels', 'Energy Equipment & Services'],
+    ranges: {
+      evEbitda: { low: 4, high: 8 },
+      pe: { low: 8, high: 14 },
+      pb: { low: 1, high: 2 },
+      evRevenue: { low: 0.8, high: 2 },
+      fcfYield: { low: 6, high: 10 },
+      fcfMargin: { low: 5, high: 15 },
+      dividendYield: { low: 3, high: 5 },
+      buybackYield: { low: 1, high: 5 },
+      shareholderYield: { low: 5, high: 9 },
+      debtToEquity: { low: 0.8, high: 1.8 }
+    }
+  },
+  materials: {
+    label: 'Materials',
+    industries: ['Chemicals', 'Metals & Mining', 'Packaging', 'Construction Materials', 'Paper & Forest Products'],
+    ranges: {
+      evEbitda: { low: 7, high: 12 },
+      pe: { low: 12, high: 20 },
+      pb: { low: 1.5, high: 3 },
+      evRevenue: { low: 1, high: 2.5 },
+      fcfYield: { low: 4, high: 7 },
+      fcfMargin: { low: 5, high: 12 },
+      dividendYield: { low: 1.5, high: 3.5 },
+      buybackYield: { low: 0.5, high: 2.5 },
+      shareholderYield: { low: 2.5, high: 5.5 },
+      debtToEquity: { low: 1, high: 2 }
+    }
+  },
+  utilities: {
+    label: 'Utilities',
+    industries: ['Utilities', 'Electric Utilities', 'Gas Utilities', 'Water Utilities', 'Multi-Utilities'],
+    ranges: {
+      evEbitda: { low: 9, high: 13 },
+      pe: { low: 14, high: 20 },
+      pb: { low: 1.2, high: 2 },
+      evRevenue: { low: 2.5, high: 4 },
+      fcfYield: { low: 3, high: 6 },
+      fcfMargin: { low: 0, high: 8 },
+      dividendYield: { low: 3, high: 5 },
+      buybackYield: { low: 0, high: 1 },
+      shareholderYield: { low: 3, high: 5.5 },
+      debtToEquity: { low: 2, high: 4 }
+    }
+  },
+  realEstate: {
+    label: 'Real Estate',
+    industries: ['Real Estate', 'Real Estate Management & Development', 'Equity Real Estate Investment Trusts (REITs)'],
+    ranges: {
+      evEbitda: { low: 14, high: 22 },
+      pe: { low: 20, high: 40 },
+      pb: { low: 1, high: 2 },
+      evRevenue: { low: 6, high: 12 },
+      fcfYield: { low: 4, high: 7 },
+      fcfMargin: { low: 10, high: 30 },
+      dividendYield: { low: 3, high: 6 },
+      buybackYield: { low: 0, high: 1.5 },
+      shareholderYield: { low: 3.5, high: 6.5 },
+      debtToEquity: { low: 1, high: 2.5 }
+    }
+  }
+};
+
+// Lowercased industry string -> benchmark set name
+const industryIndex = new Map(
+  Object.entries(SECTOR_BENCHMARK_SETS).flatMap(([name, set]) =>
+    set.industries.map(industry => [industry.toLowerCase(), name])
+  )
+);
+
+/**
+ * Get the benchmark set for a sector string
+ *
+ * @param {string} sector - Finnhub industry (e.g. 'Semiconductors')
+ * @returns {object} { name, label, sector, matched, ranges }
+ */
+export function getSectorBenchmarks(sector) {
+  const setName = typeof sector === 'string' ? industryIndex.get(sector.trim().toLowerCase()) : undefined;
+
+  if (!setName) {
+    return { ...DEFAULT_BENCHMARK_SET, sector: sector || null, matched: false };
+  }
+
+  const { label, ranges } = SECTOR_BENCHMARK_SETS[setName];
+  return { name: setName, label, sector, matched: true, ranges };
+}
+
+/**
+ * Judge a metric value against the benchmark range for its sector
+ *
+ * @param {string} metricKey - Key in the ranges table (e.g. 'pe')
+ * @param {number} value - Metric value
+ * @param {object} benchmarks - From getSectorBenchmarks
+ * @param {object} options
+ * @param {number} options.rangeScale - Stretch (> 1) or tighten (< 1) the range toward expensive stocks
+ * @param {object} options.override - Absolute { low, high } range replacing the sector range
+ * @param {string} options.overrideLabel - Label reported for an override range
+ * @returns {object} { verdict, benchmark: { set, label, low, high, rangeScale } }
+ */
+export function judgeAgainstBenchmark(metricKey, value, benchmarks, { rangeScale = 1, override = null, overrideLabel = 'Custom' } = {}) {
+  const higherIsCheaper = HIGHER_IS_CHEAPER.has(metricKey);
+  let set;
+  let low;
+  let high;
+
+  if (override) {
+    set = { name: 'profile', label: overrideLabel };
+    ({ low, high } = override);
+    rangeScale = 1;
+  } else {
+    set = benchmarks.ranges[metricKey] ? benchmarks : DEFAULT_BENCHMARK_SET;
+    // Lenient scales allow higher multiples and accept lower yields
+    const factor = higherIsCheaper ? 1 / rangeScale : rangeScale;
+    low = Math.round(set.ranges[metricKey].low * factor * 100) / 100;
+    high = Math.round(set.ranges[metricKey].high * factor * 100) / 100;
+  }
+
+  let verdict = 'fairly valued';
+  if (higherIsCheaper) {
+    if (value > high) verdict = 'undervalued';
+    else if (value < low) verdict = 'overvalued';
+  } else {
+    if (value < low) verdict = 'undervalued';
+    else if (value > high) verdict = 'overvalued';
+  }
+
+  return { verdict, benchmark: { set: set.name, label: set.label, low, high, rangeScale } };
+}
+
+/**
+ * Get all benchmark set names and the industries they cover
+ */
+export function listBenchmarkSets() {
+  return [
+    { name: DEFAULT_BENCHMARK_SET.name, label: DEFAULT_BENCHMARK_SET.label, industries: [] },
+    ...Object.entries(SECTOR_BENCHMARK_SETS).map(([name, set]) => ({ name, label: set.label, industries: set.industries }))
+  ];
+}
@@ -0,0 +1,58 @@
+/**
+ * Single-Flight Request Coalescing
+ *
+ * Concurrent callers asking for the same key share one in-flight promise
+ * instead of each starting their own upstream fetch. The key is released as
+ * soon as the promise settles, so results are never reused afterwards (that
+ * is the cache's job) and failures are not remembered.
+ *
+ * Every named group keeps counters of how many calls started a fetch and how
+ * many joined one already in flight.
+ */
+
+const groups = new Map();
+
+/**
+ * Create (or get) a named single-flight group
+ */
+export function getSingleFlightGroup(name) {
+  if (groups.has(name)) return groups.get(name);
+
+  const inFlight = new Map();
+  const stats = { started: 0, coalesced: 0 };
+
+  const group = {
+    /**
+     * Run `fetcher` for `key`, or join the call already running for it
+     * `onJoin` is called when this caller shares another caller's fetch.
+     */
+    run(key, fetcher, { onJoin = null } = {}) {
+      if (inFlight.has(key)) {
+        stats.coalesced++;
+        onJoin?.();
+        return inFlight.get(key);
+      }
+
+      stats.started++;
+      const promise = Promise.resolve()
+        .then(fetcher)
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+      return promise;
+    },
+
+    getStats() {
+      return { ...stats, inFlight: inFlight.size };
+    }
+  };
+
+  groups.set(name, group);
+  return group;
+}
+
+/**
+ * Counters for every single-flight group, keyed by group name
+ */
+export function getCoalescingStats() {
+  return Object.fromEntries([...groups].map(([name, group]) => [name, group.getStats()]));
+}
@@ -0,0 +1,201 @@
+/**
+ * Technical Indicators
+ *
+ * Computes indicator series over OHLCV bars (oldest first):
+ * - Simple and exponential moving averages over 20, 50 and 200 periods
+ * - RSI (14, Wilder smoothing)
+ * - MACD (12, 26, 9)
+ * - Bollinger Bands (20 periods, 2 standard deviations)
+ * - Distance from the 52-week high and low
+ *
+ * Periods count bars, so on weekly or monthly charts a 20-period average
+ * spans 20 weeks or months. Values are null until enough bars have been seen
+ * (the warm-up), and every series is aligned with the bars it was computed on.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indicator name -> { label, panel, warmUp, calculate(bars) -> [values] }
+// `panel` is where the page draws it: 'overlay' on the price chart, or its own sub-panel.
+// `warmUp` is the number of earlier bars needed before the first value; the 52-week range
+// reports `complete` instead, since its window is measured in days rather than bars.
+const TECHNICAL_INDICATORS = {
+  sma20: { label: 'SMA 20', panel: 'overlay', warmUp: 19, calculate: (bars) => wrapValues(calculateSma(closesOf(bars), 20)) },
+  sma50: { label: 'SMA 50', panel: 'overlay', warmUp: 49, calculate: (bars) => wrapValues(calculateSma(closesOf(bars), 50)) },
+  sma200: { label: 'SMA 200', panel: 'overlay', warmUp: 199, calculate: (bars) => wrapValues(calculateSma(closesOf(bars), 200)) },
+  ema20: { label: 'EMA 20', panel: 'overlay', warmUp: 19, calculate: (bars) => wrapValues(calculateEma(closesOf(bars), 20)) },
+  ema50: { label: 'EMA 50', panel: 'overlay', warmUp: 49, calculate: (bars) => wrapValues(calculateEma(closesOf(bars), 50)) },
+  ema200: { label: 'EMA 200', panel: 'overlay', warmUp: 199, calculate: (bars) => wrapValues(calculateEma(closesOf(bars), 200)) },
+  bollinger: { label: 'Bollinger Bands (20, 2)', panel: 'overlay', warmUp: 19, calculate: (bars) => calculateBollingerBands(closesOf(bars)) },
+  rsi: { label: 'RSI 14', panel: 'rsi', warmUp: 14, calculate: (bars) => wrapValues(calculateRsi(closesOf(bars))) },
+  macd: { label: 'MACD (12, 26, 9)', panel: 'macd', warmUp: 33, calculate: (bars) => calculateMacd(closesOf(bars)) },
+  range52w: { label: '52-week high/low', panel: 'range52w', warmUp: 0, calculate: (bars) => calculateRange52w(bars) }
+};
+
+export const TECHNICAL_INDICATOR_NAMES = Object.keys(TECHNICAL_INDICATORS);
+
+/**
+ * Check if an indicator name is supported
+ */
+export function isTechnicalIndicator(name) {
+  return Object.hasOwn(TECHNICAL_INDICATORS, name);
+}
+
+/**
+ * Number of bars the selected indicators need before the first charted bar
+ */
+export function getIndicatorWarmUp(names) {
+  return Math.max(0, ...names.map(name => TECHNICAL_INDICATORS[name].warmUp));
+}
+
+/**
+ * Parse a comma-separated indicator list ('sma50,rsi'); 'all' selects every indicator
+ * @returns {object} { indicators, invalid } with names deduplicated in request order
+ */
+export function parseIndicatorList(value) {
+  if (!value) return { indicators: [], invalid: [] };
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  // Unknown names are reported even alongside 'all'
+  const invalid = names.filter(name => name !== 'all' && !isTechnicalIndicator(name));
+  if (names.includes('all')) return { indicators: [...TECHNICAL_INDICATOR_NAMES], invalid };
+  return { indicators: [...new Set(names.filter(isTechnicalIndicator))], invalid };
+}
+
+const closesOf = (bars) => bars.map(bar => bar.close ?? bar.price);
+const wrapValues = (values) => values.map(value => ({ value }));
+const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Simple moving average; null for the first `period - 1` values
+ */
+export function calculateSma(values, period) {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    return i >= period - 1 ? round(sum / period) : null;
+  });
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ * Leading nulls in `values` (e.g. a warming-up MACD line) are skipped.
+ */
+export function calculateEma(values, period) {
+  const k = 2 / (period + 1);
+  const result = values.map(() => null);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  let ema = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = round(ema);
+  for (let i = start + period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    result[i] = round(ema);
+  }
+  return result;
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing
+ */
+export function calculateRsi(closes, period = 14) {
+  const result = closes.map(() => null);
+  if (closes.length <= period) return result;
+
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    averageGain += Math.max(change, 0) / period;
+    averageLoss += Math.max(-change, 0) / period;
+  }
+
+  const rsi = () => (averageLoss === 0 ? 100 : round(100 - 100 / (1 + averageGain / averageLoss), 2));
+  result[period] = rsi();
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = rsi();
+  }
+  return result;
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal line and the histogram between them
+ * @returns {array} [{ macd, signal, histogram }]
+ */
+export function calculateMacd(closes, { fast = 12, slow = 26, signal = 9 } = {}) {
+  const fastEma = calculateEma(closes, fast);
+  const slowEma = calculateEma(closes, slow);
+  const macdLine = closes.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : round(fastEma[i] - slowEma[i])));
+  const signalLine = calculateEma(macdLine, signal);
+
+  return macdLine.map((macd, i) => ({
+    macd,
+    signal: signalLine[i],
+    histogram: macd === null || signalLine[i] === null ? null : round(macd - signalLine[i])
+  }));
+}
+
+/**
+ * Bollinger Bands: the SMA plus and minus a number of (population) standard deviations
+ * @returns {array} [{ upper, middle, lower }]
+ */
+export function calculateBollingerBands(closes, { period = 20, deviations = 2 } = {}) {
+  const middle = calculateSma(closes, period);
+  return closes.map((_, i) => {
+    if (middle[i] === null) return { upper: null, middle: null, lower: null };
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, close) => sum + (close - middle[i]) ** 2, 0) / period;
+    const width = deviations * Math.sqrt(variance);
+    return { upper: round(middle[i] + width), middle: middle[i], lower: round(middle[i] - width) };
+  });
+}
+
+/**
+ * Highest high and lowest low over the 52 weeks to each bar, and the close's distance from them in %
+ * `complete` is false while the bars don't yet reach a full year back.
+ * @returns {array} [{ high, low, fromHigh, fromLow, complete }]
+ */
+export function calculateRange52w(bars) {
+  const firstTime = bars.length > 0 ? Date.parse(bars[0].date) : null;
+  let start = 0;
+
+  return bars.map((bar, i) => {
+    const time = Date.parse(bar.date);
+    while (Date.parse(bars[start].date) <= time - 365 * DAY_MS) start++;
+
+    const window = bars.slice(start, i + 1);
+    const high = Math.max(...window.map(b => b.high ?? b.close ?? b.price));
+    const low = Math.min(...window.map(b => b.low ?? b.close ?? b.price));
+    const close = bar.close ?? bar.price;
+    return {
+      high,
+      low,
+      fromHigh: round((close / high - 1) * 100, 2),
+      fromLow: round((close / low - 1) * 100, 2),
+      complete: time - firstTime >= 364 * DAY_MS
+    };
+  });
+}
+
+/**
+ * Compute the selected indicators over a set of bars
+ *
+ * @param {array} bars - [{ date, close (or price), high?, low? }] oldest first
+ * @param {array} names - Indicator names (see TECHNICAL_INDICATOR_NAMES)
+ * @param {object} options
+ * @param {number} options.from - Index of the first bar to return values for; earlier bars only warm the indicators up
+ * @returns {object} { [name]: { label, panel, values: [{ date, ...fields }] } }
+ */
+export function calculateIndicators(bars, names, { from = 0 } = {}) {
+  return Object.fromEntries(names.map((name) => {
+    const { label, panel, calculate } = TECHNICAL_INDICATORS[name];
+    const values = calculate(bars)
+      .map((fields, i) => ({ date: bars[i].date, ...fields }))
+      .slice(from);
+    return [name, { label, panel, values }];
+  }));
+}
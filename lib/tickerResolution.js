@@ -6,10 +6,15 @@
  * 2. Financial API providers (IEX Cloud, Alpha Vantage, Finnhub)
  * 3. Fuzzy-match fallback with Levenshtein distance
  * 
+ * Concurrent lookups of the same input share one resolution (see singleFlight.js).
+ * 
  * Returns: { ticker, exchange, name, confidence, resolvedFrom }
  */
 
 import { levenshteinDistance, normalizeString } from './stringUtils.js';
+import { getSingleFlightGroup } from './singleFlight.js';
+
+const resolutionFlights = getSingleFlightGroup('tickerResolution');
 
 // In-memory cache for ticker resolutions with TTL
 const resolutionCache = new Map();
@@ -322,6 +327,18 @@ function fuzzyMatchLocalTickers(normalizedInput, threshold = 0.7) {
   return matches.sort((a, b) => b.confidence - a.confidence);
 }
 
+/**
+ * Resolve an input, joining any identical resolution already in flight
+ *
+ * @param {string} input - Company name or ticker to resolve
+ * @param {object} options - Same options as resolveTickerOrCompanyName
+ */
+export function resolveTickerOrCompanyName(input, options = {}) {
+  const { exchange = null, provider = 'auto', forceRefresh = false } = options;
+  const key = [normalizeString(input), exchange, provider, forceRefresh].join('|');
+  return resolutionFlights.run(key, () => resolveInput(input, options));
+}
+
 /**
  * Main resolution function with multi-strategy lookup
  * 
@@ -340,7 +357,7 @@ function fuzzyMatchLocalTickers(normalizedInput, threshold = 0.7) {
  * 
  * @returns {object|array} Single resolution or array of ambiguous matches
  */
-export async function resolveTickerOrCompanyName(input, options = {}) {
+async function resolveInput(input, options = {}) {
   const {
     exchange = null,
     provider = 'auto',
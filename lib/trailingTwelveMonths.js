@@ -0,0 +1,136 @@
+/**
+ * Trailing-Twelve-Month (TTM) Fundamentals
+ *
+ * Builds the statement reports the valuation is computed on:
+ * - ttm: flow items (income statement, cash flow) summed over the last four
+ *   quarters, balance sheet from the latest quarter
+ * - annual: the latest fiscal-year reports
+ *
+ * TTM reports are synthesized in the same Alpha Vantage report schema as the
+ * annual ones, so downstream parsing does not care which basis was used.
+ */
+
+export const VALUATION_BASES = ['ttm', 'annual'];
+export const DEFAULT_VALUATION_BASIS = 'ttm';
+
+const QUARTERS_PER_YEAR = 4;
+
+// Four consecutive quarter ends span roughly nine months
+const MAX_TTM_SPAN_DAYS = 300;
+
+/**
+ * Check if a basis name is supported
+ */
+export function isValuationBasis(basis) {
+  return VALUATION_BASES.includes(basis);
+}
+
+/**
+ * Sum every numeric field across quarterly reports
+ * A field missing ('None') in any quarter stays 'None' in the result
+ */
+export function sumQuarterlyReports(reports) {
+  const [latest] = reports;
+  const summed = { fiscalDateEnding: latest.fiscalDateEnding, reportedCurrency: latest.reportedCurrency };
+
+  for (const field of Object.keys(latest)) {
+    if (field in summed) continue;
+    const values = reports.map(report => parseFloat(report[field]));
+    summed[field] = values.every(Number.isFinite)
+      ? String(values.reduce((total, value) => total + value, 0))
+      : 'None';
+  }
+
+  return summed;
+}
+
+/**
+ * Days between two YYYY-MM-DD dates
+ */
+function daysBetween(from, to) {
+  return (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Build TTM reports from quarterly statements
+ *
+ * @returns {object} { reports, quarterEnds } or { error } when there are not
+ *   four consecutive quarters with matching income and cash flow reports
+ */
+export function buildTtmReports({ income, balance, cashFlow }) {
+  const incomeQuarters = (income.quarterlyReports || []).slice(0, QUARTERS_PER_YEAR);
+  const latestBalance = (balance.quarterlyReports || [])[0];
+
+  if (incomeQuarters.length < QUARTERS_PER_YEAR || !latestBalance) {
+    return { error: 'Fewer than four quarterly reports available' };
+  }
+
+  const quarterEnds = incomeQuarters.map(report => report.fiscalDateEnding);
+  if (daysBetween(quarterEnds[QUARTERS_PER_YEAR - 1], quarterEnds[0]) > MAX_TTM_SPAN_DAYS) {
+    return { error: 'Latest four quarterly reports are not consecutive' };
+  }
+
+  const cashFlowByDate = new Map((cashFlow.quarterlyReports || []).map(report => [report.fiscalDateEnding, report]));
+  const cashFlowQuarters = quarterEnds.map(date => cashFlowByDate.get(date));
+  if (cashFlowQuarters.some(report => !report)) {
+    return { error: 'Quarterly cash flow reports do not match the income statement quarters' };
+  }
+
+  return {
+    reports: {
+      income: sumQuarterlyReports(incomeQuarters),
+      balance: latestBalance,
+      cashFlow: sumQuarterlyReports(cashFlowQuarters)
+    },
+    quarterEnds
+  };
+}
+
+/**
+ * Select the reports to value on for the requested basis
+ * Falls back to annual reports when TTM cannot be built
+ *
+ * @param {object} statements - { income, balance, cashFlow }
+ * @param {string} basis - 'ttm' or 'annual'
+ * @returns {object} { reports: { income, balance, cashFlow }, basis: { requested, applied, periodEnd, balanceSheetDate, quarterEnds, fallbackReason } }
+ */
+export function selectStatementReports(statements, basis = DEFAULT_VALUATION_BASIS) {
+  let fallbackReason = null;
+
+  if (basis === 'ttm') {
+    const ttm = buildTtmReports(statements);
+    if (!ttm.error) {
+      return {
+        reports: ttm.reports,
+        basis: {
+          requested: basis,
+          applied: 'ttm',
+          periodEnd: ttm.quarterEnds[0],
+          balanceSheetDate: ttm.reports.balance.fiscalDateEnding,
+          quarterEnds: ttm.quarterEnds,
+          fallbackReason: null
+        }
+      };
+    }
+    fallbackReason = ttm.error;
+    console.warn(`TTM basis unavailable, using annual reports: ${ttm.error}`);
+  }
+
+  const reports = {
+    income: statements.income.annualReports[0],
+    balance: statements.balance.annualReports[0],
+    cashFlow: statements.cashFlow.annualReports[0]
+  };
+
+  return {
+    reports,
+    basis: {
+      requested: basis,
+      applied: 'annual',
+      periodEnd: reports.income.fiscalDateEnding,
+      balanceSheetDate: reports.balance.fiscalDateEnding,
+      quarterEnds: null,
+      fallbackReason
+    }
+  };
+}
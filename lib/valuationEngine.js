@@ -0,0 +1,525 @@
+/**
+ * Valuation Engine
+ *
+ * Shared by the valuation, comparison and other API routes:
+ * 1. Fetch fundamentals and the company profile through a data provider,
+ *    falling back to demo data per field
+ * 2. Compute valuation multiples and the DCF, judged against sector benchmarks
+ * 3. Combine the per-metric verdicts into an overall verdict using the rule profile
+ *
+ * Concurrent requests for the same ticker, basis and provider share one fetch
+ * (see singleFlight.js), so a batch and a page load don't double the quota used.
+ */
+
+import { getDemoData } from './demoData.js';
+import { buildFinancialHistory, parseReportValue } from './financialHistory.js';
+import { selectStatementReports, DEFAULT_VALUATION_BASIS } from './trailingTwelveMonths.js';
+import { runDcfValuation } from './dcfValuation.js';
+import { getSectorBenchmarks, judgeAgainstBenchmark } from './sectorBenchmarks.js';
+import { buildPriceTargets } from './priceTargets.js';
+import { DEFAULT_PRICE_RANGE, getPriceRangeSettings, selectRangeBars } from './priceRanges.js';
+import { calculateIndicators, getIndicatorWarmUp } from './technicalIndicators.js';
+import { calculateRiskMetrics, RISK_DEFAULTS } from './riskMetrics.js';
+import { resolveValuationRules } from './valuationProfiles.js';
+import { isQuotaExceededError } from './providers/alphaVantageQuota.js';
+import { createDataNotFoundError, isDataNotFoundError } from './providers/errors.js';
+import { getSingleFlightGroup } from './singleFlight.js';
+import { parseBalanceSheetClaims, resolveMarketCap, buildEnterpriseValueBridge } from './enterpriseValue.js';
+import { selectConsecutiveYears, calculateQualityScores, buildQualityWarnings } from './qualityScores.js';
+
+const financialDataFlights = getSingleFlightGroup('financialData');
+const priceHistoryFlights = getSingleFlightGroup('priceHistory');
+const riskFlights = getSingleFlightGroup('risk');
+
+// Single-flight key: requests share a fetch only when they would make the same upstream calls
+function getFlightKey(provider, ticker, ...parts) {
+  return [provider.name, ticker.toUpperCase(), ...parts, provider.forceRefresh ? 'refresh' : 'cached'].join(':');
+}
+
+// Run a fetch through a single-flight group, noting in the provider's diagnostics when it was shared
+function coalesce(flights, kind, key, provider, fetcher) {
+  return flights.run(key, fetcher, { onJoin: () => provider.diagnostics?.recordCoalesced(kind) });
+}
+
+// Fetch the OHLCV bars for a chart range (see priceRanges.js) and the requested technical indicators over them.
+// Resolves to { priceHistory, indicators }, or null when the provider has no price history.
+export function fetchPriceHistory(ticker, provider, { range = DEFAULT_PRICE_RANGE, indicators = [] } = {}) {
+  const key = getFlightKey(provider, ticker, range, indicators.join(','));
+  return coalesce(priceHistoryFlights, 'priceHistory', key, provider, () => loadPriceHistory(ticker, provider, range, indicators));
+}
+
+async function loadPriceHistory(ticker, provider, range, indicators) {
+  try {
+    const { interval, outputSize } = getPriceRangeSettings(range, { warmUpBars: getIndicatorWarmUp(indicators) });
+    // Bars come back newest first; selectRangeBars returns them oldest first
+    const series = await provider.fetchPriceHistory(ticker, { interval, outputSize });
+    const rangeBars = selectRangeBars(series, range);
+
+    // Daily charts label each day; weekly and monthly charts span years, so label the month and year
+    const dateFormat = interval === 'daily' ? { month: 'short', day: 'numeric' } : { month: 'short', year: '2-digit' };
+    const priceHistory = rangeBars.map(({ date, open, high, low, close, volume }) => {
+      const dateObj = new Date(date);
+      const displayDate = dateObj.toLocaleDateString('en-US', dateFormat);
+      const dayOfWeek = dateObj.getDay();
+      
+      // `price` is the close, kept for line charts
+      return { date, displayDate, price: close, open, high, low, close, volume, dayOfWeek };
+    });
+    if (priceHistory.length === 0) return null;
+
+    // Indicators run over the whole series so bars before the range warm them up
+    const allBars = [...series].reverse();
+    return {
+      priceHistory,
+      indicators: calculateIndicators(allBars, indicators, { from: allBars.length - rangeBars.length })
+    };
+  } catch (error) {
+    console.warn(`Price history unavailable for ${ticker}: ${error.message}`);
+    return null;
+  }
+}
+
+// Compute risk metrics from the daily closes of a ticker and its benchmark, over RISK_DEFAULTS.window.
+// The full daily series covers the window; it is the same cache entry as the 6M and YTD charts.
+// The benchmark is read through the provider's benchmark cache: the same entry as a chart of that series, kept fresh for
+// 12 hours so every ticker shares it.
+export function fetchRiskMetrics(ticker, provider, { benchmark = RISK_DEFAULTS.benchmark } = {}) {
+  return coalesce(riskFlights, 'risk', getFlightKey(provider, ticker, benchmark), provider, () => loadRiskMetrics(ticker, provider, benchmark));
+}
+
+async function loadRiskMetrics(ticker, provider, benchmark) {
+  const loadBars = (symbol, fetchSeries) => fetchSeries(symbol, { interval: 'daily', outputSize: 'full' })
+    .then(series => [...series].reverse())
+    .catch((error) => {
+      console.warn(`Daily prices unavailable for ${symbol}: ${error.message}`);
+      return null;
+    });
+
+  const isBenchmark = ticker.toUpperCase() === benchmark;
+  // Uncached providers have no benchmark cache and fetch it like any other series
+  const fetchBenchmark = provider.fetchBenchmarkHistory || provider.fetchPriceHistory;
+  const [bars, benchmarkBars] = await Promise.all([
+    loadBars(ticker, provider.fetchPriceHistory),
+    isBenchmark ? null : loadBars(benchmark, fetchBenchmark)
+  ]);
+  if (!bars) {
+    return { available: false, reason: `No daily price history available for ${ticker}`, benchmark };
+  }
+  return calculateRiskMetrics(bars, isBenchmark ? bars : benchmarkBars, { benchmark });
+}
+
+// Run a live provider call, falling back to demo data when the provider fails or is unconfigured.
+// Quota rejections are rethrown so the caller can answer 429 instead of serving demo figures.
+async function withDemoFallback(description, liveFetch, demoFallback) {
+  try {
+    return { value: await liveFetch(), source: 'live' };
+  } catch (error) {
+    if (!demoFallback || isQuotaExceededError(error)) throw error;
+    console.warn(`Using demo ${description}: ${error.message}`);
+    return { value: demoFallback, source: 'demo' };
+  }
+}
+
+// Share repurchases net of new share issuance (negative when the company is a net issuer)
+function parseNetBuybacks(cashFlow) {
+  const repurchases = parseReportValue(cashFlow, ['paymentsForRepurchaseOfCommonStock', 'paymentsForRepurchaseOfEquity']);
+  if (repurchases === null) return null;
+  return Math.abs(repurchases) - (parseReportValue(cashFlow, ['proceedsFromIssuanceOfCommonStock']) || 0);
+}
+
+// Parse the selected statement reports (TTM or latest annual) into the fields used by the valuation metrics
+function parseFundamentals({ income: latestIncome, balance: latestBalance, cashFlow: latestCashFlow }) {
+  return {
+    ebitda: parseFloat(latestIncome.ebitda) || 0,
+    netIncome: parseFloat(latestIncome.netIncome) || 0,
+    totalRevenue: parseFloat(latestIncome.totalRevenue) || 0,
+    operatingCashFlow: parseFloat(latestCashFlow.operatingCashflow ?? latestCashFlow.operatingCashFlow) || 0,
+    // Capex and cash returned to shareholders are null when the report leaves them out
+    capitalExpenditures: parseReportValue(latestCashFlow, ['capitalExpenditures']),
+    dividendsPaid: parseReportValue(latestCashFlow, ['dividendPayout', 'dividendPayoutCommonStock']),
+    netBuybacks: parseNetBuybacks(latestCashFlow),
+    interestExpense: parseFloat(latestIncome.interestExpense) || 0,
+    incomeTaxExpense: parseFloat(latestIncome.incomeTaxExpense) || 0,
+    incomeBeforeTax: parseFloat(latestIncome.incomeBeforeTax) || 0,
+    claims: parseBalanceSheetClaims(latestBalance),
+    totalAssets: parseFloat(latestBalance.totalAssets) || 0,
+    totalLiabilities: parseFloat(latestBalance.totalLiabilities) || 0,
+    sharesOutstanding: parseFloat(latestBalance.commonStockSharesOutstanding) || 0
+  };
+}
+
+// Demo fundamentals in the same shape as parseFundamentals (demo data has no EBITDA, capex or debt detail,
+// only the net claims implied by its enterprise value)
+function getDemoFundamentals(demo) {
+  const { rawData } = demo;
+  const netClaims = rawData.enterpriseValue - rawData.marketCap;
+  return {
+    ebitda: 0,
+    netIncome: rawData.netIncome,
+    totalRevenue: rawData.revenue,
+    operatingCashFlow: rawData.operatingCashFlow,
+    capitalExpenditures: null,
+    dividendsPaid: null,
+    netBuybacks: null,
+    interestExpense: 0,
+    incomeTaxExpense: 0,
+    incomeBeforeTax: 0,
+    claims: null,
+    netClaims,
+    totalDebt: Math.max(netClaims, 0),
+    totalAssets: rawData.totalAssets,
+    totalLiabilities: rawData.totalLiabilities,
+    sharesOutstanding: rawData.marketCap / demo.currentPrice
+  };
+}
+
+// Combine per-field sources into a single 'live' | 'demo' | 'mixed' label
+export function summarizeDataSources(dataSources) {
+  const sources = new Set(Object.values(dataSources).filter(Boolean));
+  if (sources.size === 1) return [...sources][0];
+  return sources.size === 0 ? null : 'mixed';
+}
+
+// Fetch fundamentals and profile for a ticker, recording whether each field is live or demo data
+export function fetchFinancialData(ticker, provider, { basis = DEFAULT_VALUATION_BASIS } = {}) {
+  return coalesce(financialDataFlights, 'financialData', getFlightKey(provider, ticker, basis), provider, () => loadFinancialData(ticker, provider, basis));
+}
+
+async function loadFinancialData(ticker, provider, basis) {
+  try {
+    console.log(`Fetching financial data for ticker: ${ticker} (provider: ${provider.name}, basis: ${basis})`);
+    const demo = getDemoData(ticker);
+
+    // Fundamentals (statements plus a quote to confirm the ticker is actively traded)
+    // and the company profile are independent, so all upstream calls run concurrently
+    const fundamentalsRequest = withDemoFallback(`fundamentals for ${ticker}`, async () => {
+      const [statements, quote] = await Promise.all([provider.fetchFundamentals(ticker), provider.fetchQuote(ticker)]);
+      const selected = selectStatementReports(statements, basis);
+      return {
+        ...parseFundamentals(selected.reports),
+        price: Number.isFinite(quote.price) ? quote.price : null,
+        basis: selected.basis,
+        history: buildFinancialHistory(statements),
+        qualityYears: selectConsecutiveYears(statements)
+      };
+    }, demo && {
+      ...getDemoFundamentals(demo),
+      price: demo.currentPrice,
+      basis: { requested: basis, applied: null, periodEnd: null, balanceSheetDate: null, quarterEnds: null, fallbackReason: 'Demo data has no reporting periods' },
+      history: null,
+      qualityYears: null
+    });
+
+    // Company profile for name, sector and market cap
+    const profileRequest = withDemoFallback(`profile for ${ticker}`, () => provider.fetchProfile(ticker), demo && {
+      name: demo.companyName,
+      sector: demo.sector,
+      marketCap: demo.rawData.marketCap,
+      sharesOutstanding: demo.rawData.marketCap / demo.currentPrice
+    });
+
+    const [fundamentals, profile] = await Promise.all([fundamentalsRequest, profileRequest]);
+
+    const { claims, netClaims, basis: appliedBasis, history, qualityYears, ...values } = fundamentals.value;
+    const sharesOutstanding = values.sharesOutstanding || profile.value.sharesOutstanding || null;
+
+    // Without a profile market cap, fall back to price × shares instead of valuing the equity at zero
+    const marketCap = resolveMarketCap({ profileMarketCap: profile.value.marketCap, price: values.price, sharesOutstanding });
+    const enterpriseValueBridge = buildEnterpriseValueBridge({ marketCap: marketCap.value, marketCapMethod: marketCap.method, claims, netClaims });
+
+    const marketCapSource = marketCap.method === 'profile' ? profile.source : marketCap.method ? fundamentals.source : null;
+    const enterpriseValueSource = !marketCapSource ? null : marketCapSource === fundamentals.source ? marketCapSource : 'mixed';
+
+    return {
+      ev: enterpriseValueBridge.enterpriseValue,
+      ...values,
+      totalDebt: enterpriseValueBridge.totalDebt ?? values.totalDebt ?? 0,
+      sharesOutstanding,
+      marketCap: marketCap.value,
+      enterpriseValueBridge,
+      companyName: profile.value.name,
+      sector: profile.value.sector,
+      basis: appliedBasis,
+      history,
+      quality: calculateQualityScores(qualityYears, { marketCap: marketCap.value }),
+      dataSources: {
+        price: values.price === null ? null : fundamentals.source,
+        marketCap: marketCapSource,
+        enterpriseValue: enterpriseValueSource,
+        ebitda: fundamentals.source,
+        netIncome: fundamentals.source,
+        revenue: fundamentals.source,
+        operatingCashFlow: fundamentals.source,
+        totalAssets: fundamentals.source,
+        totalLiabilities: fundamentals.source,
+        companyName: profile.source,
+        sector: profile.source,
+        history: history ? fundamentals.source : null,
+        quality: qualityYears ? fundamentals.source : null
+      }
+    };
+  } catch (error) {
+    if (isQuotaExceededError(error)) throw error;
+    const message = 'Failed to fetch financial data: ' + error.message;
+    throw isDataNotFoundError(error) ? createDataNotFoundError(message) : new Error(message);
+  }
+}
+
+// Compute each valuation metric and its verdict under the given rule profile
+export function calculateValuationMetrics(data, { dcfOverrides = null, rules = resolveValuationRules() } = {}) {
+  const { ev, ebitda, operatingCashFlow, netIncome, marketCap, totalAssets, totalLiabilities } = data;
+  
+  const metrics = {};
+  let verdictScores = [];
+
+  // Multiples are judged against the company's own sector ranges, adjusted by the rule profile
+  const benchmarks = getSectorBenchmarks(data.sector);
+  const isEnabled = (key) => rules.enabledMetrics.includes(key);
+  const judge = (key, value) => judgeAgainstBenchmark(key, value, benchmarks, {
+    rangeScale: rules.rangeScale,
+    override: rules.thresholds[key] || null,
+    overrideLabel: `${rules.label} profile`
+  });
+
+  const hasEv = Number.isFinite(ev);
+  const hasMarketCap = marketCap > 0;
+
+  // 1. EV/EBITDA Analysis (market-wide default threshold: 20)
+  if (isEnabled('evEbitda') && hasEv && ebitda && ebitda > 0) {
+    metrics.evEbitda = ev / ebitda;
+    const { verdict: evEbitdaVerdict, benchmark } = judge('evEbitda', metrics.evEbitda);
+    verdictScores.push({ metric: 'EV/EBITDA', key: 'evEbitda', value: metrics.evEbitda.toFixed(2), verdict: evEbitdaVerdict, weight: rules.weights.evEbitda, benchmark });
+    metrics.evEbitdaExplanation = 'EV/EBITDA is a popular valuation multiple used to compare a company’s value to its operational profitability, independent of capital structure and non-cash expenses.';
+  }
+
+  // 2. Price to Earnings (P/E) Analysis via Market Cap to Net Income
+  if (isEnabled('pe') && hasMarketCap && netIncome && netIncome > 0) {
+    metrics.pe = marketCap / netIncome;
+    const { verdict: peVerdict, benchmark } = judge('pe', metrics.pe);
+    verdictScores.push({ metric: 'P/E Ratio', key: 'pe', value: metrics.pe.toFixed(2), verdict: peVerdict, weight: rules.weights.pe, benchmark });
+  }
+
+  // 3. Price to Book (P/B) Analysis
+  if (isEnabled('pb') && hasMarketCap && totalAssets && totalLiabilities) {
+    const bookValue = totalAssets - totalLiabilities;
+    if (bookValue > 0) {
+      metrics.pb = marketCap / bookValue;
+      const { verdict: pbVerdict, benchmark } = judge('pb', metrics.pb);
+      verdictScores.push({ metric: 'P/B Ratio', key: 'pb', value: metrics.pb.toFixed(2), verdict: pbVerdict, weight: rules.weights.pb, benchmark });
+    }
+  }
+
+  // 4. EV/Revenue Analysis
+  if (isEnabled('evRevenue') && hasEv && data.totalRevenue && data.totalRevenue > 0) {
+    metrics.evRevenue = ev / data.totalRevenue;
+    const { verdict: evRevenueVerdict, benchmark } = judge('evRevenue', metrics.evRevenue);
+    verdictScores.push({ metric: 'EV/Revenue', key: 'evRevenue', value: metrics.evRevenue.toFixed(2), verdict: evRevenueVerdict, weight: rules.weights.evRevenue, benchmark });
+  }
+
+  // 5. Free cash flow (operating cash flow minus capex) and shareholder yields
+  const percentMetric = (key, label, value) => {
+    metrics[key] = value;
+    if (!isEnabled(key)) return;
+    const { verdict, benchmark } = judge(key, value);
+    verdictScores.push({ metric: label, key, value: value.toFixed(2) + '%', verdict, weight: rules.weights[key], benchmark });
+  };
+
+  if (operatingCashFlow && Number.isFinite(data.capitalExpenditures)) {
+    metrics.freeCashFlow = operatingCashFlow - Math.abs(data.capitalExpenditures);
+    if (data.totalRevenue > 0) percentMetric('fcfMargin', 'FCF Margin', (metrics.freeCashFlow / data.totalRevenue) * 100);
+    if (hasMarketCap) percentMetric('fcfYield', 'FCF Yield', (metrics.freeCashFlow / marketCap) * 100);
+  }
+
+  if (hasMarketCap) {
+    const dividendYield = Number.isFinite(data.dividendsPaid) ? (Math.abs(data.dividendsPaid) / marketCap) * 100 : null;
+    const buybackYield = Number.isFinite(data.netBuybacks) ? (data.netBuybacks / marketCap) * 100 : null;
+
+    // A company that pays no dividend isn't judged on its dividend yield
+    if (dividendYield > 0) percentMetric('dividendYield', 'Dividend Yield', dividendYield);
+    else if (dividendYield === 0) metrics.dividendYield = 0;
+    if (buybackYield !== null) percentMetric('buybackYield', 'Buyback Yield', buybackYield);
+    if (dividendYield !== null || buybackYield !== null) {
+      percentMetric('shareholderYield', 'Shareholder Yield', (dividendYield || 0) + (buybackYield || 0));
+    }
+  }
+
+  // 5b. Growth over the multi-year history, and the multiples divided by it (PEG, EV/EBITDA-to-growth)
+  // Growth-adjusted multiples are only meaningful for positive growth; shrinking companies are judged on the raw multiples
+  const growth = data.history?.cagr;
+  if (growth) {
+    if (growth.revenue !== null) percentMetric('revenueGrowth', 'Revenue CAGR', growth.revenue);
+    if (growth.eps !== null) percentMetric('epsGrowth', 'EPS CAGR', growth.eps);
+
+    const ratioMetric = (key, label, value) => {
+      metrics[key] = value;
+      if (!isEnabled(key)) return;
+      const { verdict, benchmark } = judge(key, value);
+      verdictScores.push({ metric: label, key, value: value.toFixed(2), verdict, weight: rules.weights[key], benchmark });
+    };
+
+    if (growth.eps > 0 && hasMarketCap && netIncome > 0) {
+      ratioMetric('peg', 'PEG Ratio', marketCap / netIncome / growth.eps);
+    }
+    if (growth.ebitda > 0 && hasEv && ebitda > 0) {
+      ratioMetric('evEbitdaToGrowth', 'EV/EBITDA-to-Growth', ev / ebitda / growth.ebitda);
+    }
+  }
+
+  // 7. Cash Flow Based Valuation Range (OCF * 30 to 35)
+  if (isEnabled('cashFlowMultiple') && hasMarketCap && operatingCashFlow && operatingCashFlow > 0) {
+    metrics.cashFlowLower = operatingCashFlow * 30;
+    metrics.cashFlowUpper = operatingCashFlow * 35;
+    let cfVerdict = 'fairly valued';
+    if (marketCap >= metrics.cashFlowLower && marketCap <= metrics.cashFlowUpper) cfVerdict = 'fairly valued';
+    else if (marketCap < metrics.cashFlowLower) cfVerdict = 'undervalued';
+    else if (marketCap > metrics.cashFlowUpper) cfVerdict = 'overvalued';
+    verdictScores.push({ metric: 'CashFlowMultiple', key: 'cashFlowMultiple', value: `${metrics.cashFlowLower.toFixed(0)} - ${metrics.cashFlowUpper.toFixed(0)}`, verdict: cfVerdict, weight: rules.weights.cashFlowMultiple, benchmark: null });
+    metrics.cashFlowExplanation = 'This is a simplified cash flow multiple valuation. High-quality companies often trade at 30–35× operating cash flow.';
+  }
+
+  // 6. Debt to Equity Ratio
+  if (isEnabled('debtToEquity') && totalAssets && totalLiabilities) {
+    const bookValue = totalAssets - totalLiabilities;
+    if (bookValue > 0) {
+      metrics.debtToEquity = totalLiabilities / bookValue;
+      const { verdict: debtVerdict, benchmark } = judge('debtToEquity', metrics.debtToEquity);
+      verdictScores.push({ metric: 'Debt/Equity', key: 'debtToEquity', value: metrics.debtToEquity.toFixed(2), verdict: debtVerdict, weight: rules.weights.debtToEquity, benchmark });
+    }
+  }
+
+  // 8. Discounted Cash Flow (weighted above the multiples as an intrinsic value estimate)
+  const dcf = runDcfValuation(data, dcfOverrides);
+  if (isEnabled('dcf') && dcf.available) {
+    metrics.dcfEquityValue = dcf.equityValue;
+    metrics.dcfFairValuePerShare = dcf.fairValuePerShare;
+    verdictScores.push({ metric: 'DCF', key: 'dcf', value: `${(dcf.equityValue / 1e9).toFixed(2)}B`, verdict: dcf.verdict, weight: rules.weights.dcf, benchmark: null });
+    metrics.dcfExplanation = 'A multi-stage discounted cash flow model: free cash flow is projected through a high-growth and a fade stage, then a terminal value, all discounted at WACC.';
+  }
+
+  const { ranges, ...benchmarkSet } = benchmarks;
+  return { metrics, verdictScores, dcf, benchmarks: benchmarkSet };
+}
+
+// Combine per-metric verdicts into a weighted overall verdict
+export function calculateOverallValuation(verdictScores, { majorityCutoff = 0.5 } = {}) {
+  if (verdictScores.length === 0) {
+    return { verdict: 'insufficient data', confidence: 0, reasoning: 'Not enough data to determine valuation' };
+  }
+
+  // Weight each verdict
+  let undervaluedScore = 0;
+  let overvaluedScore = 0;
+  let fairlyValuedScore = 0;
+  let totalWeight = 0;
+
+  verdictScores.forEach(score => {
+    const weight = score.weight ?? 1;
+    totalWeight += weight;
+    
+    if (score.verdict === 'undervalued') {
+      undervaluedScore += weight;
+    } else if (score.verdict === 'overvalued') {
+      overvaluedScore += weight;
+    } else {
+      fairlyValuedScore += weight;
+    }
+  });
+
+  if (totalWeight === 0) {
+    return { verdict: 'insufficient data', confidence: 0, reasoning: 'All available metrics have zero weight' };
+  }
+
+  // Normalize scores
+  undervaluedScore /= totalWeight;
+  overvaluedScore /= totalWeight;
+  fairlyValuedScore /= totalWeight;
+
+  // Determine overall verdict
+  let verdict = 'fairly valued';
+  let confidence = 0;
+  let reasoning = '';
+
+  if (undervaluedScore > majorityCutoff) {
+    verdict = 'undervalued';
+    confidence = Math.round(undervaluedScore * 100);
+    reasoning = `${confidence}% of valuation metrics suggest the stock is undervalued`;
+  } else if (overvaluedScore > majorityCutoff) {
+    verdict = 'overvalued';
+    confidence = Math.round(overvaluedScore * 100);
+    reasoning = `${confidence}% of valuation metrics suggest the stock is overvalued`;
+  } else {
+    verdict = 'fairly valued';
+    confidence = Math.round(fairlyValuedScore * 100);
+    reasoning = `Valuation metrics are mixed, suggesting the stock is fairly valued`;
+  }
+
+  return { verdict, confidence, reasoning };
+}
+
+// Generate combined interpretation string using EV/EBITDA and Cash Flow verdicts
+export function generateCombinedSummary(metrics, verdicts) {
+  const evVerdictObj = verdicts.find(v => v.metric === 'EV/EBITDA');
+  const cfVerdictObj = verdicts.find(v => v.metric === 'CashFlowMultiple');
+
+  const evText = evVerdictObj ? evVerdictObj.verdict : 'insufficient data for EV/EBITDA';
+  const cfText = cfVerdictObj ? cfVerdictObj.verdict : 'insufficient data for cash flow multiple';
+
+  let summary = `EV/EBITDA suggests the stock is ${evText}, and the cash flow valuation range indicates it is ${cfText}.`;
+
+  // Make the final phrasing nicer when both agree
+  if (evVerdictObj && cfVerdictObj && evVerdictObj.verdict === cfVerdictObj.verdict) {
+    summary = `Both EV/EBITDA and the cash flow valuation range indicate the stock is ${evVerdictObj.verdict}. Overall, this stock appears ${evVerdictObj.verdict} based on these metrics.`;
+  }
+
+  return summary;
+}
+
+// Raw inputs echoed back in valuation responses
+export function buildRawData(data) {
+  return {
+    price: data.price ?? null,
+    sharesOutstanding: data.sharesOutstanding || null,
+    marketCap: data.marketCap,
+    enterpriseValue: data.ev,
+    netIncome: data.netIncome,
+    revenue: data.totalRevenue,
+    operatingCashFlow: data.operatingCashFlow,
+    totalAssets: data.totalAssets,
+    totalLiabilities: data.totalLiabilities
+  };
+}
+
+// Run the metrics, overall verdict and summary for already fetched data
+export function evaluateValuation(data, { dcfOverrides = null, rules = resolveValuationRules() } = {}) {
+  const { metrics, verdictScores, dcf, benchmarks } = calculateValuationMetrics(data, { dcfOverrides, rules });
+  const { verdict, confidence, reasoning } = calculateOverallValuation(verdictScores, rules);
+  // Quality scores don't vote; they flag verdicts that the multiples alone may get wrong
+  const warnings = buildQualityWarnings(data.quality, verdict);
+  return {
+    metrics,
+    dcf,
+    benchmarks,
+    verdicts: verdictScores,
+    overall: { verdict, confidence, reasoning, warnings },
+    priceTargets: buildPriceTargets(data, { metrics, verdictScores }),
+    quality: data.quality || null,
+    interpretation: generateCombinedSummary(metrics, verdictScores)
+  };
+}
+
+// Fetch and value a single resolved ticker
+export async function valueTicker(ticker, provider, { basis = DEFAULT_VALUATION_BASIS, rules = resolveValuationRules(), dcfOverrides = null } = {}) {
+  const data = await fetchFinancialData(ticker, provider, { basis });
+  return {
+    ticker,
+    companyName: data.companyName,
+    sector: data.sector,
+    dataProvider: provider.name,
+    dataSource: summarizeDataSources(data.dataSources),
+    dataSources: data.dataSources,
+    rawData: buildRawData(data),
+    enterpriseValueBridge: data.enterpriseValueBridge,
+    basis: data.basis || null,
+    ...evaluateValuation(data, { dcfOverrides, rules })
+  };
+}
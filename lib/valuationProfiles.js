@@ -0,0 +1,185 @@
+/**
+ * Valuation Rule Profiles
+ *
+ * Named rule sets controlling how metrics turn into the overall verdict:
+ * - weights: contribution of each metric to the weighted vote
+ * - enabledMetrics: which metrics take part at all
+ * - rangeScale: multiplier on sector benchmark ranges (< 1 is stricter,
+ *   > 1 is more lenient toward high multiples)
+ * - thresholds: absolute { low, high } ranges that replace the sector range
+ * - majorityCutoff: share of weighted votes needed for an under/overvalued verdict
+ *
+ * Selected via `?profile=` (GET) or a `rules` object (POST), which may name a
+ * base profile and override any of the fields above.
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+export const VALUATION_METRICS = ['evEbitda', 'pe', 'pb', 'evRevenue', 'fcfYield', 'fcfMargin', 'dividendYield', 'buybackYield', 'shareholderYield', 'revenueGrowth', 'epsGrowth', 'peg', 'evEbitdaToGrowth', 'cashFlowMultiple', 'debtToEquity', 'dcf'];
+
+// Metrics judged against benchmark ranges (others are model-based)
+const RANGE_METRICS = ['evEbitda', 'pe', 'pb', 'evRevenue', 'fcfYield', 'fcfMargin', 'dividendYield', 'buybackYield', 'shareholderYield', 'revenueGrowth', 'epsGrowth', 'peg', 'evEbitdaToGrowth', 'debtToEquity'];
+
+const DEFAULT_WEIGHTS = {
+  evEbitda: 1,
+  pe: 1,
+  pb: 0.8,
+  evRevenue: 0.8,
+  fcfYield: 1,
+  fcfMargin: 0.6,
+  // Dividend and buyback yields overlap with shareholder yield, so each counts for less
+  dividendYield: 0.4,
+  buybackYield: 0.4,
+  shareholderYield: 0.8,
+  // Raw growth rates support the growth-adjusted multiples rather than standing alone
+  revenueGrowth: 0.4,
+  epsGrowth: 0.4,
+  peg: 1,
+  evEbitdaToGrowth: 0.8,
+  cashFlowMultiple: 1,
+  debtToEquity: 0.6,
+  dcf: 1.5
+};
+
+const VALUATION_PROFILES = {
+  default: {
+    label: 'Balanced',
+    description: 'Sector benchmark ranges with the standard metric weights',
+    weights: DEFAULT_WEIGHTS,
+    enabledMetrics: VALUATION_METRICS,
+    rangeScale: 1,
+    thresholds: {},
+    majorityCutoff: 0.5
+  },
+  conservative: {
+    label: 'Conservative',
+    description: 'Tighter ranges, more weight on leverage and cash generation, and a higher bar for a verdict',
+    weights: { ...DEFAULT_WEIGHTS, fcfYield: 1.3, fcfMargin: 0.8, debtToEquity: 1.2, evRevenue: 0.6, dcf: 1.5 },
+    enabledMetrics: VALUATION_METRICS,
+    rangeScale: 0.85,
+    thresholds: {},
+    majorityCutoff: 0.6
+  },
+  growth: {
+    label: 'Growth',
+    description: 'Tolerates higher multiples, leans on growth-adjusted multiples and cash flow models, and ignores book value',
+    weights: { ...DEFAULT_WEIGHTS, evRevenue: 1, fcfMargin: 0.8, revenueGrowth: 0.8, epsGrowth: 0.6, peg: 1.5, evEbitdaToGrowth: 1.2, debtToEquity: 0.4, dcf: 2 },
+    // Growth companies rarely return cash, so payout yields don't count against them
+    enabledMetrics: VALUATION_METRICS.filter(metric => !['pb', 'dividendYield', 'buybackYield', 'shareholderYield'].includes(metric)),
+    rangeScale: 1.3,
+    thresholds: {},
+    majorityCutoff: 0.5
+  },
+  'deep-value': {
+    label: 'Deep Value',
+    description: 'Classic value screens: low P/E and P/B, high FCF and shareholder yield, modest leverage',
+    weights: { ...DEFAULT_WEIGHTS, pe: 1.3, pb: 1.5, fcfYield: 1.3, shareholderYield: 1.2, peg: 0.6, debtToEquity: 1, evRevenue: 0.5, dcf: 1 },
+    enabledMetrics: VALUATION_METRICS.filter(metric => metric !== 'cashFlowMultiple'),
+    rangeScale: 0.7,
+    thresholds: {
+      pe: { low: 10, high: 15 },
+      pb: { low: 1, high: 1.5 }
+    },
+    majorityCutoff: 0.5
+  }
+};
+
+const RULE_FIELDS = ['profile', 'weights', 'enabledMetrics', 'rangeScale', 'thresholds', 'majorityCutoff'];
+
+/**
+ * Check if a profile name is registered
+ */
+export function isValuationProfile(name) {
+  return typeof name === 'string' && Object.hasOwn(VALUATION_PROFILES, name);
+}
+
+/**
+ * Get registered profiles with their labels and descriptions
+ */
+export function listValuationProfiles() {
+  return Object.entries(VALUATION_PROFILES).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    description: profile.description
+  }));
+}
+
+/**
+ * Validate a custom `rules` object from a request body
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateValuationRules(rules) {
+  if (rules === undefined || rules === null) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) return 'rules must be an object';
+
+  for (const key of Object.keys(rules)) {
+    if (!RULE_FIELDS.includes(key)) {
+      return `Unknown rules field: ${key}. Allowed fields: ${RULE_FIELDS.join(', ')}`;
+    }
+  }
+
+  if (rules.profile !== undefined && !isValuationProfile(rules.profile)) {
+    return `Unknown profile "${rules.profile}". Available profiles: ${Object.keys(VALUATION_PROFILES).join(', ')}`;
+  }
+
+  if (rules.weights !== undefined) {
+    if (typeof rules.weights !== 'object' || rules.weights === null) return 'rules.weights must be an object';
+    for (const [metric, weight] of Object.entries(rules.weights)) {
+      if (!VALUATION_METRICS.includes(metric)) return `Unknown metric in rules.weights: ${metric}`;
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) return `rules.weights.${metric} must be a non-negative number`;
+    }
+  }
+
+  if (rules.enabledMetrics !== undefined) {
+    if (!Array.isArray(rules.enabledMetrics)) return 'rules.enabledMetrics must be an array';
+    const unknown = rules.enabledMetrics.find(metric => !VALUATION_METRICS.includes(metric));
+    if (unknown) return `Unknown metric in rules.enabledMetrics: ${unknown}`;
+  }
+
+  if (rules.rangeScale !== undefined && (typeof rules.rangeScale !== 'number' || !(rules.rangeScale > 0))) {
+    return 'rules.rangeScale must be a positive number';
+  }
+
+  if (rules.thresholds !== undefined) {
+    if (typeof rules.thresholds !== 'object' || rules.thresholds === null) return 'rules.thresholds must be an object';
+    for (const [metric, range] of Object.entries(rules.thresholds)) {
+      if (!RANGE_METRICS.includes(metric)) return `rules.thresholds.${metric} is not supported. Supported metrics: ${RANGE_METRICS.join(', ')}`;
+      if (!range || typeof range.low !== 'number' || typeof range.high !== 'number' || range.low > range.high) {
+        return `rules.thresholds.${metric} must be { low, high } with low <= high`;
+      }
+    }
+  }
+
+  if (rules.majorityCutoff !== undefined && (typeof rules.majorityCutoff !== 'number' || rules.majorityCutoff < 0 || rules.majorityCutoff >= 1)) {
+    return 'rules.majorityCutoff must be a number from 0 up to (but not including) 1';
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the rules to apply from a profile name and/or custom rules
+ * Custom rules are layered over their base profile (rules.profile, then
+ * the `profile` argument, then the default profile).
+ *
+ * @param {object} options
+ * @param {string} options.profile - Named profile
+ * @param {object} options.rules - Custom rules (already validated)
+ * @returns {object} Fully populated rules echoed back in responses
+ */
+export function resolveValuationRules({ profile = null, rules = null } = {}) {
+  const profileName = rules?.profile || profile || DEFAULT_PROFILE;
+  const base = VALUATION_PROFILES[profileName];
+  const customized = !!rules && Object.keys(rules).some(key => key !== 'profile');
+
+  return {
+    profile: profileName,
+    label: base.label,
+    customized,
+    weights: { ...base.weights, ...(rules?.weights || {}) },
+    enabledMetrics: rules?.enabledMetrics ? [...rules.enabledMetrics] : [...base.enabledMetrics],
+    rangeScale: rules?.rangeScale ?? base.rangeScale,
+    thresholds: { ...base.thresholds, ...(rules?.thresholds || {}) },
+    majorityCutoff: rules?.majorityCutoff ?? base.majorityCutoff
+  };
+}
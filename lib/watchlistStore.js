@@ -0,0 +1,146 @@
+/**
+ * Watchlist Store
+ *
+ * Persists named ticker watchlists to a JSON file (WATCHLIST_DATA_FILE env var
+ * or ./data/watchlists.json):
+ *
+ *   { "watchlists": [{ "id", "name", "tickers": ["AAPL"], "createdAt", "updatedAt" }] }
+ */
+
+import { randomUUID } from 'crypto';
+import path from 'path';
+import { createJsonFileStore } from './jsonFileStore.js';
+import { isValidTickerFormat } from './stringUtils.js';
+
+const MAX_NAME_LENGTH = 60;
+export const MAX_TICKERS_PER_LIST = 50;
+
+/**
+ * Get watchlist file path (WATCHLIST_DATA_FILE env var or ./data/watchlists.json)
+ */
+export function getWatchlistFile() {
+  return process.env.WATCHLIST_DATA_FILE || path.join(process.cwd(), 'data', 'watchlists.json');
+}
+
+const store = createJsonFileStore({
+  getFile: getWatchlistFile,
+  createEmpty: () => ({ watchlists: [] }),
+  label: 'watchlists'
+});
+
+/**
+ * Normalize a ticker symbol for storage (trimmed, upper case)
+ */
+export function normalizeWatchlistTicker(ticker) {
+  return typeof ticker === 'string' ? ticker.trim().toUpperCase() : '';
+}
+
+/**
+ * Validate a watchlist name; returns an error message or null
+ */
+export function validateWatchlistName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) return 'name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Validate ticker symbols before storing them; returns an error message or null
+ */
+export function validateWatchlistTickers(tickers) {
+  if (!Array.isArray(tickers)) return 'tickers must be an array of ticker symbols';
+  const invalid = tickers.filter(t => !isValidTickerFormat(normalizeWatchlistTicker(t)));
+  if (invalid.length > 0) return `Invalid ticker symbol(s): ${invalid.join(', ')}`;
+  if (tickers.length > MAX_TICKERS_PER_LIST) return `A watchlist can hold at most ${MAX_TICKERS_PER_LIST} tickers`;
+  return null;
+}
+
+/**
+ * List all watchlists, oldest first
+ */
+export async function listWatchlists() {
+  const { watchlists } = await store.read();
+  return watchlists;
+}
+
+/**
+ * Get a watchlist by id, or null if it doesn't exist
+ */
+export async function getWatchlist(id) {
+  const { watchlists } = await store.read();
+  return watchlists.find(list => list.id === id) || null;
+}
+
+/**
+ * Create a watchlist with optional initial tickers
+ */
+export function createWatchlist({ name, tickers = [] }) {
+  const now = new Date().toISOString();
+  const watchlist = {
+    id: randomUUID(),
+    name: name.trim(),
+    tickers: [...new Set(tickers.map(normalizeWatchlistTicker))],
+    createdAt: now,
+    updatedAt: now
+  };
+  return store.update(contents => {
+    contents.watchlists.push(watchlist);
+    return watchlist;
+  });
+}
+
+/**
+ * Rename a watchlist; resolves to the updated list or null if it doesn't exist
+ */
+export function renameWatchlist(id, name) {
+  return store.update(contents => {
+    const watchlist = contents.watchlists.find(list => list.id === id);
+    if (!watchlist) return null;
+    watchlist.name = name.trim();
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
+
+/**
+ * Delete a watchlist; resolves to true if it existed
+ */
+export function deleteWatchlist(id) {
+  return store.update(contents => {
+    const before = contents.watchlists.length;
+    contents.watchlists = contents.watchlists.filter(list => list.id !== id);
+    return contents.watchlists.length < before;
+  });
+}
+
+/**
+ * Add tickers to a watchlist, skipping ones already on it.
+ * Resolves to the updated list, or null if it doesn't exist.
+ * Throws if the list would exceed the per-list ticker limit.
+ */
+export function addWatchlistTickers(id, tickers) {
+  return store.update(contents => {
+    const watchlist = contents.watchlists.find(list => list.id === id);
+    if (!watchlist) return null;
+    const merged = [...new Set([...watchlist.tickers, ...tickers.map(normalizeWatchlistTicker)])];
+    if (merged.length > MAX_TICKERS_PER_LIST) {
+      throw new Error(`A watchlist can hold at most ${MAX_TICKERS_PER_LIST} tickers`);
+    }
+    watchlist.tickers = merged;
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
+
+/**
+ * Remove a ticker from a watchlist; resolves to the updated list or null if it doesn't exist
+ */
+export function removeWatchlistTicker(id, ticker) {
+  return store.update(contents => {
+    const watchlist = contents.watchlists.find(list => list.id === id);
+    if (!watchlist) return null;
+    watchlist.tickers = watchlist.tickers.filter(t => t !== normalizeWatchlistTicker(ticker));
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
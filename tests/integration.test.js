@@ -0,0 +1,628 @@
+/**
+ * Integration Tests
+ *
+ * Runs against the fixture provider, which replays the recorded responses in
+ * fixtures/ (no network or API keys), both directly and through the API
+ * route handlers.
+ *
+ * Run with `npm run test:integration` (node:test).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { register } from 'node:module';
+
+import { getDataProvider } from '../lib/providers/index.js';
+import { clearProviderCache } from '../lib/providers/cache.js';
+import { isDataNotFoundError } from '../lib/providers/errors.js';
+import { fetchFinancialData, fetchPriceHistory } from '../lib/valuationEngine.js';
+import { PRICE_RANGE_NAMES, getRangeCutoff } from '../lib/priceRanges.js';
+
+process.env.FIXTURE_DATA_DIR = fileURLToPath(new URL('../fixtures', import.meta.url));
+// Requests that don't name a data provider must never reach the network
+process.env.FINANCIAL_DATA_PROVIDER = 'fixture';
+
+// Route modules import `next/server`, which plain Node can't resolve without the hook
+register('./resolveNextServer.js', import.meta.url);
+const valuationRoute = await import('../app/api/valuation/route.js');
+const compareRoute = await import('../app/api/compare/route.js');
+const watchlistsRoute = await import('../app/api/watchlists/route.js');
+const watchlistRoute = await import('../app/api/watchlists/[id]/route.js');
+const watchlistTickersRoute = await import('../app/api/watchlists/[id]/tickers/route.js');
+const watchlistTickerRoute = await import('../app/api/watchlists/[id]/tickers/[ticker]/route.js');
+const portfolioRoute = await import('../app/api/portfolio/route.js');
+const holdingRoute = await import('../app/api/portfolio/holdings/[ticker]/route.js');
+
+// Call a route handler the way Next.js does: a Request plus the dynamic route params
+// `rawBody` sends text as-is, for malformed JSON
+async function call(route, method, path, { body, rawBody, params = {} } = {}) {
+  const init = { method };
+  if (body !== undefined || rawBody !== undefined) {
+    init.headers = { 'Content-Type': 'application/json' };
+    init.body = rawBody ?? JSON.stringify(body);
+  }
+  const response = await route[method](new Request(`http://localhost${path}`, init), { params: Promise.resolve(params) });
+  return { status: response.status, body: await response.json() };
+}
+
+const get = (route, path, params) => call(route, 'GET', path, { params });
+const post = (route, path, body, params) => call(route, 'POST', path, { body, params });
+
+describe('fixture provider', () => {
+  const provider = getDataProvider('fixture');
+
+  it('replays AAPL statements, quote and profile', async () => {
+    const { income, balance, cashFlow } = await provider.fetchFundamentals('AAPL');
+    assert.ok(income.annualReports.length > 0);
+    assert.ok(balance.quarterlyReports.length > 0);
+    assert.ok(cashFlow.annualReports.length > 0);
+
+    const quote = await provider.fetchQuote('AAPL');
+    assert.ok(quote.price > 0);
+
+    const profile = await provider.fetchProfile('AAPL');
+    assert.ok(profile.name);
+    assert.ok(profile.sharesOutstanding > 0);
+  });
+
+  it('replays AAPL daily closes, newest first', async () => {
+    const bars = await provider.fetchPriceHistory('AAPL');
+    const dates = bars.map(bar => bar.date);
+    assert.ok(bars.length > 1);
+    assert.deepEqual(dates, [...dates].sort().reverse());
+    assert.ok(bars.every(bar => bar.close > 0));
+    assert.ok(bars.every(bar => bar.low <= Math.min(bar.open, bar.close) && bar.high >= Math.max(bar.open, bar.close)));
+    assert.ok(bars.every(bar => Number.isInteger(bar.volume)));
+  });
+
+  it('keeps the compact and full daily series apart', async () => {
+    const compact = await provider.fetchPriceHistory('AAPL', { interval: 'daily', outputSize: 'compact' });
+    const full = await provider.fetchPriceHistory('AAPL', { interval: 'daily', outputSize: 'full' });
+    assert.ok(full.length > compact.length);
+    assert.equal(full[0].date, compact[0].date);
+  });
+
+  for (const range of PRICE_RANGE_NAMES) {
+    it(`returns ${range} price history inside the range, oldest first`, async () => {
+      const { priceHistory } = await fetchPriceHistory('AAPL', provider, { range });
+      const dates = priceHistory.map(bar => bar.date);
+      const cutoff = getRangeCutoff(range, dates.at(-1));
+
+      assert.ok(dates.length > 1);
+      assert.equal(dates.at(-1), '2025-10-17');
+      assert.deepEqual(dates, [...dates].sort());
+      if (cutoff) assert.ok(dates[0] > cutoff);
+    });
+  }
+
+  it('warms a 200-day average up before a one-week chart', async () => {
+    const { priceHistory, indicators } = await fetchPriceHistory('AAPL', provider, { range: '1W', indicators: ['sma200'] });
+    assert.equal(indicators.sma200.values.length, priceHistory.length);
+    assert.ok(indicators.sma200.values.every(({ value }) => value !== null));
+  });
+
+  it('names the missing file for a ticker without fixtures', async () => {
+    await assert.rejects(provider.fetchQuote('ZZZZ'), /No recorded fixture for ZZZZ GLOBAL_QUOTE/);
+  });
+
+  it('marks a ticker without fixtures as not found, through the financial data wrapper', async () => {
+    await assert.rejects(fetchFinancialData('ZZZZ', provider), error => isDataNotFoundError(error) && /Failed to fetch financial data/.test(error.message));
+  });
+});
+
+describe('valuation engine', () => {
+  it('shares one fetch between concurrent requests for the same ticker', async () => {
+    const first = getDataProvider('fixture', { forceRefresh: true });
+    const second = getDataProvider('fixture', { forceRefresh: true });
+    const [a, b] = await Promise.all([fetchFinancialData('AAPL', first), fetchFinancialData('AAPL', second)]);
+
+    assert.equal(a, b);
+    assert.equal(first.diagnostics.summary().upstreamCalls, 5);
+    assert.equal(second.diagnostics.summary().upstreamCalls, 0);
+    assert.deepEqual(second.diagnostics.summary().coalesced, ['financialData']);
+  });
+});
+
+describe('GET /api/valuation', () => {
+  it('labels fixture-backed AAPL data as live', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.equal(status, 200);
+    assert.equal(body.dataProvider, 'fixture');
+    assert.equal(body.dataSource, 'live');
+    assert.ok(Object.values(body.dataSources).every(source => source === 'live'));
+    assert.ok(body.history.periodYears > 0);
+    assert.ok(body.history.years.every(year => year.eps === null || year.eps > 0));
+    assert.equal(body.basis.applied, 'ttm');
+    assert.equal(body.basis.quarterEnds.length, 4);
+  });
+
+  it('judges AAPL multiples against the technology ranges', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.equal(body.benchmarks.name, 'technology');
+    const pe = body.verdicts.find(verdict => verdict.metric === 'P/E Ratio');
+    assert.deepEqual(pe.benchmark, { set: 'technology', label: 'Technology', low: 20, high: 35, rangeScale: 1 });
+  });
+
+  it('serves repeat requests from the response cache unless refreshed', async () => {
+    const refreshed = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&refresh=true');
+    assert.equal(refreshed.body.cache.statements.status, 'bypass');
+    const cached = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.equal(cached.body.cache.statements.status, 'hit');
+    assert.equal(cached.body.cache.quote.status, 'hit');
+  });
+
+  it('records every upstream call in the diagnostics', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&refresh=true');
+    const aaplCalls = body.diagnostics.calls.filter(call => call.ticker === 'AAPL').map(call => call.call);
+    assert.deepEqual([...new Set(aaplCalls)].sort(), ['BALANCE_SHEET', 'CASH_FLOW', 'GLOBAL_QUOTE', 'INCOME_STATEMENT', 'TIME_SERIES_DAILY', 'stock/profile2']);
+    assert.ok(body.diagnostics.calls.some(call => call.call === 'TIME_SERIES_DAILY' && call.ticker === 'SPY'));
+    assert.ok(body.diagnostics.calls.every(call => call.source === 'fixture' && call.attempts === 1));
+    assert.equal(body.diagnostics.failedCalls, 0);
+  });
+
+  it('bridges AAPL market cap to enterprise value from the balance sheet', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    const bridge = body.enterpriseValueBridge;
+    assert.equal(bridge.marketCapMethod, 'profile');
+    assert.equal(bridge.marketCap, body.rawData.marketCap);
+    assert.equal(bridge.enterpriseValue, body.rawData.enterpriseValue);
+    assert.ok(bridge.totalDebt > 0);
+    assert.ok(Math.abs(bridge.marketCap + bridge.netClaims - bridge.enterpriseValue) < 1);
+  });
+
+  it('judges AAPL on free cash flow and shareholder yield', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.ok(body.metrics.freeCashFlow > 0);
+    assert.ok(body.metrics.freeCashFlow < body.rawData.operatingCashFlow);
+    assert.ok(body.metrics.shareholderYield > body.metrics.dividendYield);
+    assert.ok(body.verdicts.some(verdict => verdict.key === 'shareholderYield'));
+  });
+
+  it('scores AAPL financial quality', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.ok(body.quality.piotroski.score >= 0 && body.quality.piotroski.score <= 9);
+    assert.equal(body.quality.altman.available, true);
+  });
+
+  it('derives per-share price targets for AAPL', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.equal(body.priceTargets.available, true);
+    assert.ok(body.priceTargets.fairValue > 0);
+    assert.ok(body.priceTargets.low <= body.priceTargets.high);
+    assert.equal(body.priceTargets.price, body.rawData.price);
+  });
+
+  it('values on the latest annual reports when asked', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&basis=annual');
+    assert.equal(body.basis.applied, 'annual');
+    assert.equal(body.basis.fallbackReason, null);
+  });
+
+  it('falls back to demo data for a ticker without fixtures', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=MSFT&dataProvider=fixture');
+    assert.equal(status, 200);
+    assert.equal(body.dataSource, 'demo');
+    assert.equal(body.dataSources.marketCap, 'demo');
+    assert.equal(body.dataSources.priceHistory, 'demo');
+    assert.equal(body.history, null);
+    assert.ok(body.priceHistory.length > 0);
+  });
+
+  it('returns a one-month chart of daily closes ending at the latest close', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&range=1m');
+    const dates = body.priceHistory.map(point => point.date);
+    assert.equal(body.priceRange.range, '1M');
+    assert.equal(body.priceRange.interval, 'daily');
+    assert.equal(body.priceRange.points, dates.length);
+    assert.equal(body.priceRange.to, '2025-10-17');
+    assert.ok(body.priceRange.from > '2025-09-17');
+    assert.deepEqual(dates, [...dates].sort());
+    assert.ok(body.priceHistory.every(point => point.price === point.close && point.open > 0 && point.volume > 0));
+  });
+
+  it('computes requested indicators over the chart range', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&range=1M&indicators=sma20,rsi');
+    assert.deepEqual(Object.keys(body.technicalIndicators), ['sma20', 'rsi']);
+    const { values } = body.technicalIndicators.sma20;
+    assert.deepEqual(values.map(value => value.date), body.priceHistory.map(point => point.date));
+    // Closes before the range warm the average up
+    assert.ok(values.every(({ value }) => value !== null));
+  });
+
+  it('rejects unknown indicators', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&indicators=sma20,foo');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_indicators');
+    assert.match(body.message, /foo/);
+  });
+
+  it('reports AAPL risk metrics with a beta against SPY', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture');
+    assert.equal(body.risk.available, true);
+    assert.equal(body.risk.window, '1Y');
+    assert.equal(body.risk.period.to, '2025-10-17');
+    assert.ok(body.risk.period.from >= '2024-10-16');
+    // A year of full daily closes, not the 100-bar compact output
+    assert.ok(body.risk.period.observations > 200);
+    assert.ok(body.risk.volatility > 0);
+    assert.ok(body.risk.maxDrawdown.value <= 0);
+    assert.equal(body.risk.benchmark, 'SPY');
+    assert.ok(Number.isFinite(body.risk.beta));
+    assert.equal(body.risk.benchmarkReason, null);
+  });
+
+  it('overlays comparison symbols and explains the ones it could not load', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&range=1M&compare=SPY,aapl,ZZZZ,MSFT');
+    const { pricePerformance } = body;
+    assert.equal(pricePerformance.ticker, 'AAPL');
+    assert.deepEqual(pricePerformance.symbols.map(symbol => [symbol.ticker, symbol.available]), [['SPY', true], ['AAPL', false], ['ZZZZ', false], ['MSFT', false]]);
+    assert.equal(pricePerformance.symbols[1].error, 'Duplicate of AAPL');
+    // MSFT only has demo prices, dated around today rather than the fixture's dates
+    assert.match(pricePerformance.symbols[3].error, /does not overlap AAPL/);
+
+    // Both lines start at 100 on the same day
+    assert.equal(pricePerformance.values[0].value, 100);
+    assert.equal(pricePerformance.values[0].date, pricePerformance.startDate);
+    assert.deepEqual(pricePerformance.symbols[0].values[0], { date: pricePerformance.startDate, value: 100 });
+
+    const month = pricePerformance.periods.find(({ period }) => period === '1M');
+    assert.ok(Number.isFinite(month.returns.AAPL) && Number.isFinite(month.returns.SPY));
+    assert.equal(month.relative.SPY, Math.round((month.returns.AAPL - month.returns.SPY) * 100) / 100);
+  });
+
+  it('reads an SPY overlay on a full daily range from the risk benchmark series', async () => {
+    clearProviderCache();
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&range=6M&compare=SPY');
+    const spyCalls = body.diagnostics.calls.filter(call => call.ticker === 'SPY');
+    assert.deepEqual(spyCalls.map(call => call.call), ['TIME_SERIES_DAILY']);
+    assert.equal(body.pricePerformance.symbols[0].available, true);
+    assert.ok(Number.isFinite(body.risk.beta));
+  });
+
+  it('limits the number of comparison symbols', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&compare=A,B,C,D,E,F');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'too_many_comparisons');
+  });
+
+  it('answers chart-only requests with the price series alone', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&range=1Y&indicators=sma20&chartOnly=true&refresh=true');
+    assert.equal(status, 200);
+    assert.equal(body.priceRange.range, '1Y');
+    assert.ok(body.priceHistory.length > 0);
+    assert.ok(body.technicalIndicators.sma20);
+    assert.ok(body.pricePerformance);
+    assert.equal(body.metrics, undefined);
+    assert.equal(body.risk, undefined);
+    // No statements, quote or profile calls
+    assert.ok(body.diagnostics.calls.every(call => call.call.startsWith('TIME_SERIES_')));
+  });
+
+  it('rejects an unknown chart range', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&range=2Y');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_range');
+  });
+
+  it('drops metrics the growth profile disables', async () => {
+    const { body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture&profile=growth');
+    assert.equal(body.rules.profile, 'growth');
+    assert.ok(!body.verdicts.some(verdict => verdict.key === 'pb'));
+    assert.equal(body.verdicts.find(verdict => verdict.key === 'pe').benchmark.rangeScale, 1.3);
+  });
+
+  it('rejects an unknown profile', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&profile=momentum');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'unknown_profile');
+  });
+
+  it('rejects an unknown valuation basis', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&basis=quarterly');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_basis');
+  });
+
+  it('rejects an unknown data provider', async () => {
+    const { status, body } = await get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=nope');
+    assert.equal(status, 400);
+    assert.match(body.message, /nope/);
+  });
+});
+
+describe('POST /api/valuation', () => {
+  it('applies DCF overrides to a fixture valuation', async () => {
+    const { status, body } = await post(valuationRoute, '/api/valuation', { ticker: 'AAPL', dataProvider: 'fixture', dcf: { wacc: 12, fadeYears: 3 } });
+    assert.equal(status, 200);
+    assert.equal(body.dcf.available, true);
+    assert.equal(body.dcf.assumptions.wacc, 12);
+    assert.equal(body.dcf.assumptions.sources.wacc, 'override');
+    assert.equal(body.dcf.projection.length, body.dcf.assumptions.highGrowthYears + 3);
+  });
+
+  it('weights only the metrics custom rules enable', async () => {
+    const { body } = await post(valuationRoute, '/api/valuation', { ticker: 'AAPL', dataProvider: 'fixture', rules: { enabledMetrics: ['pe', 'dcf'], weights: { pe: 0 } } });
+    assert.equal(body.rules.customized, true);
+    assert.deepEqual(body.verdicts.map(verdict => verdict.key), ['pe', 'dcf']);
+  });
+
+  it('rejects invalid rules', async () => {
+    const { status, body } = await post(valuationRoute, '/api/valuation', { ticker: 'AAPL', dataProvider: 'fixture', rules: { rangeScale: 0 } });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_rules');
+  });
+
+  it('rejects an unknown data provider or basis the same way as GET', async () => {
+    const provider = await post(valuationRoute, '/api/valuation', { tickers: ['AAPL'], dataProvider: 'nope' });
+    assert.equal(provider.status, 400);
+    assert.equal(provider.body.error, 'unknown_provider');
+    assert.ok(provider.body.availableProviders.includes('fixture'));
+
+    const basis = await post(valuationRoute, '/api/valuation', { tickers: ['AAPL'], dataProvider: 'fixture', basis: 'weekly' });
+    assert.equal(basis.status, 400);
+    assert.equal(basis.body.error, 'invalid_basis');
+  });
+
+  it('rejects a malformed JSON body', async () => {
+    const { status } = await call(valuationRoute, 'POST', '/api/valuation', { rawBody: '{"ticker": ' });
+    assert.equal(status, 400);
+  });
+
+  it('rejects unknown DCF fields', async () => {
+    const { status, body } = await post(valuationRoute, '/api/valuation', { ticker: 'AAPL', dataProvider: 'fixture', dcf: { discount: 9 } });
+    assert.equal(status, 400);
+    assert.match(body.error, /Unknown dcf field/);
+  });
+});
+
+describe('GET /api/compare', () => {
+  it('builds a peer matrix and reports peers that could not be valued', async () => {
+    const { status, body } = await get(compareRoute, '/api/compare?tickers=AAPL,MSFT,ZZZZ&dataProvider=fixture');
+    assert.equal(status, 200);
+    assert.deepEqual(body.tickers, ['AAPL', 'MSFT']);
+    assert.match(body.companies[2].error, /Failed to fetch financial data/);
+
+    const pe = body.matrix.find(row => row.key === 'pe');
+    assert.deepEqual(Object.keys(pe.values), ['AAPL', 'MSFT']);
+    assert.deepEqual(Object.values(pe.percentiles).sort(), [0, 100]);
+
+    // Rows follow the metrics the engine judged, not a fixed list
+    const judged = new Set(body.companies.flatMap(company => (company.verdicts || []).map(verdict => verdict.key)));
+    assert.ok(body.matrix.every(row => judged.has(row.key)));
+    assert.ok(body.matrix.some(row => row.key === 'shareholderYield'));
+  });
+
+  it('skips duplicate tickers', async () => {
+    const { body } = await get(compareRoute, '/api/compare?tickers=AAPL,aapl,MSFT&dataProvider=fixture');
+    assert.deepEqual(body.tickers, ['AAPL', 'MSFT']);
+    assert.equal(body.companies[1].error, 'Duplicate of AAPL');
+  });
+
+  it('needs at least two tickers', async () => {
+    const { status } = await get(compareRoute, '/api/compare?tickers=AAPL');
+    assert.equal(status, 400);
+  });
+});
+
+describe('POST /api/valuation batches', () => {
+  const rawItem = { ev: 1000, ebitda: 100, operatingCashFlow: 80, marketCap: 900, companyName: 'Raw Co' };
+
+  it('values each item and isolates failures', async () => {
+    const { status, body } = await post(valuationRoute, '/api/valuation', {
+      dataProvider: 'fixture',
+      items: ['AAPL', rawItem, 42, { ticker: 'AAPL', basis: 'weekly' }, { companyName: 'No Numbers' }, 'ZZZZ']
+    });
+    assert.equal(status, 200);
+    assert.equal(body.dataProvider, 'fixture');
+    assert.equal(body.concurrency, 2);
+    assert.deepEqual(body.results.map(result => result.index), [0, 1, 2, 3, 4, 5]);
+    assert.deepEqual(body.results.map(result => result.status), [200, 200, 400, 400, 400, 404]);
+    assert.equal(body.results[0].result.ticker, 'AAPL');
+    assert.equal(body.results[1].result.companyName, 'Raw Co');
+    assert.match(body.results[4].error, /Missing or invalid field: ev/);
+    assert.equal(body.results[5].error, 'data_not_found');
+    assert.match(body.results[5].message, /No recorded fixture for ZZZZ/);
+    assert.equal(body.summary.total, 6);
+    assert.equal(body.summary.succeeded, 2);
+    assert.equal(body.summary.failed, 4);
+    assert.equal(Object.values(body.summary.verdicts).reduce((sum, count) => sum + count, 0), 2);
+  });
+
+  it('answers 404 for a single ticker the provider has no data for', async () => {
+    const single = await post(valuationRoute, '/api/valuation', { ticker: 'ZZZZ', dataProvider: 'fixture' });
+    assert.equal(single.status, 404);
+    assert.equal(single.body.error, 'data_not_found');
+    const lookup = await get(valuationRoute, '/api/valuation?ticker=ZZZZ&dataProvider=fixture');
+    assert.equal(lookup.status, 404);
+    assert.equal(lookup.body.error, 'data_not_found');
+  });
+
+  it('accepts a bare array of tickers', async () => {
+    const { body } = await post(valuationRoute, '/api/valuation', ['AAPL', 'MSFT']);
+    assert.deepEqual(body.results.map(result => result.input), ['AAPL', 'MSFT']);
+  });
+
+  it('validates the batch shape and concurrency', async () => {
+    assert.equal((await post(valuationRoute, '/api/valuation', { items: [] })).status, 400);
+    assert.equal((await post(valuationRoute, '/api/valuation', { items: Array(26).fill('AAPL') })).status, 400);
+    const { status, body } = await post(valuationRoute, '/api/valuation', { items: ['AAPL'], concurrency: 9 });
+    assert.equal(status, 400);
+    assert.match(body.error, /concurrency/);
+  });
+});
+
+describe('watchlist routes', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'watchlists-'));
+    process.env.WATCHLIST_DATA_FILE = path.join(dataDir, 'watchlists.json');
+  });
+
+  after(() => rm(dataDir, { recursive: true, force: true }));
+
+  it('creates, lists, renames and deletes a watchlist', async () => {
+    const created = await post(watchlistsRoute, '/api/watchlists', { name: ' Tech ', tickers: ['aapl', 'AAPL', 'msft'] });
+    assert.equal(created.status, 201);
+    const { id } = created.body.watchlist;
+    assert.equal(created.body.watchlist.name, 'Tech');
+    assert.deepEqual(created.body.watchlist.tickers, ['AAPL', 'MSFT']);
+
+    const listed = await get(watchlistsRoute, '/api/watchlists');
+    assert.deepEqual(listed.body.watchlists.map(list => list.id), [id]);
+
+    const renamed = await call(watchlistRoute, 'PATCH', `/api/watchlists/${id}`, { body: { name: 'Mega caps' }, params: { id } });
+    assert.equal(renamed.body.watchlist.name, 'Mega caps');
+
+    const deleted = await call(watchlistRoute, 'DELETE', `/api/watchlists/${id}`, { params: { id } });
+    assert.equal(deleted.body.deleted, id);
+    assert.equal((await get(watchlistRoute, `/api/watchlists/${id}`, { id })).status, 404);
+  });
+
+  it('adds and removes tickers', async () => {
+    const { body: { watchlist: { id } } } = await post(watchlistsRoute, '/api/watchlists', { name: 'Edits' });
+
+    const added = await post(watchlistTickersRoute, `/api/watchlists/${id}/tickers`, { tickers: ['nvda', 'AMD'] }, { id });
+    assert.deepEqual(added.body.watchlist.tickers, ['NVDA', 'AMD']);
+    const again = await post(watchlistTickersRoute, `/api/watchlists/${id}/tickers`, { ticker: 'NVDA' }, { id });
+    assert.deepEqual(again.body.watchlist.tickers, ['NVDA', 'AMD']);
+
+    const removed = await call(watchlistTickerRoute, 'DELETE', `/api/watchlists/${id}/tickers/nvda`, { params: { id, ticker: 'nvda' } });
+    assert.deepEqual(removed.body.watchlist.tickers, ['AMD']);
+  });
+
+  it('rejects bad names, bad tickers and overfull lists', async () => {
+    assert.equal((await post(watchlistsRoute, '/api/watchlists', { name: '  ' })).status, 400);
+    const badTicker = await post(watchlistsRoute, '/api/watchlists', { name: 'Bad', tickers: ['AAPL', 'not a ticker'] });
+    assert.equal(badTicker.status, 400);
+    assert.match(badTicker.body.error, /Invalid ticker symbol\(s\): not a ticker/);
+    assert.equal((await post(watchlistsRoute, '/api/watchlists', { name: 'Digits', tickers: ['T1'] })).status, 400);
+
+    const { body: { watchlist: { id } } } = await post(watchlistsRoute, '/api/watchlists', { name: 'Full', tickers: Array.from({ length: 50 }, (_, i) => `T${String.fromCharCode(65 + Math.floor(i / 26), 65 + (i % 26))}`) });
+    const overfull = await post(watchlistTickersRoute, `/api/watchlists/${id}/tickers`, { ticker: 'AAPL' }, { id });
+    assert.equal(overfull.status, 400);
+    assert.match(overfull.body.error, /at most 50 tickers/);
+
+    const missing = await post(watchlistTickersRoute, '/api/watchlists/nope/tickers', { ticker: 'AAPL' }, { id: 'nope' });
+    assert.equal(missing.status, 404);
+  });
+
+  it('values every ticker on the watchlist', async () => {
+    const { body: { watchlist: { id } } } = await post(watchlistsRoute, '/api/watchlists', { name: 'Valued', tickers: ['AAPL', 'ZZZZ'] });
+    const { status, body } = await get(watchlistRoute, `/api/watchlists/${id}?dataProvider=fixture&profile=growth`, { id });
+    assert.equal(status, 200);
+    assert.equal(body.rules.profile, 'growth');
+    assert.equal(body.items[0].ticker, 'AAPL');
+    assert.ok(body.items[0].verdict);
+    assert.ok(body.items[0].multiples.pe > 0);
+    assert.match(body.items[1].error, /Failed to fetch financial data/);
+
+    const invalid = await get(watchlistRoute, `/api/watchlists/${id}?basis=weekly`, { id });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'invalid_basis');
+  });
+});
+
+describe('portfolio routes', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'portfolio-'));
+    process.env.PORTFOLIO_DATA_FILE = path.join(dataDir, 'portfolio.json');
+  });
+
+  after(() => rm(dataDir, { recursive: true, force: true }));
+
+  it('adds, updates and removes holdings', async () => {
+    const added = await post(portfolioRoute, '/api/portfolio', { ticker: ' aapl ', shares: 10, costBasis: 150 });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.holding.ticker, 'AAPL');
+
+    const updated = await post(portfolioRoute, '/api/portfolio', { ticker: 'AAPL', shares: 12, costBasis: 140 });
+    assert.equal(updated.body.holding.shares, 12);
+
+    await post(portfolioRoute, '/api/portfolio', { ticker: 'ZZZZ', shares: 1, costBasis: 10 });
+    const removed = await call(holdingRoute, 'DELETE', '/api/portfolio/holdings/zzzz', { params: { ticker: 'zzzz' } });
+    assert.equal(removed.body.deleted, 'ZZZZ');
+    const missing = await call(holdingRoute, 'DELETE', '/api/portfolio/holdings/zzzz', { params: { ticker: 'zzzz' } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('rejects invalid holdings', async () => {
+    const badShares = await post(portfolioRoute, '/api/portfolio', { ticker: 'AAPL', shares: 0, costBasis: 150 });
+    assert.equal(badShares.status, 400);
+    assert.match(badShares.body.error, /shares must be a positive number/);
+    const badCost = await post(portfolioRoute, '/api/portfolio', { ticker: 'AAPL', shares: 1, costBasis: '150' });
+    assert.equal(badCost.status, 400);
+  });
+
+  it('values the holdings into totals and a verdict', async () => {
+    await post(portfolioRoute, '/api/portfolio', { ticker: 'MSFT', shares: 5, costBasis: 300 });
+    await post(portfolioRoute, '/api/portfolio', { ticker: 'ZZZZ', shares: 1, costBasis: 10 });
+    const { status, body } = await get(portfolioRoute, '/api/portfolio?dataProvider=fixture');
+    assert.equal(status, 200);
+    assert.deepEqual(body.positions.map(position => position.ticker), ['AAPL', 'MSFT', 'ZZZZ']);
+    assert.match(body.positions[2].error, /Failed to fetch financial data/);
+
+    const [aapl, msft] = body.positions;
+    assert.equal(aapl.dataSource, 'live');
+    assert.equal(msft.dataSource, 'demo');
+    assert.equal(body.totals.marketValue, aapl.marketValue + msft.marketValue);
+    assert.ok(Math.abs(aapl.weight + msft.weight - 100) < 1e-9);
+    assert.ok(body.overall.verdict);
+  });
+
+  it('uses the same fair value per share as the ticker page', async () => {
+    const [{ body: portfolio }, { body: valuation }] = await Promise.all([
+      get(portfolioRoute, '/api/portfolio?dataProvider=fixture'),
+      get(valuationRoute, '/api/valuation?ticker=AAPL&dataProvider=fixture')
+    ]);
+    const aapl = portfolio.positions.find(position => position.ticker === 'AAPL');
+    assert.equal(aapl.fairValuePerShare, valuation.priceTargets.fairValue);
+  });
+
+  it('answers 400 to adds racing for the last free slot', async () => {
+    const holdings = Array.from({ length: 49 }, (_, i) => ({ ticker: `T${String.fromCharCode(65 + Math.floor(i / 26), 65 + (i % 26))}`, shares: 1, costBasis: 1, updatedAt: '2025-01-01T00:00:00.000Z' }));
+    await writeFile(process.env.PORTFOLIO_DATA_FILE, JSON.stringify({ holdings }));
+
+    const results = await Promise.all(['NEWA', 'NEWB'].map(ticker => post(portfolioRoute, '/api/portfolio', { ticker, shares: 1, costBasis: 1 })));
+    assert.deepEqual(results.map(({ status }) => status).sort(), [200, 400]);
+    assert.match(results.find(({ status }) => status === 400).body.error, /at most 50 positions/);
+
+    const updated = await post(portfolioRoute, '/api/portfolio', { ticker: 'TAA', shares: 2, costBasis: 1 });
+    assert.equal(updated.status, 200);
+  });
+});
+
+describe('malformed request bodies', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await mkdtemp(path.join(tmpdir(), 'bodies-'));
+    process.env.WATCHLIST_DATA_FILE = path.join(dataDir, 'watchlists.json');
+    process.env.PORTFOLIO_DATA_FILE = path.join(dataDir, 'portfolio.json');
+  });
+
+  after(() => rm(dataDir, { recursive: true, force: true }));
+
+  const cases = [
+    ['POST /api/watchlists', watchlistsRoute, 'POST', '/api/watchlists'],
+    ['PATCH /api/watchlists/[id]', watchlistRoute, 'PATCH', '/api/watchlists/x', { id: 'x' }],
+    ['POST /api/watchlists/[id]/tickers', watchlistTickersRoute, 'POST', '/api/watchlists/x/tickers', { id: 'x' }],
+    ['POST /api/portfolio', portfolioRoute, 'POST', '/api/portfolio']
+  ];
+
+  for (const [name, route, method, url, params] of cases) {
+    it(`${name} answers 400 for broken JSON and non-object bodies`, async () => {
+      for (const rawBody of ['{"name": ', '[]', '42']) {
+        const { status, body } = await call(route, method, url, { rawBody, params });
+        assert.equal(status, 400, rawBody);
+        assert.equal(body.error, 'Invalid JSON body');
+      }
+    });
+  }
+});
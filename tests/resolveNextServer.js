@@ -0,0 +1,14 @@
+/**
+ * Module resolve hook for the integration tests
+ *
+ * Next.js resolves the extensionless `next/server` import inside its own
+ * bundler; plain Node needs the file name, so route modules can be imported
+ * and called directly.
+ */
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'next/server') {
+    return nextResolve('next/server.js', context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,1278 @@
+/**
+ * Unit Tests
+ *
+ * Pure calculations and small stateful helpers, with no network: upstream
+ * responses are stubbed in place of the HTTP loaders.
+ *
+ * Run with `npm run test:unit` (node:test).
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createServer } from 'node:http';
+import assert from 'node:assert/strict';
+
+import { getDataProvider, isDataProvider, getAvailableDataProviders } from '../lib/providers/index.js';
+import { createAlphaVantageProvider } from '../lib/providers/alphaVantage.js';
+import { calculateGrowth, calculateCagr, buildFinancialHistory } from '../lib/financialHistory.js';
+import { calculateDcf, runDcfValuation, validateDcfOverrides } from '../lib/dcfValuation.js';
+import { getSectorBenchmarks, judgeAgainstBenchmark, listBenchmarkSets } from '../lib/sectorBenchmarks.js';
+import { resolveValuationRules, validateValuationRules, listValuationProfiles } from '../lib/valuationProfiles.js';
+import { calculateMedian, calculateMean, calculatePercentileRank, listPeerMetrics, buildPeerMatrix } from '../lib/peerComparison.js';
+import { summarizeDataSources, calculateValuationMetrics } from '../lib/valuationEngine.js';
+import { mapWithConcurrency } from '../lib/asyncUtils.js';
+import { createJsonFileStore } from '../lib/jsonFileStore.js';
+import { buildPosition, summarizePortfolio } from '../lib/portfolioValuation.js';
+import { cachedFetch, createCachedProvider, clearProviderCache, getProviderCacheStats, CACHE_TTL_MS } from '../lib/providers/cache.js';
+import { createQuotaManager, isQuotaExceededError } from '../lib/providers/alphaVantageQuota.js';
+import { fetchJson, isTransientError, getBackoffDelay, createDiagnosticsCollector, createResilientLoader } from '../lib/providers/resilience.js';
+import { getSingleFlightGroup, getCoalescingStats } from '../lib/singleFlight.js';
+import { parseBalanceSheetClaims, resolveMarketCap, buildEnterpriseValueBridge } from '../lib/enterpriseValue.js';
+import { calculatePiotroskiScore, calculateAltmanZScore, calculateBeneishMScore } from '../lib/qualityScores.js';
+import { buildPriceTargets, calculateUpside } from '../lib/priceTargets.js';
+import { isPriceRange, getRangeCutoff, getPriceRangeSettings, selectRangeBars, describePriceHistory } from '../lib/priceRanges.js';
+import { TECHNICAL_INDICATOR_NAMES, parseIndicatorList, calculateSma, calculateEma, calculateRsi, calculateMacd, calculateBollingerBands, calculateRange52w, calculateIndicators, getIndicatorWarmUp } from '../lib/technicalIndicators.js';
+import { calculateDailyReturns, calculateMaxDrawdown, calculateBeta, calculateValueAtRisk, calculateRiskMetrics } from '../lib/riskMetrics.js';
+import { parseComparisonSymbols, getCommonStartDate, rebaseSeries, getPerformancePeriods, calculatePeriodReturn, buildPricePerformance } from '../lib/pricePerformance.js';
+import { resolveValuationOptions, getResolverName } from '../lib/requestOptions.js';
+import { getFixturePath } from '../lib/providers/fixture.js';
+import { sumQuarterlyReports, buildTtmReports, selectStatementReports } from '../lib/trailingTwelveMonths.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday bars ending on `lastDate`, oldest first, with closes from `closeAt(i)`
+function makeDailyBars(count, closeAt, lastDate = '2025-10-17') {
+  const dates = [];
+  for (let time = Date.parse(`${lastDate}T00:00:00Z`); dates.length < count; time -= DAY_MS) {
+    const day = new Date(time).getUTCDay();
+    if (day !== 0 && day !== 6) dates.unshift(new Date(time).toISOString().slice(0, 10));
+  }
+  return dates.map((date, i) => ({ date, close: closeAt(i) }));
+}
+
+describe('data provider registry', () => {
+  it('recognises registered providers case-insensitively', () => {
+    assert.deepEqual(getAvailableDataProviders(), ['live', 'alphavantage', 'fixture']);
+    assert.equal(isDataProvider('Fixture'), true);
+    assert.equal(isDataProvider('finnhub'), false);
+    assert.equal(isDataProvider(null), false);
+  });
+
+  it('falls back to FINANCIAL_DATA_PROVIDER, then live', () => {
+    const saved = process.env.FINANCIAL_DATA_PROVIDER;
+    try {
+      delete process.env.FINANCIAL_DATA_PROVIDER;
+      assert.equal(getDataProvider().name, 'live');
+      process.env.FINANCIAL_DATA_PROVIDER = 'fixture';
+      assert.equal(getDataProvider().name, 'fixture');
+      assert.equal(getDataProvider('alphavantage').name, 'alphavantage');
+    } finally {
+      if (saved === undefined) delete process.env.FINANCIAL_DATA_PROVIDER;
+      else process.env.FINANCIAL_DATA_PROVIDER = saved;
+    }
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => getDataProvider('finnhub'), /Unknown data provider "finnhub"/);
+  });
+});
+
+describe('Alpha Vantage provider', () => {
+  it('parses a quote from a stubbed response', async () => {
+    const provider = createAlphaVantageProvider({
+      load: async () => ({
+        'Global Quote': {
+          '02. open': '10', '03. high': '12', '04. low': '9', '05. price': '11',
+          '06. volume': '1000', '07. latest trading day': '2025-10-17',
+          '08. previous close': '10', '09. change': '1', '10. change percent': '10%'
+        }
+      })
+    });
+    const quote = await provider.fetchQuote('TEST');
+    assert.equal(quote.price, 11);
+    assert.equal(quote.changePercent, 10);
+    assert.equal(quote.volume, 1000);
+  });
+
+  it('parses weekly OHLCV bars, newest first', async () => {
+    const calls = [];
+    const provider = createAlphaVantageProvider({
+      load: async (fn, ticker, params) => {
+        calls.push([fn, params]);
+        return {
+          'Weekly Time Series': {
+            '2025-10-17': { '1. open': '10', '2. high': '12', '3. low': '9', '4. close': '11', '5. volume': '1000' },
+            '2025-10-10': { '1. open': '9', '2. high': '10.5', '3. low': '8.5', '4. close': '10', '5. volume': '900' }
+          }
+        };
+      }
+    });
+    const bars = await provider.fetchPriceHistory('TEST', { interval: 'weekly', outputSize: 'full' });
+    assert.deepEqual(calls, [['TIME_SERIES_WEEKLY', {}]]);
+    assert.deepEqual(bars[0], { date: '2025-10-17', open: 10, high: 12, low: 9, close: 11, volume: 1000 });
+    assert.equal(bars[1].date, '2025-10-10');
+    await assert.rejects(provider.fetchPriceHistory('TEST', { interval: 'hourly' }), /Unknown price interval/);
+  });
+
+  it('surfaces rate limit notes as errors', async () => {
+    const provider = createAlphaVantageProvider({ load: async () => ({ Note: 'Thank you for using Alpha Vantage!' }) });
+    await assert.rejects(provider.fetchQuote('TEST'), /Alpha Vantage API: Thank you/);
+  });
+});
+
+describe('financial history', () => {
+  // Annual income statements, newest first as Alpha Vantage returns them
+  const statements = {
+    income: {
+      annualReports: [
+        { fiscalDateEnding: '2024-09-30', totalRevenue: '121', netIncome: '8', ebitda: 'None' },
+        { fiscalDateEnding: '2023-09-30', totalRevenue: '110', netIncome: '9', ebitda: '20' },
+        { fiscalDateEnding: '2022-09-30', totalRevenue: '100', netIncome: '10', ebitda: '18' }
+      ]
+    },
+    balance: {
+      annualReports: [
+        { fiscalDateEnding: '2024-09-30', totalLiabilities: '50' },
+        { fiscalDateEnding: '2022-09-30', totalLiabilities: '50' }
+      ]
+    },
+    cashFlow: { annualReports: [] }
+  };
+
+  it('computes growth and CAGR only from positive bases', () => {
+    assert.equal(calculateGrowth(100, 110), 10);
+    assert.equal(calculateGrowth(0, 10), null);
+    assert.equal(calculateCagr(100, 121, 2).toFixed(6), '10.000000');
+    assert.equal(calculateCagr(-5, 10, 2), null);
+  });
+
+  it('aligns statements by fiscal year, oldest first', () => {
+    const history = buildFinancialHistory(statements);
+    assert.deepEqual(history.years.map(year => year.fiscalYear), ['2022', '2023', '2024']);
+    assert.equal(history.years[1].totalLiabilities, null);
+    assert.equal(history.years[2].ebitda, null);
+    assert.equal(history.periodYears, 2);
+    assert.equal(history.yoyGrowth[0].revenue, 10);
+  });
+
+  it('labels trends from the CAGR, inverting liabilities', () => {
+    const { cagr, trends } = buildFinancialHistory(statements);
+    assert.equal(cagr.revenue.toFixed(6), '10.000000');
+    assert.equal(trends.revenue, 'improving');
+    assert.equal(trends.netIncome, 'deteriorating');
+    assert.equal(trends.totalLiabilities, 'stable');
+    // 2024 EBITDA is 'None', so its CAGR runs 2022-2023
+    assert.equal(cagr.ebitda.toFixed(6), '11.111111');
+    assert.equal(cagr.operatingCashFlow, null);
+  });
+
+  it('returns null without reports', () => {
+    assert.equal(buildFinancialHistory({}), null);
+  });
+});
+
+describe('trailing twelve months', () => {
+  const quarter = (fiscalDateEnding, fields) => ({ fiscalDateEnding, reportedCurrency: 'USD', ...fields });
+  const quarterEnds = ['2025-06-30', '2025-03-31', '2024-12-31', '2024-09-30'];
+  const statements = {
+    income: {
+      annualReports: [quarter('2024-09-30', { totalRevenue: '350' })],
+      quarterlyReports: quarterEnds.map((date, i) => quarter(date, { totalRevenue: String(100 - i * 10), netIncome: '20' }))
+    },
+    balance: {
+      annualReports: [quarter('2024-09-30', { totalAssets: '900' })],
+      quarterlyReports: [quarter('2025-06-30', { totalAssets: '1000' })]
+    },
+    cashFlow: {
+      annualReports: [quarter('2024-09-30', { operatingCashflow: '80' })],
+      quarterlyReports: quarterEnds.map(date => quarter(date, { operatingCashflow: '25' }))
+    }
+  };
+
+  it('sums flow items over four quarters and keeps missing fields as None', () => {
+    const summed = sumQuarterlyReports([
+      quarter('2025-06-30', { totalRevenue: '10', ebitda: '5' }),
+      quarter('2025-03-31', { totalRevenue: '20', ebitda: 'None' })
+    ]);
+    assert.equal(summed.fiscalDateEnding, '2025-06-30');
+    assert.equal(summed.totalRevenue, '30');
+    assert.equal(summed.ebitda, 'None');
+  });
+
+  it('builds TTM reports with the latest quarterly balance sheet', () => {
+    const { reports, quarterEnds: ends } = buildTtmReports(statements);
+    assert.equal(reports.income.totalRevenue, '340');
+    assert.equal(reports.cashFlow.operatingCashflow, '100');
+    assert.equal(reports.balance.totalAssets, '1000');
+    assert.deepEqual(ends, quarterEnds);
+  });
+
+  it('rejects quarters that are not consecutive', () => {
+    const gapped = {
+      ...statements,
+      income: { ...statements.income, quarterlyReports: statements.income.quarterlyReports.map((report, i) => (i === 3 ? { ...report, fiscalDateEnding: '2024-03-31' } : report)) }
+    };
+    assert.match(buildTtmReports(gapped).error, /not consecutive/);
+  });
+
+  it('falls back to the annual reports when TTM cannot be built', () => {
+    const missingQuarters = { ...statements, cashFlow: { ...statements.cashFlow, quarterlyReports: [] } };
+    const { reports, basis } = selectStatementReports(missingQuarters, 'ttm');
+    assert.equal(basis.applied, 'annual');
+    assert.match(basis.fallbackReason, /cash flow reports do not match/);
+    assert.equal(reports.income.totalRevenue, '350');
+  });
+});
+
+describe('DCF', () => {
+  const assumptions = {
+    freeCashFlow: 100,
+    growthRate: 10,
+    highGrowthYears: 1,
+    fadeYears: 0,
+    terminalGrowthRate: 2,
+    exitMultiple: null,
+    wacc: 10,
+    netDebt: 75,
+    sharesOutstanding: 10
+  };
+
+  it('discounts the projection and a perpetuity-growth terminal value', () => {
+    const result = calculateDcf(assumptions);
+    // Year 1 FCF 110 discounted at 10% is 100; terminal value 110 × 1.02 / 0.08 = 1402.5, worth 1275 today
+    assert.equal(result.terminalMethod, 'perpetuityGrowth');
+    assert.ok(Math.abs(result.presentValueOfCashFlows - 100) < 1e-9);
+    assert.ok(Math.abs(result.terminalValue - 1402.5) < 1e-9);
+    assert.ok(Math.abs(result.enterpriseValue - 1375) < 1e-9);
+    assert.ok(Math.abs(result.equityValue - 1300) < 1e-9);
+    assert.ok(Math.abs(result.fairValuePerShare - 130) < 1e-9);
+  });
+
+  it('uses an exit multiple of final-year FCF when one is given', () => {
+    const result = calculateDcf({ ...assumptions, exitMultiple: 10 });
+    assert.equal(result.terminalMethod, 'exitMultiple');
+    assert.ok(Math.abs(result.presentValueOfTerminalValue - 1000) < 1e-9);
+  });
+
+  it('fades growth linearly to the terminal rate', () => {
+    const { projection } = calculateDcf({ ...assumptions, highGrowthYears: 1, fadeYears: 2 });
+    assert.deepEqual(projection.map(year => year.stage), ['high growth', 'fade', 'fade']);
+    assert.deepEqual(projection.map(year => year.growthRate), [10, 6, 2]);
+  });
+
+  it('refuses a WACC at or below the terminal growth rate', () => {
+    assert.throws(() => calculateDcf({ ...assumptions, wacc: 2 }), /must exceed the terminal growth rate/);
+  });
+
+  it('derives free cash flow as operating cash flow less capex', () => {
+    const data = { operatingCashFlow: 100, capitalExpenditures: 30, marketCap: 1000, sharesOutstanding: 10 };
+    const { assumptions } = runDcfValuation(data);
+    assert.equal(assumptions.freeCashFlow, 70);
+    assert.equal(assumptions.sources.freeCashFlow, 'derived');
+    assert.equal(runDcfValuation(data, { freeCashFlow: 50 }).assumptions.sources.freeCashFlow, 'override');
+  });
+
+  it('subtracts capex reported as a negative outflow', () => {
+    const { assumptions } = runDcfValuation({ operatingCashFlow: 100, capitalExpenditures: -30, marketCap: 1000, sharesOutstanding: 10 });
+    assert.equal(assumptions.freeCashFlow, 70);
+  });
+
+  it('is unavailable when free cash flow is not positive', () => {
+    const result = runDcfValuation({ operatingCashFlow: 10, capitalExpenditures: 20, marketCap: 1000 });
+    assert.equal(result.available, false);
+    assert.match(result.reason, /Free cash flow is not positive/);
+  });
+
+  it('validates overrides', () => {
+    assert.equal(validateDcfOverrides({ wacc: 9, growthRate: '5' }), null);
+    assert.match(validateDcfOverrides({ discount: 9 }), /Unknown dcf field: discount/);
+    assert.match(validateDcfOverrides({ fadeYears: 2.5 }), /whole number of years/);
+  });
+});
+
+describe('sector benchmarks', () => {
+  it('matches Finnhub industries case-insensitively', () => {
+    const benchmarks = getSectorBenchmarks(' semiconductors ');
+    assert.equal(benchmarks.name, 'technology');
+    assert.equal(benchmarks.matched, true);
+    assert.deepEqual(benchmarks.ranges.pe, { low: 20, high: 35 });
+  });
+
+  it('falls back to market-wide ranges for unknown sectors', () => {
+    const benchmarks = getSectorBenchmarks('Shipping');
+    assert.equal(benchmarks.name, 'default');
+    assert.equal(benchmarks.matched, false);
+    assert.equal(benchmarks.sector, 'Shipping');
+    assert.equal(getSectorBenchmarks(null).sector, null);
+  });
+
+  it('judges multiples low-is-cheap and yields high-is-cheap', () => {
+    const tech = getSectorBenchmarks('Technology');
+    assert.equal(judgeAgainstBenchmark('pe', 18, tech).verdict, 'undervalued');
+    assert.equal(judgeAgainstBenchmark('pe', 30, tech).verdict, 'fairly valued');
+    assert.equal(judgeAgainstBenchmark('pe', 40, tech).verdict, 'overvalued');
+    assert.equal(judgeAgainstBenchmark('fcfYield', 5, tech).verdict, 'undervalued');
+    assert.equal(judgeAgainstBenchmark('fcfYield', 1, tech).verdict, 'overvalued');
+    assert.deepEqual(judgeAgainstBenchmark('pe', 30, tech).benchmark, { set: 'technology', label: 'Technology', low: 20, high: 35, rangeScale: 1 });
+  });
+
+  it('scales ranges, inverting the scale for yields', () => {
+    const tech = getSectorBenchmarks('Technology');
+    assert.deepEqual(judgeAgainstBenchmark('pe', 40, tech, { rangeScale: 1.3 }).benchmark, { set: 'technology', label: 'Technology', low: 26, high: 45.5, rangeScale: 1.3 });
+    assert.equal(judgeAgainstBenchmark('pe', 40, tech, { rangeScale: 1.3 }).verdict, 'fairly valued');
+    assert.equal(judgeAgainstBenchmark('fcfYield', 2, tech, { rangeScale: 2 }).benchmark.high, 2);
+  });
+
+  it('prefers an override range over the sector range', () => {
+    const { verdict, benchmark } = judgeAgainstBenchmark('pe', 12, getSectorBenchmarks('Technology'), { rangeScale: 0.7, override: { low: 10, high: 15 }, overrideLabel: 'Deep Value profile' });
+    assert.equal(verdict, 'fairly valued');
+    assert.deepEqual(benchmark, { set: 'profile', label: 'Deep Value profile', low: 10, high: 15, rangeScale: 1 });
+  });
+
+  it('lists the default set first', () => {
+    const sets = listBenchmarkSets();
+    assert.equal(sets[0].name, 'default');
+    assert.ok(sets.some(set => set.name === 'realEstate'));
+  });
+});
+
+describe('valuation rule profiles', () => {
+  it('resolves the balanced default profile', () => {
+    const rules = resolveValuationRules();
+    assert.equal(rules.profile, 'default');
+    assert.equal(rules.customized, false);
+    assert.equal(rules.weights.dcf, 1.5);
+    assert.equal(rules.majorityCutoff, 0.5);
+    assert.deepEqual(listValuationProfiles().map(profile => profile.name), ['default', 'conservative', 'growth', 'deep-value']);
+  });
+
+  it('layers custom rules over their base profile', () => {
+    const rules = resolveValuationRules({ profile: 'growth', rules: { profile: 'deep-value', weights: { pe: 3 }, thresholds: { pb: { low: 0.5, high: 1 } } } });
+    assert.equal(rules.profile, 'deep-value');
+    assert.equal(rules.customized, true);
+    assert.equal(rules.weights.pe, 3);
+    assert.equal(rules.weights.pb, 1.5);
+    assert.deepEqual(rules.thresholds, { pe: { low: 10, high: 15 }, pb: { low: 0.5, high: 1 } });
+    assert.ok(!rules.enabledMetrics.includes('cashFlowMultiple'));
+  });
+
+  it('rejects malformed rules', () => {
+    assert.equal(validateValuationRules({ profile: 'growth', rangeScale: 1.2 }), null);
+    assert.match(validateValuationRules({ weight: {} }), /Unknown rules field: weight/);
+    assert.match(validateValuationRules({ profile: 'momentum' }), /Unknown profile "momentum"/);
+    assert.match(validateValuationRules({ weights: { pe: -1 } }), /non-negative/);
+    assert.match(validateValuationRules({ thresholds: { dcf: { low: 1, high: 2 } } }), /not supported/);
+    assert.match(validateValuationRules({ thresholds: { pe: { low: 20, high: 10 } } }), /low <= high/);
+    assert.match(validateValuationRules({ majorityCutoff: 1 }), /majorityCutoff/);
+  });
+});
+
+describe('data source labels', () => {
+  it('summarizes per-field sources, ignoring missing ones', () => {
+    assert.equal(summarizeDataSources({ marketCap: 'live', history: null }), 'live');
+    assert.equal(summarizeDataSources({ marketCap: 'live', ebitda: 'demo' }), 'mixed');
+    assert.equal(summarizeDataSources({ history: null }), null);
+  });
+});
+
+describe('peer comparison', () => {
+  it('computes median, mean and percentile ranks with shared ties', () => {
+    assert.equal(calculateMedian([3, 1, 2, 10]), 2.5);
+    assert.equal(calculateMedian([]), null);
+    assert.equal(calculateMean([1, 2, 6]), 3);
+    assert.equal(calculatePercentileRank(1, [1, 2, 3]), 0);
+    assert.equal(calculatePercentileRank(3, [1, 2, 3]), 100);
+    assert.equal(calculatePercentileRank(2, [1, 2, 2, 3]), 50);
+    assert.equal(calculatePercentileRank(2, [2]), null);
+  });
+
+  const verdicts = [
+    { key: 'fcfYield', metric: 'FCF Yield', value: '5.00%' },
+    { key: 'pe', metric: 'P/E Ratio', value: '10.00' },
+    { key: 'cashFlowMultiple', metric: 'Cash Flow Multiple', value: '$1.00B - $2.00B' }
+  ];
+
+  it('compares the numeric metrics judged for any company, in engine order', () => {
+    const peerMetrics = listPeerMetrics([
+      { metrics: { pe: 10, fcfYield: 5 }, verdicts },
+      { metrics: { pb: 2 }, verdicts: [{ key: 'pb', metric: 'P/B Ratio', value: '2.00' }] },
+      { error: 'Failed to fetch financial data' }
+    ]);
+    assert.deepEqual(peerMetrics, [
+      { key: 'pe', label: 'P/E Ratio', higherIsCheaper: false },
+      { key: 'pb', label: 'P/B Ratio', higherIsCheaper: false },
+      { key: 'fcfYield', label: 'FCF Yield (%)', higherIsCheaper: true }
+    ]);
+  });
+
+  it('ranks each metric across the companies that have it', () => {
+    const matrix = buildPeerMatrix([
+      { ticker: 'AAA', metrics: { pe: 10, fcfYield: 5 }, verdicts },
+      { ticker: 'BBB', metrics: { pe: 30, fcfYield: Infinity }, verdicts },
+      { ticker: 'CCC', metrics: { pe: 20 }, verdicts }
+    ]);
+    const pe = matrix.find(row => row.key === 'pe');
+    assert.deepEqual(pe.values, { AAA: 10, BBB: 30, CCC: 20 });
+    assert.equal(pe.median, 20);
+    assert.deepEqual(pe.percentiles, { AAA: 0, BBB: 100, CCC: 50 });
+
+    const fcfYield = matrix.find(row => row.key === 'fcfYield');
+    assert.equal(fcfYield.higherIsCheaper, true);
+    assert.deepEqual(fcfYield.values, { AAA: 5, BBB: null, CCC: null });
+    assert.deepEqual(fcfYield.percentiles, { AAA: null, BBB: null, CCC: null });
+  });
+});
+
+describe('bounded concurrency', () => {
+  it('keeps input order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return `${index}:${delay}`;
+    });
+    assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:0', '4:5']);
+    assert.equal(peak, 2);
+  });
+});
+
+describe('JSON file store', () => {
+  it('serializes concurrent updates and skips the write when a mutation throws', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'json-store-'));
+    const file = path.join(dir, 'nested', 'items.json');
+    const store = createJsonFileStore({ getFile: () => file, createEmpty: () => ({ items: [] }), label: 'items' });
+    try {
+      assert.deepEqual(await store.read(), { items: [] });
+
+      await Promise.all([1, 2, 3].map(n => store.update(contents => contents.items.push(n))));
+      await assert.rejects(store.update(contents => {
+        contents.items.push(4);
+        throw new Error('too many items');
+      }), /too many items/);
+      assert.equal(await store.update(contents => contents.items.length), 3);
+
+      assert.deepEqual(JSON.parse(await readFile(file, 'utf8')), { items: [1, 2, 3] });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('portfolio valuation', () => {
+  // The parts of a valueTicker result that positions use
+  const valuation = (price, verdict, confidence, fairValuePerShare = null) => ({
+    companyName: 'Test Co',
+    dataSource: 'live',
+    rawData: { price },
+    // The DCF alone would give a different fair value; positions use the price targets
+    dcf: { available: true, fairValuePerShare: 1 },
+    priceTargets: fairValuePerShare === null ? { available: false } : { available: true, fairValue: fairValuePerShare },
+    overall: { verdict, confidence }
+  });
+
+  it('values a position at the current price and the price-target fair value', () => {
+    const position = buildPosition({ ticker: 'AAA', shares: 10, costBasis: 50 }, valuation(60, 'undervalued', 70, 90));
+    assert.equal(position.marketValue, 600);
+    assert.equal(position.unrealizedGain, 100);
+    assert.equal(position.unrealizedGainPercent, 20);
+    assert.equal(position.fairValue, 900);
+    assert.equal(position.upsidePercent, 50);
+  });
+
+  it('reports a holding without a price as an error position', () => {
+    const position = buildPosition({ ticker: 'AAA', shares: 10, costBasis: 50 }, valuation(null, 'undervalued', 70));
+    assert.equal(position.error, 'No share price available');
+    assert.equal(position.costValue, 500);
+  });
+
+  it('weights positions and the verdict by market value', () => {
+    const positions = [
+      buildPosition({ ticker: 'AAA', shares: 10, costBasis: 50 }, valuation(60, 'undervalued', 70, 90)),
+      buildPosition({ ticker: 'BBB', shares: 4, costBasis: 100 }, valuation(100, 'overvalued', 80)),
+      { ticker: 'CCC', shares: 1, costBasis: 10, costValue: 10, error: 'Failed to fetch financial data' }
+    ];
+    const { positions: weighted, totals, overall, rankings } = summarizePortfolio(positions);
+
+    assert.equal(weighted[0].weight, 60);
+    assert.equal(weighted[1].weight, 40);
+    assert.equal(weighted[2].weight, undefined);
+    assert.equal(totals.marketValue, 1000);
+    assert.equal(totals.costValue, 900);
+    assert.equal(totals.fairValue, 900);
+    assert.equal(totals.fairValueCoverage, 60);
+    assert.equal(totals.upsidePercent, 50);
+    assert.equal(overall.verdict, 'undervalued');
+    assert.equal(overall.confidence, 60);
+    assert.deepEqual(rankings, { mostUndervalued: ['AAA'], mostOvervalued: ['BBB'] });
+  });
+
+  it('leaves holdings without a verdict out of the portfolio verdict', () => {
+    const positions = [
+      buildPosition({ ticker: 'AAA', shares: 10, costBasis: 50 }, valuation(30, 'undervalued', 70)),
+      buildPosition({ ticker: 'BBB', shares: 10, costBasis: 50 }, valuation(70, 'insufficient data', 0))
+    ];
+    const { totals, overall } = summarizePortfolio(positions);
+    assert.equal(overall.verdict, 'undervalued');
+    assert.equal(overall.confidence, 100);
+    assert.equal(totals.verdictCoverage, 30);
+  });
+
+  it('has no verdict for an empty portfolio', () => {
+    const { totals, overall } = summarizePortfolio([]);
+    assert.equal(totals.marketValue, 0);
+    assert.equal(totals.fairValue, null);
+    assert.equal(overall.verdict, 'insufficient data');
+  });
+});
+
+describe('provider cache', () => {
+  beforeEach(() => clearProviderCache());
+
+  // Run `fn` with Date.now moved `offsetMs` into the future
+  async function later(offsetMs, fn) {
+    const realNow = Date.now;
+    Date.now = () => realNow() + offsetMs;
+    try {
+      return await fn();
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  it('serves repeat calls from memory', async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+    assert.equal((await cachedFetch('test:hit', 'quote', fetcher)).status, 'miss');
+    const { value, status } = await cachedFetch('test:hit', 'quote', fetcher);
+    assert.equal(status, 'hit');
+    assert.equal(value, 1);
+    assert.equal((await cachedFetch('test:hit', 'quote', fetcher, { forceRefresh: true })).status, 'bypass');
+  });
+
+  it('serves stale entries while refreshing them in the background', async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+    await cachedFetch('test:stale', 'quote', fetcher);
+
+    const stale = await later(CACHE_TTL_MS.quote + 1, () => cachedFetch('test:stale', 'quote', fetcher));
+    assert.equal(stale.status, 'stale');
+    assert.equal(stale.value, 1);
+
+    await new Promise(resolve => setImmediate(resolve));
+    const refreshed = await later(CACHE_TTL_MS.quote + 1, () => cachedFetch('test:stale', 'quote', fetcher));
+    assert.equal(refreshed.status, 'hit');
+    assert.equal(refreshed.value, 2);
+  });
+
+  it('refetches entries far past their TTL and never caches failures', async () => {
+    await cachedFetch('test:expired', 'quote', async () => 'old');
+    const expired = await later(CACHE_TTL_MS.quote * 10, () => cachedFetch('test:expired', 'quote', async () => 'new'));
+    assert.deepEqual([expired.status, expired.value], ['miss', 'new']);
+
+    await assert.rejects(cachedFetch('test:failed', 'quote', async () => { throw new Error('upstream down'); }), /upstream down/);
+    assert.equal((await cachedFetch('test:failed', 'quote', async () => 'ok')).status, 'miss');
+  });
+
+  it('evicts the least recently used entry once over the cap', async () => {
+    const previous = process.env.DATA_CACHE_MAX_ENTRIES;
+    process.env.DATA_CACHE_MAX_ENTRIES = '2';
+    try {
+      const evictionsBefore = getProviderCacheStats().evictions;
+      await cachedFetch('test:a', 'quote', async () => 'a');
+      await cachedFetch('test:b', 'quote', async () => 'b');
+      await cachedFetch('test:a', 'quote', async () => 'a');
+      await cachedFetch('test:c', 'quote', async () => 'c');
+
+      assert.equal(getProviderCacheStats().evictions - evictionsBefore, 1);
+      assert.equal((await cachedFetch('test:a', 'quote', async () => 'a')).status, 'hit');
+      assert.equal((await cachedFetch('test:b', 'quote', async () => 'b')).status, 'miss');
+    } finally {
+      if (previous === undefined) delete process.env.DATA_CACHE_MAX_ENTRIES;
+      else process.env.DATA_CACHE_MAX_ENTRIES = previous;
+    }
+  });
+
+  it('shares one series between the risk benchmark and a chart, fresh for longer as a benchmark', async () => {
+    let calls = 0;
+    const provider = createCachedProvider({ name: 'stub', fetchPriceHistory: async () => [{ date: '2025-10-17', close: ++calls }] });
+    await provider.fetchBenchmarkHistory('SPY', { outputSize: 'full' });
+    assert.deepEqual(await provider.fetchPriceHistory('SPY', { outputSize: 'full' }), [{ date: '2025-10-17', close: 1 }]);
+    assert.equal(provider.cacheStatus.priceHistory.status, 'hit');
+    assert.equal(calls, 1);
+
+    // Past the chart TTL, but long before the entry would be dropped as a chart series
+    await later(CACHE_TTL_MS.priceHistory * 20, async () => {
+      await provider.fetchPriceHistory('AAPL', { outputSize: 'full' });
+      await provider.fetchBenchmarkHistory('SPY', { outputSize: 'full' });
+      assert.equal(provider.cacheStatus.benchmarkHistory.status, 'hit');
+    });
+    assert.equal(calls, 2);
+  });
+
+  it('shares one fetch between concurrent misses', async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+    const results = await Promise.all([cachedFetch('test:shared', 'quote', fetcher), cachedFetch('test:shared', 'quote', fetcher)]);
+    assert.deepEqual(results.map(({ value, status }) => [value, status]), [[1, 'miss'], [1, 'miss']]);
+    assert.equal(calls, 1);
+  });
+
+  it('drops expired entries when a new one is written', async () => {
+    await cachedFetch('test:old', 'quote', async () => 'old');
+    await later(CACHE_TTL_MS.quote * 10, () => cachedFetch('test:new', 'quote', async () => 'new'));
+    assert.equal(getProviderCacheStats().size, 1);
+  });
+});
+
+describe('quota manager', () => {
+  const createClock = (iso) => {
+    let time = Date.parse(iso);
+    return { now: () => time, advance: (ms) => { time += ms; } };
+  };
+
+  it('rotates keys round-robin', async () => {
+    const clock = createClock('2025-01-01T12:00:00Z');
+    const quota = createQuotaManager({ keys: ['a', 'b'], now: clock.now });
+    const used = [];
+    for (let i = 0; i < 4; i++) used.push(await quota.schedule(async key => key));
+    assert.deepEqual(used, ['a', 'b', 'a', 'b']);
+  });
+
+  it('rejects a call whose queue wait would exceed the limit', async () => {
+    const clock = createClock('2025-01-01T12:00:00Z');
+    const quota = createQuotaManager({ keys: ['a'], callsPerMinute: 2, maxQueueMs: 0, now: clock.now });
+    await quota.schedule(async () => null);
+    await quota.schedule(async () => null);
+
+    await assert.rejects(quota.schedule(async () => null), (error) => {
+      assert.ok(isQuotaExceededError(error));
+      assert.match(error.message, /per-minute quota exhausted/);
+      assert.equal(error.retryAfter, 60);
+      return true;
+    });
+
+    clock.advance(60 * 1000);
+    assert.equal(await quota.schedule(async key => key), 'a');
+  });
+
+  it('rejects once every key has used its daily budget, until midnight UTC', async () => {
+    const clock = createClock('2025-01-01T23:00:00Z');
+    const quota = createQuotaManager({ keys: ['a', 'b'], callsPerDay: 1, now: clock.now });
+    await quota.schedule(async () => null);
+    await quota.schedule(async () => null);
+
+    await assert.rejects(quota.schedule(async () => null), (error) => {
+      assert.match(error.message, /daily quota exhausted \(1 calls per key across 2 keys\)/);
+      assert.equal(error.retryAfter, 3600);
+      return true;
+    });
+    assert.equal(quota.getUsage().remainingToday, 0);
+
+    clock.advance(60 * 60 * 1000);
+    assert.equal(quota.getUsage().usedToday, 0);
+    await quota.schedule(async () => null);
+  });
+
+  it('reports usage across the key pool', async () => {
+    const clock = createClock('2025-01-01T12:00:00Z');
+    const quota = createQuotaManager({ keys: ['a', 'b'], callsPerMinute: 5, callsPerDay: 25, now: clock.now });
+    for (let i = 0; i < 3; i++) await quota.schedule(async () => null);
+
+    const usage = quota.getUsage();
+    assert.equal(usage.keys, 2);
+    assert.equal(usage.usedToday, 3);
+    assert.equal(usage.remainingToday, 47);
+    assert.equal(usage.usedLastMinute, 3);
+    assert.equal(usage.queued, 0);
+  });
+});
+
+describe('upstream resilience', () => {
+  const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+  it('classifies transient failures', () => {
+    assert.equal(isTransientError(Object.assign(new Error('slow'), { code: 'ETIMEDOUT' })), true);
+    assert.equal(isTransientError(httpError(429)), true);
+    assert.equal(isTransientError(httpError(503)), true);
+    assert.equal(isTransientError(httpError(404)), false);
+    assert.equal(isTransientError(new TypeError('fetch failed')), true);
+    assert.equal(isTransientError(new Error('No time series data for ZZZZ')), false);
+  });
+
+  it('caps the backoff at the exponential bound', () => {
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const delay = getBackoffDelay(attempt, { baseDelayMs: 100, maxDelayMs: 1000 });
+      assert.ok(delay >= 0 && delay <= Math.min(1000, 100 * 2 ** attempt));
+    }
+  });
+
+  it('retries transient failures and records the attempts', async () => {
+    const diagnostics = createDiagnosticsCollector();
+    let calls = 0;
+    const load = createResilientLoader(async (name, symbol, params, { timeoutMs }) => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return { name, symbol, timeoutMs };
+    }, { source: 'test', diagnostics, retries: 2, timeoutMs: 50, baseDelayMs: 1 });
+
+    assert.deepEqual(await load('QUOTE', 'AAPL'), { name: 'QUOTE', symbol: 'AAPL', timeoutMs: 50 });
+    const { upstreamCalls, failedCalls, calls: [call] } = diagnostics.summary();
+    assert.equal(upstreamCalls, 1);
+    assert.equal(failedCalls, 0);
+    assert.equal(call.attempts, 3);
+    assert.equal(call.status, 'ok');
+  });
+
+  it('gives up on permanent failures and once retries run out', async () => {
+    const diagnostics = createDiagnosticsCollector();
+    let calls = 0;
+    const permanent = createResilientLoader(async () => { calls++; throw httpError(404); }, { source: 'test', diagnostics, baseDelayMs: 1 });
+    await assert.rejects(permanent('QUOTE', 'AAPL'), /HTTP 404/);
+    assert.equal(calls, 1);
+
+    const timeout = Object.assign(new Error('Request timed out after 50ms'), { code: 'ETIMEDOUT' });
+    const flaky = createResilientLoader(async () => { throw timeout; }, { source: 'test', diagnostics, retries: 1, baseDelayMs: 1 });
+    await assert.rejects(flaky('QUOTE', 'AAPL'), /timed out/);
+
+    const [notFound, timedOut] = diagnostics.summary().calls;
+    assert.deepEqual([notFound.status, notFound.attempts], ['error', 1]);
+    assert.deepEqual([timedOut.status, timedOut.attempts], ['timeout', 2]);
+  });
+
+  it('times out slow responses and attaches the HTTP status to errors', async () => {
+    const server = createServer((request, response) => {
+      if (request.url === '/slow') return;
+      response.writeHead(503, { 'Content-Type': 'application/json' });
+      response.end('{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      await assert.rejects(fetchJson(`${base}/slow`, { timeoutMs: 50 }), error => error.code === 'ETIMEDOUT');
+      await assert.rejects(fetchJson(`${base}/down`), error => error.status === 503);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('single-flight coalescing', () => {
+  it('shares one in-flight fetch between concurrent callers', async () => {
+    const flights = getSingleFlightGroup('test:shared');
+    let calls = 0;
+    let joined = 0;
+    let release;
+    const fetcher = () => new Promise(resolve => { calls++; release = resolve; });
+
+    const first = flights.run('AAPL', fetcher);
+    const second = flights.run('AAPL', fetcher, { onJoin: () => joined++ });
+    const other = flights.run('MSFT', async () => 'msft');
+    await new Promise(resolve => setImmediate(resolve));
+    release('aapl');
+
+    assert.deepEqual(await Promise.all([first, second, other]), ['aapl', 'aapl', 'msft']);
+    assert.equal(calls, 1);
+    assert.equal(joined, 1);
+    assert.deepEqual(getCoalescingStats()['test:shared'], { started: 2, coalesced: 1, inFlight: 0 });
+  });
+
+  it('releases the key once the fetch settles, without remembering failures', async () => {
+    const flights = getSingleFlightGroup('test:release');
+    await assert.rejects(flights.run('AAPL', async () => { throw new Error('upstream down'); }), /upstream down/);
+    assert.equal(await flights.run('AAPL', async () => 'ok'), 'ok');
+    assert.equal(flights.getStats().started, 2);
+    assert.equal(getSingleFlightGroup('test:release'), flights);
+  });
+});
+
+describe('enterprise value bridge', () => {
+  it('splits current debt from the non-current portion of long-term debt', () => {
+    const claims = parseBalanceSheetClaims({
+      currentLongTermDebt: '10',
+      longTermDebt: '100',
+      shortTermDebt: '5',
+      cashAndCashEquivalentsAtCarryingValue: '30',
+      shortTermInvestments: '20',
+      minorityInterest: 'None'
+    });
+    assert.equal(claims.shortTermDebt, 15);
+    assert.equal(claims.longTermDebt, 90);
+    assert.equal(claims.cashAndShortTermInvestments, 50);
+    assert.equal(claims.minorityInterest, null);
+    assert.equal(parseBalanceSheetClaims({ currentDebt: '12', currentLongTermDebt: '10' }).shortTermDebt, 12);
+  });
+
+  it('derives market cap from price and shares when the profile has none', () => {
+    assert.deepEqual(resolveMarketCap({ profileMarketCap: 500, price: 10, sharesOutstanding: 20 }), { value: 500, method: 'profile' });
+    assert.deepEqual(resolveMarketCap({ profileMarketCap: 0, price: 10, sharesOutstanding: 20 }), { value: 200, method: 'priceTimesShares' });
+    assert.deepEqual(resolveMarketCap({ profileMarketCap: null, price: null, sharesOutstanding: 20 }), { value: null, method: null });
+  });
+
+  it('bridges market cap to EV and lists unreported claims', () => {
+    const bridge = buildEnterpriseValueBridge({
+      marketCap: 1000,
+      marketCapMethod: 'profile',
+      claims: { shortTermDebt: 15, longTermDebt: 90, capitalLeases: null, minorityInterest: 5, preferredEquity: null, cashAndShortTermInvestments: 50 }
+    });
+    assert.equal(bridge.totalDebt, 105);
+    assert.equal(bridge.netDebt, 55);
+    assert.equal(bridge.netClaims, 60);
+    assert.equal(bridge.enterpriseValue, 1060);
+    assert.deepEqual(bridge.notReported, ['capitalLeases', 'preferredEquity']);
+  });
+
+  it('falls back to a net figure without a balance sheet, and to null EV without a market cap', () => {
+    const bridge = buildEnterpriseValueBridge({ marketCap: 1000, netClaims: 40 });
+    assert.equal(bridge.enterpriseValue, 1040);
+    assert.equal(bridge.notReported.length, 6);
+    assert.equal(buildEnterpriseValueBridge({ marketCap: null, claims: {} }).enterpriseValue, null);
+  });
+});
+
+describe('free cash flow and shareholder yield', () => {
+  const data = {
+    ev: 1100,
+    marketCap: 1000,
+    ebitda: 110,
+    netIncome: 40,
+    totalRevenue: 500,
+    operatingCashFlow: 100,
+    capitalExpenditures: -30,
+    dividendsPaid: -20,
+    netBuybacks: 30,
+    sector: 'Technology'
+  };
+  const verdictKeys = (verdictScores) => verdictScores.map(score => score.key);
+
+  it('derives FCF, its margin and yield, and the payout yields', () => {
+    const { metrics, verdictScores } = calculateValuationMetrics(data);
+    assert.equal(metrics.freeCashFlow, 70);
+    const expected = { fcfMargin: 14, fcfYield: 7, dividendYield: 2, buybackYield: 3, shareholderYield: 5 };
+    for (const [key, value] of Object.entries(expected)) {
+      assert.ok(Math.abs(metrics[key] - value) < 1e-9, `${key} is ${metrics[key]}`);
+    }
+    for (const key of ['fcfMargin', 'fcfYield', 'dividendYield', 'buybackYield', 'shareholderYield']) {
+      assert.ok(verdictKeys(verdictScores).includes(key), key);
+    }
+    assert.equal(verdictScores.find(score => score.key === 'shareholderYield').value, '5.00%');
+  });
+
+  it('skips FCF when capex is not reported and does not judge a zero dividend', () => {
+    const { metrics, verdictScores } = calculateValuationMetrics({ ...data, capitalExpenditures: null, dividendsPaid: 0, netBuybacks: -10 });
+    assert.equal(metrics.freeCashFlow, undefined);
+    assert.equal(metrics.dividendYield, 0);
+    assert.equal(metrics.buybackYield, -1);
+    assert.equal(metrics.shareholderYield, -1);
+    assert.ok(!verdictKeys(verdictScores).includes('fcfYield'));
+    assert.ok(!verdictKeys(verdictScores).includes('dividendYield'));
+  });
+
+  it('leaves payout yields out of the growth profile verdict', () => {
+    const { metrics, verdictScores } = calculateValuationMetrics(data, { rules: resolveValuationRules({ profile: 'growth' }) });
+    assert.equal(metrics.shareholderYield, 5);
+    assert.ok(!verdictKeys(verdictScores).includes('shareholderYield'));
+    assert.ok(verdictKeys(verdictScores).includes('fcfMargin'));
+  });
+});
+
+describe('quality scores', () => {
+  const previous = {
+    revenue: 100, costOfRevenue: 60, sga: 10, ebit: 20, netIncome: 10, depreciation: 5, operatingCashFlow: 15,
+    totalAssets: 200, totalLiabilities: 100, currentAssets: 80, currentLiabilities: 50, retainedEarnings: 50,
+    receivables: 10, ppe: 50, longTermDebt: 40, sharesOutstanding: 10
+  };
+  const current = {
+    revenue: 120, costOfRevenue: 66, sga: 12, ebit: 30, netIncome: 16, depreciation: 6, operatingCashFlow: 20,
+    totalAssets: 210, totalLiabilities: 100, currentAssets: 90, currentLiabilities: 50, retainedEarnings: 60,
+    receivables: 12, ppe: 55, longTermDebt: 30, sharesOutstanding: 9
+  };
+
+  it('scores a Piotroski point for every improving criterion', () => {
+    const result = calculatePiotroskiScore({ current, previous });
+    assert.equal(result.score, 9);
+    assert.equal(result.evaluated, 9);
+    assert.equal(result.strength, 'strong');
+  });
+
+  it('leaves Piotroski criteria with missing inputs unscored', () => {
+    const result = calculatePiotroskiScore({ current: { ...current, sharesOutstanding: null }, previous });
+    assert.equal(result.criteria.find(c => c.key === 'noDilution').passed, null);
+    assert.equal(result.score, 8);
+    assert.equal(result.evaluated, 8);
+  });
+
+  it('computes the Altman Z-Score and its zone', () => {
+    const result = calculateAltmanZScore({ current }, { marketCap: 300 });
+    // 1.2 × 40/210 + 1.4 × 60/210 + 3.3 × 30/210 + 0.6 × 300/100 + 120/210
+    assert.ok(Math.abs(result.score - 3.4714) < 1e-4);
+    assert.equal(result.zone, 'safe');
+    assert.equal(calculateAltmanZScore({ current }, { marketCap: null }).available, false);
+  });
+
+  it('assumes neutral Beneish indices when their inputs are missing', () => {
+    const sparse = Object.fromEntries(Object.keys(current).map(key => [key, null]));
+    const result = calculateBeneishMScore({
+      current: { ...sparse, netIncome: 10, operatingCashFlow: 10, totalAssets: 100 },
+      previous: sparse
+    });
+    // Every index at 1 and zero accruals leaves only the constant and coefficients
+    assert.ok(Math.abs(result.score - -2.48) < 1e-9);
+    assert.equal(result.likelyManipulator, false);
+    assert.equal(result.assumedNeutral.length, 7);
+  });
+});
+
+describe('growth and growth-adjusted multiples', () => {
+  const data = {
+    ev: 1100,
+    marketCap: 1000,
+    ebitda: 110,
+    netIncome: 40,
+    totalRevenue: 500,
+    sector: 'Technology',
+    history: { cagr: { revenue: 8, eps: 10, ebitda: 5 } }
+  };
+
+  it('derives EPS and its trend from net income and shares outstanding', () => {
+    const history = buildFinancialHistory({
+      income: { annualReports: [{ fiscalDateEnding: '2024-09-30', netIncome: '121' }, { fiscalDateEnding: '2022-09-30', netIncome: '100' }] },
+      balance: { annualReports: [{ fiscalDateEnding: '2024-09-30', commonStockSharesOutstanding: '100' }, { fiscalDateEnding: '2022-09-30', commonStockSharesOutstanding: '125' }] }
+    });
+    assert.deepEqual(history.years.map(year => year.eps), [0.8, 1.21]);
+    assert.equal(history.trends.sharesOutstanding, 'improving');
+    assert.equal(history.trends.eps, 'improving');
+  });
+
+  it('computes PEG and EV/EBITDA-to-growth against market-wide ranges', () => {
+    const { metrics, verdictScores } = calculateValuationMetrics(data);
+    assert.equal(metrics.revenueGrowth, 8);
+    assert.equal(metrics.epsGrowth, 10);
+    assert.equal(metrics.peg, 2.5);
+    assert.equal(metrics.evEbitdaToGrowth, 2);
+
+    const peg = verdictScores.find(score => score.key === 'peg');
+    assert.equal(peg.verdict, 'overvalued');
+    assert.equal(peg.benchmark.set, 'default');
+    assert.equal(verdictScores.find(score => score.key === 'epsGrowth').verdict, 'fairly valued');
+  });
+
+  it('judges shrinking companies on the raw multiples only', () => {
+    const { metrics } = calculateValuationMetrics({ ...data, history: { cagr: { revenue: -2, eps: -5, ebitda: null } } });
+    assert.equal(metrics.epsGrowth, -5);
+    assert.equal(metrics.peg, undefined);
+    assert.equal(metrics.evEbitdaToGrowth, undefined);
+  });
+});
+
+describe('price targets', () => {
+  const data = { price: 10, sharesOutstanding: 100, netIncome: 50, ebitda: 100, enterpriseValueBridge: { netClaims: 200 } };
+  const verdictScores = [
+    { key: 'pe', benchmark: { low: 10, high: 20 } },
+    { key: 'evEbitda', benchmark: { low: 5, high: 10 } },
+    { key: 'fcfYield', benchmark: { low: 4, high: 8 } },
+    { key: 'roe', benchmark: { low: 1, high: 2 } }
+  ];
+
+  it('converts each model range to per-share targets and takes the median', () => {
+    const targets = buildPriceTargets(data, { metrics: { freeCashFlow: 40, dcfEquityValue: 1000 }, verdictScores });
+    assert.deepEqual(targets.models.map(model => [model.key, model.low, model.high, model.mid]), [
+      ['pe', 5, 10, 7.5],
+      ['evEbitda', 3, 8, 5.5],
+      ['fcfYield', 5, 10, 7.5],
+      ['dcf', 8.5, 11.5, 10]
+    ]);
+    assert.equal(targets.available, true);
+    assert.equal(targets.fairValue, 7.5);
+    assert.equal(targets.low, 5);
+    assert.equal(targets.high, 10);
+    assert.equal(targets.upside, -25);
+  });
+
+  it('floors equity at zero when net claims exceed the EV range', () => {
+    const targets = buildPriceTargets({ ...data, enterpriseValueBridge: { netClaims: 5000 } }, { metrics: {}, verdictScores: [verdictScores[1]] });
+    assert.deepEqual([targets.models[0].low, targets.models[0].high], [0, 0]);
+  });
+
+  it('explains why targets are unavailable', () => {
+    assert.equal(buildPriceTargets({ ...data, sharesOutstanding: 0 }, { metrics: {}, verdictScores }).available, false);
+    const empty = buildPriceTargets({ ...data, netIncome: -5 }, { metrics: {}, verdictScores: [verdictScores[0]] });
+    assert.equal(empty.available, false);
+    assert.match(empty.reason, /No valuation model/);
+  });
+
+  it('leaves upside out without a price', () => {
+    assert.equal(calculateUpside(12, 10).toFixed(6), '20.000000');
+    assert.equal(calculateUpside(12, null), null);
+    assert.equal(calculateUpside(NaN, 10), null);
+  });
+});
+
+describe('price ranges', () => {
+  // Newest first, as the providers return it
+  const series = ['2025-10-17', '2025-10-13', '2025-09-17', '2025-07-17', '2025-01-02', '2024-12-31', '2024-10-17']
+    .map((date, index) => ({ date, close: 100 - index }));
+
+  it('recognises ranges and maps them to a series', () => {
+    assert.equal(isPriceRange('YTD'), true);
+    assert.equal(isPriceRange('2Y'), false);
+    assert.deepEqual(getPriceRangeSettings(), { range: '1W', interval: 'daily', outputSize: 'compact' });
+    assert.deepEqual(getPriceRangeSettings('5Y'), { range: '5Y', interval: 'weekly', outputSize: 'full' });
+    assert.equal(getPriceRangeSettings('MAX').interval, 'monthly');
+  });
+
+  it('switches a compact range to the full series when its warm-up does not fit', () => {
+    assert.equal(getPriceRangeSettings('1W', { warmUpBars: 33 }).outputSize, 'compact');
+    assert.equal(getPriceRangeSettings('1W', { warmUpBars: 199 }).outputSize, 'full');
+    assert.equal(getPriceRangeSettings('3M', { warmUpBars: 49 }).outputSize, 'full');
+    assert.equal(describePriceHistory('1M', [], { warmUpBars: 199 }).outputSize, 'full');
+  });
+
+  it('counts windows back from the latest close, oldest first', () => {
+    const dates = (range) => selectRangeBars(series, range).map(bar => bar.date);
+    assert.deepEqual(dates('1W'), ['2025-10-13', '2025-10-17']);
+    // The close exactly one window back falls outside the range
+    assert.deepEqual(dates('1M'), ['2025-10-13', '2025-10-17']);
+    assert.deepEqual(dates('YTD'), ['2025-01-02', '2025-07-17', '2025-09-17', '2025-10-13', '2025-10-17']);
+    assert.deepEqual(dates('1Y'), dates('MAX').slice(1));
+    assert.equal(dates('MAX').length, series.length);
+    assert.deepEqual(selectRangeBars([], '1M'), []);
+  });
+
+  it('describes the returned history and flags demo fallbacks', () => {
+    const history = selectRangeBars(series, '3M');
+    assert.deepEqual(describePriceHistory('3M', history), {
+      range: '3M', interval: 'daily', outputSize: 'compact', from: '2025-09-17', to: '2025-10-17', points: 3, fallbackReason: null
+    });
+    const demo = describePriceHistory('1Y', history, { source: 'demo' });
+    assert.equal(demo.interval, 'daily');
+    assert.match(demo.fallbackReason, /last trading week/);
+    assert.equal(describePriceHistory('1W', null).points, 0);
+  });
+});
+
+describe('technical indicators', () => {
+  it('computes simple and exponential moving averages', () => {
+    assert.deepEqual(calculateSma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assert.deepEqual(calculateEma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assert.deepEqual(calculateEma([null, 1, 2, 3], 3), [null, null, null, 2]);
+  });
+
+  it('reports an RSI of 100 when prices only rise', () => {
+    const rsi = calculateRsi(Array.from({ length: 20 }, (_, i) => 100 + i));
+    assert.equal(rsi[13], null);
+    assert.equal(rsi[14], 100);
+    assert.equal(rsi[19], 100);
+  });
+
+  it('waits for the slow EMA and the signal line before reporting MACD', () => {
+    const macd = calculateMacd(Array.from({ length: 40 }, (_, i) => 100 + i));
+    assert.equal(macd[24].macd, null);
+    assert.ok(macd[25].macd > 0);
+    assert.equal(macd[32].signal, null);
+    assert.ok(Number.isFinite(macd[33].histogram));
+  });
+
+  it('collapses Bollinger Bands on a flat series', () => {
+    const bands = calculateBollingerBands(Array(25).fill(50));
+    assert.deepEqual(bands[18], { upper: null, middle: null, lower: null });
+    assert.deepEqual(bands[24], { upper: 50, middle: 50, lower: 50 });
+  });
+
+  it('tracks the 52-week range and flags it complete once a year is covered', () => {
+    const bars = makeDailyBars(300, i => 100 + i).map(bar => ({ ...bar, high: bar.close + 1, low: bar.close - 1 }));
+    const range = calculateRange52w(bars);
+    assert.deepEqual(range[0], { high: 101, low: 99, fromHigh: -0.99, fromLow: 1.01, complete: false });
+    assert.equal(range.at(-1).high, 400);
+    assert.equal(range.at(-1).complete, true);
+    assert.ok(range.at(-1).low > 99);
+  });
+
+  it('starts every bar-based indicator right after its warm-up', () => {
+    const bars = makeDailyBars(300, i => 100 + Math.sin(i / 5) * 10 + i / 10).map(bar => ({ ...bar, high: bar.close + 1, low: bar.close - 1 }));
+    const names = TECHNICAL_INDICATOR_NAMES.filter(name => name !== 'range52w');
+    const indicators = calculateIndicators(bars, names);
+
+    for (const name of names) {
+      const firstComplete = indicators[name].values.findIndex(({ date, ...fields }) => Object.values(fields).every(value => value !== null));
+      assert.equal(firstComplete, getIndicatorWarmUp([name]), name);
+    }
+  });
+
+  it('returns values from the `from` bar onwards', () => {
+    const bars = makeDailyBars(10, i => i + 1);
+    const { sma20 } = calculateIndicators(bars, ['sma20'], { from: 4 });
+    assert.equal(sma20.label, 'SMA 20');
+    assert.equal(sma20.panel, 'overlay');
+    assert.equal(sma20.values.length, 6);
+    assert.equal(sma20.values[0].date, bars[4].date);
+  });
+
+  it('parses indicator lists', () => {
+    assert.deepEqual(parseIndicatorList('sma50, rsi,sma50,foo'), { indicators: ['sma50', 'rsi'], invalid: ['foo'] });
+    assert.deepEqual(parseIndicatorList('all').indicators, TECHNICAL_INDICATOR_NAMES);
+    assert.deepEqual(parseIndicatorList('all,foo').invalid, ['foo']);
+    assert.deepEqual(parseIndicatorList(null), { indicators: [], invalid: [] });
+    assert.equal(getIndicatorWarmUp([]), 0);
+    assert.equal(getIndicatorWarmUp(['sma20', 'ema200']), 199);
+  });
+});
+
+describe('risk metrics', () => {
+  it('measures daily returns and the largest drawdown', () => {
+    const bars = [100, 120, 90, 130, 117].map((close, i) => ({ date: `2025-01-0${i + 1}`, close }));
+    assert.deepEqual(calculateDailyReturns(bars.slice(0, 2)), [{ date: '2025-01-02', value: 0.19999999999999996 }]);
+    assert.deepEqual(calculateMaxDrawdown(bars), { value: -25, peakDate: '2025-01-02', troughDate: '2025-01-03' });
+  });
+
+  it('computes beta and correlation against the benchmark on shared dates', () => {
+    const benchmark = Array.from({ length: 30 }, (_, i) => ({ date: `d${i}`, value: ((i * 7) % 11 - 5) / 1000 }));
+    const stock = benchmark.map(({ date, value }) => ({ date, value: value * 2 }));
+    assert.deepEqual(calculateBeta(stock, benchmark), { beta: 2, correlation: 1, observations: 30 });
+    assert.equal(calculateBeta(stock.slice(0, 10), benchmark).beta, null);
+  });
+
+  it('takes value-at-risk from the historical return distribution', () => {
+    const returns = Array.from({ length: 100 }, (_, i) => ({ value: (i - 50) / 1000 }));
+    assert.equal(calculateValueAtRisk(returns, 95), 4.5);
+  });
+
+  it('only uses the bars inside the window', () => {
+    const bars = makeDailyBars(600, i => 100 * 1.001 ** i);
+    const result = calculateRiskMetrics(bars, bars, { window: '1Y' });
+    assert.equal(result.window, '1Y');
+    assert.equal(result.period.to, '2025-10-17');
+    // The last bar before the window is the base of the first return
+    assert.equal(result.period.from, '2024-10-17');
+    assert.equal(result.period.observations, 261);
+    assert.equal(result.period.benchmarkObservations, 261);
+    assert.equal(result.volatility, 0);
+  });
+
+  it('explains a missing beta when the benchmark has no prices', () => {
+    const result = calculateRiskMetrics(makeDailyBars(60, i => 100 * 1.001 ** i), null);
+    assert.equal(result.available, true);
+    assert.equal(result.period.observations, 59);
+    assert.equal(result.volatility, 0);
+    assert.equal(result.beta, null);
+    assert.equal(result.benchmarkReason, 'No price history available for benchmark SPY');
+  });
+
+  it('is unavailable with too few returns', () => {
+    const result = calculateRiskMetrics(makeDailyBars(5, i => 100 + i), null);
+    assert.equal(result.available, false);
+    assert.match(result.reason, /At least 20 daily returns are needed; 4 available/);
+  });
+});
+
+describe('price performance', () => {
+  const bars = makeDailyBars(30, i => 100 + i);
+  const spy = makeDailyBars(30, i => 400 + 2 * i);
+
+  it('parses comparison symbols without blanks or duplicates', () => {
+    assert.deepEqual(parseComparisonSymbols(' SPY, amd,,spy,AMD '), ['SPY', 'amd']);
+    assert.deepEqual(parseComparisonSymbols(null), []);
+  });
+
+  it('rebases a series to 100 at its first close, or from a start date', () => {
+    assert.deepEqual(rebaseSeries([{ date: 'a', close: 50 }, { date: 'b', price: 55 }]), [{ date: 'a', value: 100 }, { date: 'b', value: 110 }]);
+    assert.deepEqual(rebaseSeries([{ date: 'a', close: 50 }, { date: 'b', close: 40 }, { date: 'c', close: 44 }], 'b'), [{ date: 'b', value: 100 }, { date: 'c', value: 110 }]);
+    assert.deepEqual(rebaseSeries([]), []);
+  });
+
+  it('starts every series on the first date all of them cover', () => {
+    assert.equal(getCommonStartDate([bars, spy.slice(5), []]), spy[5].date);
+    assert.equal(getCommonStartDate([[]]), null);
+  });
+
+  it('summarises the chart ranges that fit inside the selected one', () => {
+    assert.equal(getRangeCutoff('MAX', '2025-10-17'), null);
+    assert.equal(getRangeCutoff('1M', '2025-10-17'), '2025-09-17');
+    assert.deepEqual(getPerformancePeriods('1M', '2025-10-17'), ['1W', '1M']);
+    assert.deepEqual(getPerformancePeriods('MAX', '2025-10-17'), ['1W', '1M', '3M', '6M', 'YTD', '1Y', '5Y', 'MAX']);
+  });
+
+  it('measures a period back from the given end date', () => {
+    // Bars after the end date are left out, so the window matches the stock's
+    assert.equal(calculatePeriodReturn(bars, '1W', bars.at(-3).date), calculatePeriodReturn(bars.slice(0, -2), '1W'));
+    assert.equal(calculatePeriodReturn(bars, '1W', '2025-01-01'), null);
+  });
+
+  it('measures period returns from the first to the last close', () => {
+    // The month starts after 2025-09-17, at the close of 108
+    assert.equal(calculatePeriodReturn(bars, '1M'), 19.44);
+    assert.equal(calculatePeriodReturn(bars.slice(-1), '1W'), null);
+  });
+
+  it('compares the stock with each available symbol in percentage points', () => {
+    const performance = buildPricePerformance('AAPL', bars, [
+      { input: 'spy', ticker: 'SPY', bars: spy },
+      { input: 'ZZZZ', ticker: 'ZZZZ', bars: null }
+    ], { range: '1M' });
+
+    assert.equal(performance.values[0].value, 100);
+    assert.equal(performance.symbols[0].values.at(-1).value, 114.5);
+    assert.deepEqual(performance.symbols[1], { input: 'ZZZZ', ticker: 'ZZZZ', available: false, error: 'No price history available for ZZZZ', values: [] });
+
+    const month = performance.periods.find(({ period }) => period === '1M');
+    assert.deepEqual(month.returns, { AAPL: 19.44, SPY: 10.1 });
+    assert.deepEqual(month.relative, { SPY: 9.34 });
+  });
+
+  it('lines series up from their common start and anchors periods to the stock', () => {
+    // SPY starts five bars later and has two closes after the stock's latest
+    const laterSpy = makeDailyBars(27, i => 400 + 2 * i, '2025-10-21').slice(5);
+    const performance = buildPricePerformance('AAPL', bars, [{ input: 'SPY', ticker: 'SPY', bars: laterSpy }], { range: '1M' });
+
+    assert.equal(performance.startDate, laterSpy[0].date);
+    assert.deepEqual(performance.values[0], { date: laterSpy[0].date, value: 100 });
+    assert.deepEqual(performance.symbols[0].values[0], { date: laterSpy[0].date, value: 100 });
+    assert.equal(performance.symbols[0].values.at(-1).date, '2025-10-17');
+
+    const week = performance.periods.find(({ period }) => period === '1W');
+    assert.equal(week.returns.SPY, calculatePeriodReturn(laterSpy.filter(({ date }) => date <= '2025-10-17'), '1W'));
+  });
+
+  it('reports a symbol whose prices never overlap the stock', () => {
+    const performance = buildPricePerformance('AAPL', bars, [{ input: 'OLD', ticker: 'OLD', bars: makeDailyBars(5, i => 10 + i, '2024-01-05') }], { range: '1M' });
+    assert.equal(performance.symbols[0].available, false);
+    assert.match(performance.symbols[0].error, /does not overlap AAPL/);
+    assert.equal(performance.values[0].date, bars[0].date);
+  });
+});
+
+describe('valuation request options', () => {
+  it('applies the defaults', () => {
+    const options = resolveValuationOptions({ provider: 'fixture' });
+    assert.equal(options.error, undefined);
+    assert.equal(options.provider.name, 'fixture');
+    assert.equal(options.basis, 'ttm');
+    assert.equal(options.rules.profile, 'default');
+  });
+
+  it('describes the first unknown option as a 400 body', () => {
+    assert.equal(resolveValuationOptions({ provider: 'nope', basis: 'weekly' }).error.error, 'unknown_provider');
+    assert.deepEqual(resolveValuationOptions({ basis: 'weekly' }).error.availableBases, ['ttm', 'annual']);
+    assert.equal(resolveValuationOptions({ profile: 'nope' }).error.error, 'unknown_profile');
+  });
+
+  it('takes the resolver from `resolver`, then its legacy alias `provider`', () => {
+    assert.equal(getResolverName('finnhub', 'iex'), 'finnhub');
+    assert.equal(getResolverName(null, 'iex'), 'iex');
+    assert.equal(getResolverName(null, null), 'auto');
+  });
+});
+
+describe('fixture key scheme', () => {
+  it('names fixtures after the call, adding non-default parameters', () => {
+    assert.equal(getFixturePath('/fixtures', 'TIME_SERIES_DAILY', 'aapl'), '/fixtures/AAPL/TIME_SERIES_DAILY.json');
+    assert.equal(getFixturePath('/fixtures', 'TIME_SERIES_DAILY', 'AAPL', { outputsize: 'compact' }), '/fixtures/AAPL/TIME_SERIES_DAILY.json');
+    assert.equal(getFixturePath('/fixtures', 'TIME_SERIES_DAILY', 'AAPL', { outputsize: 'full' }), '/fixtures/AAPL/TIME_SERIES_DAILY.full.json');
+    assert.equal(getFixturePath('/fixtures', 'stock/profile2', 'AAPL'), '/fixtures/AAPL/profile2.json');
+  });
+});